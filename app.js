@@ -0,0 +1,44 @@
+// app.js - The Express app, without a listening socket or background workers
+import cors from 'cors';
+import express from 'express';
+import helmet from 'helmet';
+import morgan from 'morgan';
+import { NotFound } from './lib/errors.js';
+import { getSpec, renderDocsPage } from './lib/openapi/index.js';
+import { rateLimit } from './lib/rateLimit/index.js';
+import { errorHandler, requestId } from './lib/utils.js';
+
+// Routes
+import { API_ROUTES } from './routes/index.js';
+
+// Initialize express app
+const app = express();
+
+// Middleware
+app.use(requestId); // X-Request-Id
+app.use(helmet()); // Security headers
+app.use(cors()); // Enable CORS
+app.use(express.json()); // Parse JSON bodies
+if (process.env.NODE_ENV !== 'test') app.use(morgan('dev')); // Logging
+
+// Routes, each group with its own rate limit (see lib/rateLimit)
+for (const { path, router, limit } of API_ROUTES) {
+  app.use(path, rateLimit(limit), router);
+}
+
+// API description (see lib/openapi)
+app.get('/api/openapi.json', (req, res) => res.json(getSpec()));
+app.get('/api/docs', (req, res) => res.type('html').send(renderDocsPage(getSpec())));
+
+// Root route
+app.get('/', (req, res) => {
+  res.json({ message: 'Welcome to Contact Management API' });
+});
+
+// Unknown API paths get a problem+json 404 too
+app.use('/api', (req, res, next) => next(new NotFound('No such endpoint')));
+
+// Error handling middleware
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,58 @@
+// lib/ackPage.js
+
+// The page an emergency contact sees when they tap the acknowledge link in
+// an alert. Opening the link only shows the alert: SMS apps and link
+// previewers fetch links on their own, so acknowledging takes the button,
+// which posts back to the same URL. Script-free for helmet's default CSP.
+
+const escape = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+const page = (title, body) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:32rem;margin:2rem auto;padding:0 1rem}
+button{font-size:1.25rem;padding:.75rem 1.5rem}</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * HTML for an acknowledgement link: the alert with an Acknowledge button,
+ * or a confirmation once `delivery.acknowledged_at` is set. `delivery` is
+ * from findDelivery (lib/alerts.js); null renders a "not valid" page.
+ */
+export const renderAckPage = (delivery) => {
+  if (!delivery) {
+    return page(
+      'Link not valid',
+      '<p>This alert link is not valid. Check the message you got.</p>'
+    );
+  }
+
+  const alert = `<p><strong>${escape(delivery.severity.toUpperCase())} alert from
+${escape(delivery.user_name)}</strong></p>
+<p>${escape(delivery.message)}</p>`;
+
+  if (delivery.acknowledged_at) {
+    return page(
+      'Alert acknowledged',
+      `${alert}\n<p>Thank you, ${escape(delivery.contact_name)}. ${escape(delivery.user_name)}'s alert is marked as seen.</p>`
+    );
+  }
+
+  return page(
+    'Emergency alert',
+    `${alert}\n<form method="post"><button type="submit">Acknowledge</button></form>`
+  );
+};
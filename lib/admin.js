@@ -0,0 +1,291 @@
+// lib/admin.js
+import 'dotenv/config';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import bcrypt from 'bcryptjs';
+import db from './db.js';
+import { unlockAccount } from './loginThrottle/index.js';
+import { keysetPage, keysetQuery } from './pagination.js';
+import { revokeUserSessions } from './sessions.js';
+import { httpError } from './utils.js';
+
+// Account administration behind /api/admin. Every action, reads included,
+// writes a row to admin_audit_log; changes write it in the same transaction.
+// `actor` is { adminId, ip } for the admin making the request.
+
+const USER_COLUMNS = `id, name, role, age, mac, phone_number, image,
+  created_at, updated_at, disabled_at, disabled_reason, deleted_at`;
+
+const audit = (client, actor, action, targetUserId = null, details = {}) =>
+  client.query(
+    `INSERT INTO admin_audit_log (admin_id, action, target_user_id, details, ip)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [actor.adminId, action, targetUserId, details, actor.ip || null]
+  );
+
+// Lock and return a user inside a transaction, or throw 404
+const lockUser = async (client, userId) => {
+  const result = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [
+    userId,
+  ]);
+  if (result.rows.length === 0) throw httpError(404, 'User not found');
+  return result.rows[0];
+};
+
+const USER_SORT = [{ key: 'id', direction: 'ASC', expr: 'id' }];
+
+/**
+ * List users, optionally filtered by a name search (`q`), `role` and
+ * `status` ('active', 'disabled' or 'deleted'). `page` is req.pagination
+ * (offset or cursor mode). Returns { users, pagination }.
+ */
+export const listUsers = async (actor, { q, role, status } = {}, page) => {
+  const conditions = ['TRUE'];
+  const values = [];
+
+  if (q) {
+    values.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`name ILIKE $${values.length}`);
+  }
+  if (role) {
+    values.push(role);
+    conditions.push(`role = $${values.length}`);
+  }
+  if (status === 'active') conditions.push('disabled_at IS NULL AND deleted_at IS NULL');
+  if (status === 'disabled') conditions.push('disabled_at IS NOT NULL');
+  if (status === 'deleted') conditions.push('deleted_at IS NOT NULL');
+
+  const where = conditions.join(' AND ');
+  const { limit } = page;
+  let listing;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({ sort: USER_SORT, cursor, limit, firstParam: values.length + 1 });
+
+    const result = await db.query(
+      `SELECT ${USER_COLUMNS}, ${keyset.keyColumns} FROM users
+       WHERE ${where} AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${values.length + keyset.values.length + 1}`,
+      [...values, ...keyset.values, keyset.limit]
+    );
+
+    const { rows, pagination } = keysetPage(result.rows, { sort: USER_SORT, cursor, limit });
+    listing = { users: rows, pagination };
+  } else {
+    const users = await db.query(
+      `SELECT ${USER_COLUMNS} FROM users
+       WHERE ${where}
+       ORDER BY id ASC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, page.offset]
+    );
+    const count = await db.query(`SELECT COUNT(*) FROM users WHERE ${where}`, values);
+    const total = parseInt(count.rows[0].count);
+
+    listing = {
+      users: users.rows,
+      pagination: { total, page: page.page, limit, pages: Math.ceil(total / limit) },
+    };
+  }
+
+  await audit(db, actor, 'users.list', null, { q, role, status, limit, offset: page.offset });
+  return listing;
+};
+
+export const getUser = async (actor, userId) => {
+  const result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  if (result.rows.length === 0) throw httpError(404, 'User not found');
+
+  await audit(db, actor, 'users.view', userId);
+  return result.rows[0];
+};
+
+// Disable an account and end all of its sessions
+export const disableUser = async (actor, userId, reason = null) => {
+  if (userId === actor.adminId) {
+    throw httpError(400, 'You cannot disable your own account', 'self_action');
+  }
+
+  return db.transaction(async (client) => {
+    const user = await lockUser(client, userId);
+    if (user.disabled_at) throw httpError(409, 'Account is already disabled');
+
+    const result = await client.query(
+      `UPDATE users SET disabled_at = NOW(), disabled_reason = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId, reason]
+    );
+    await revokeUserSessions(userId, 'account_disabled', { client });
+    await audit(client, actor, 'users.disable', userId, { reason });
+
+    return result.rows[0];
+  });
+};
+
+export const enableUser = async (actor, userId) => {
+  return db.transaction(async (client) => {
+    const user = await lockUser(client, userId);
+    if (!user.disabled_at) throw httpError(409, 'Account is not disabled');
+
+    const result = await client.query(
+      `UPDATE users SET disabled_at = NULL, disabled_reason = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId]
+    );
+    await audit(client, actor, 'users.enable', userId);
+
+    return result.rows[0];
+  });
+};
+
+// Clear failed login attempts and any lockout on the account
+export const unlockUser = async (actor, userId) => {
+  const result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  if (result.rows.length === 0) throw httpError(404, 'User not found');
+
+  const user = result.rows[0];
+  await unlockAccount(user.name);
+  await audit(db, actor, 'users.unlock', userId);
+
+  return user;
+};
+
+/**
+ * Set a new password (a random one when `password` is omitted), end all
+ * sessions and clear any login lockout. Returns { user, temporary_password }
+ * where the temporary password is only present when generated; it is never
+ * stored or logged.
+ */
+export const resetPassword = async (actor, userId, password = null) => {
+  const temporary = password ? null : crypto.randomBytes(12).toString('base64url');
+  const hashed = await bcrypt.hash(password || temporary, 10);
+
+  const reset = await db.transaction(async (client) => {
+    await lockUser(client, userId);
+
+    const result = await client.query(
+      `UPDATE users SET password = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId, hashed]
+    );
+    await revokeUserSessions(userId, 'password_reset', { client });
+    await audit(client, actor, 'users.reset_password', userId, { generated: Boolean(temporary) });
+
+    return { user: result.rows[0], temporary_password: temporary };
+  });
+
+  await unlockAccount(reset.user.name);
+  return reset;
+};
+
+export const setRole = async (actor, userId, role) => {
+  // Keeps at least the acting admin able to manage roles
+  if (userId === actor.adminId) {
+    throw httpError(400, 'You cannot change your own role', 'self_action');
+  }
+
+  return db.transaction(async (client) => {
+    const user = await lockUser(client, userId);
+
+    const result = await client.query(
+      `UPDATE users SET role = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId, role]
+    );
+    await audit(client, actor, 'users.set_role', userId, { from: user.role, to: role });
+
+    return result.rows[0];
+  });
+};
+
+const AUDIT_LOG_SORT = [
+  { key: 'created_at', direction: 'DESC', expr: 'l.created_at' },
+  { key: 'id', direction: 'DESC', expr: 'l.id' },
+];
+
+/**
+ * The admin audit log, newest first, optionally for one target user or
+ * action. `page` is req.pagination: offset mode gives an array of entries,
+ * cursor mode gives { entries, pagination }.
+ */
+export const listAuditLog = async (actor, { targetUserId, action } = {}, page) => {
+  const values = [targetUserId ?? null, action ?? null];
+  const where = `($1::int IS NULL OR l.target_user_id = $1)
+       AND ($2::text IS NULL OR l.action = $2)`;
+  const { limit } = page;
+  let entries;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({ sort: AUDIT_LOG_SORT, cursor, limit, firstParam: 3 });
+
+    const result = await db.query(
+      `SELECT l.*, a.name AS admin_name, t.name AS target_user_name, ${keyset.keyColumns}
+       FROM admin_audit_log l
+       LEFT JOIN users a ON a.id = l.admin_id
+       LEFT JOIN users t ON t.id = l.target_user_id
+       WHERE ${where} AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${keyset.values.length + 3}`,
+      [...values, ...keyset.values, keyset.limit]
+    );
+
+    const { rows, pagination } = keysetPage(result.rows, { sort: AUDIT_LOG_SORT, cursor, limit });
+    entries = { entries: rows, pagination };
+  } else {
+    const result = await db.query(
+      `SELECT l.*, a.name AS admin_name, t.name AS target_user_name
+       FROM admin_audit_log l
+       LEFT JOIN users a ON a.id = l.admin_id
+       LEFT JOIN users t ON t.id = l.target_user_id
+       WHERE ${where}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT $3 OFFSET $4`,
+      [...values, limit, page.offset]
+    );
+    entries = result.rows;
+  }
+
+  // Written after the read, so an entry never lists itself
+  await audit(db, actor, 'audit.read', targetUserId ?? null, { action });
+  return entries;
+};
+
+// CLI, audited with no acting admin:
+//   npm run admin -- promote <name> - grants the admin role, e.g. to
+//     bootstrap the first admin
+//   npm run admin -- unlock <name> - clears a login lockout
+const main = async () => {
+  const [command, name] = process.argv.slice(2);
+  if (!['promote', 'unlock'].includes(command) || !name) {
+    throw new Error('Usage: npm run admin -- promote|unlock <name>');
+  }
+
+  const user = await db.query('SELECT id FROM users WHERE name = $1', [name]);
+  if (user.rows.length === 0) throw new Error(`No user named "${name}"`);
+
+  const actor = { adminId: null, ip: null };
+  if (command === 'unlock') {
+    const unlocked = await unlockUser(actor, user.rows[0].id);
+    console.log(`${unlocked.name} (id ${unlocked.id}) can sign in again`);
+    return;
+  }
+
+  const updated = await setRole(actor, user.rows[0].id, 'admin');
+  console.log(`${updated.name} (id ${updated.id}) is now an admin`);
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main()
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
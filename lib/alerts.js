@@ -0,0 +1,275 @@
+// lib/alerts.js
+import crypto from 'crypto';
+import db from './db.js';
+import { getNotifier } from './notifiers/index.js';
+import { keysetPage, keysetQuery } from './pagination.js';
+
+const MAX_ATTEMPTS = Number(process.env.ALERT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = Number(process.env.ALERT_RETRY_BASE_SECONDS) || 30;
+const RETRY_INTERVAL_MS = Number(process.env.ALERT_RETRY_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 50;
+
+// Deliveries left in 'sending' this long are assumed lost (e.g. a crash)
+const STALE_SENDING = '5 minutes';
+
+// Acknowledgement tokens are `<deliveryId>.<hmac>` so they stay stable across
+// retries without storing a secret per delivery
+const signDelivery = (deliveryId) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`alert-delivery:${deliveryId}`)
+    .digest('base64url');
+
+export const ackToken = (deliveryId) => `${deliveryId}.${signDelivery(deliveryId)}`;
+
+const parseAckToken = (token) => {
+  const [id, signature = ''] = String(token).split('.');
+  const deliveryId = Number(id);
+  if (!Number.isInteger(deliveryId)) return null;
+
+  const expected = Buffer.from(signDelivery(deliveryId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return deliveryId;
+};
+
+const ackUrl = (deliveryId) => {
+  const base = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base}/api/alerts/ack/${ackToken(deliveryId)}`;
+};
+
+const composeMessage = (alert, deliveryId) => {
+  const parts = [`${alert.severity.toUpperCase()} ALERT from ${alert.user_name}: ${alert.message}`];
+  if (alert.latitude !== null && alert.longitude !== null) {
+    parts.push(`Location: https://maps.google.com/?q=${alert.latitude},${alert.longitude}`);
+  }
+  parts.push(`Tap to acknowledge: ${ackUrl(deliveryId)}`);
+  return parts.join('\n');
+};
+
+// Create the alert and one pending delivery per emergency contact, using the
+// contact's primary number (or its first number when none is primary)
+export const createAlert = async (
+  userId,
+  { message, severity, location = {}, deviceId = null }
+) => {
+  const channel = getNotifier().channel;
+
+  return db.transaction(async (client) => {
+    const alertResult = await client.query(
+      `INSERT INTO alerts
+       (user_id, device_id, message, severity, latitude, longitude, accuracy_m)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        userId,
+        deviceId,
+        message,
+        severity,
+        location.latitude ?? null,
+        location.longitude ?? null,
+        location.accuracy ?? null,
+      ]
+    );
+
+    const alert = alertResult.rows[0];
+
+    // Providers get the canonical E.164 form when one is stored
+    await client.query(
+      `INSERT INTO alert_deliveries (alert_id, contact_id, contact_name, phone_number, channel)
+       SELECT DISTINCT ON (c.id) $1, c.id, c.name, COALESCE(cpn.phone_e164, cpn.phone_number), $3
+       FROM contacts c
+       JOIN contact_phone_numbers cpn ON cpn.contact_id = c.id
+       WHERE c.user_id = $2 AND c.is_emergency = true
+         AND c.deleted_at IS NULL AND cpn.deleted_at IS NULL
+       ORDER BY c.id, cpn.is_primary DESC, cpn.id ASC`,
+      [alert.id, userId, channel]
+    );
+
+    return alert;
+  });
+};
+
+// Claim due deliveries so concurrent workers never send the same one twice
+const claimDueDeliveries = async (alertId) => {
+  const result = await db.query(
+    `UPDATE alert_deliveries d SET
+       status = 'sending',
+       attempts = d.attempts + 1,
+       last_attempt_at = NOW()
+     FROM alerts a, users u
+     WHERE a.id = d.alert_id AND u.id = a.user_id
+       AND d.id IN (
+         SELECT id FROM alert_deliveries
+         WHERE ($1::int IS NULL OR alert_id = $1)
+           AND next_attempt_at <= NOW()
+           AND (status IN ('pending', 'retrying')
+                OR (status = 'sending' AND last_attempt_at < NOW() - INTERVAL '${STALE_SENDING}'))
+         ORDER BY id
+         LIMIT ${BATCH_SIZE}
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.id, d.alert_id, d.phone_number, d.attempts,
+               a.message, a.severity, a.latitude, a.longitude, u.name AS user_name`,
+    [alertId]
+  );
+  return result.rows;
+};
+
+const attemptDelivery = async (delivery) => {
+  try {
+    const sent = await getNotifier().send({
+      to: delivery.phone_number,
+      body: composeMessage(delivery, delivery.id),
+      alertId: delivery.alert_id,
+      deliveryId: delivery.id,
+    });
+
+    await db.query(
+      `UPDATE alert_deliveries SET
+         status = 'sent', delivered_at = NOW(), last_error = NULL, provider_message_id = $2
+       WHERE id = $1`,
+      [delivery.id, sent?.id || null]
+    );
+  } catch (error) {
+    // Exponential backoff: base, 2x base, 4x base, ...
+    const exhausted = delivery.attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_BASE_SECONDS * 2 ** (delivery.attempts - 1);
+
+    await db.query(
+      `UPDATE alert_deliveries SET
+         status = $2,
+         last_error = $3,
+         next_attempt_at = NOW() + make_interval(secs => $4)
+       WHERE id = $1`,
+      [delivery.id, exhausted ? 'failed' : 'retrying', error.message, delay]
+    );
+  }
+};
+
+// Attempt every due delivery, optionally only those of one alert
+export const deliverDue = async (alertId = null) => {
+  const deliveries = await claimDueDeliveries(alertId);
+  await Promise.all(deliveries.map(attemptDelivery));
+  return deliveries.length;
+};
+
+// Periodically retry failed deliveries until they succeed or run out of attempts
+export const startRetryWorker = (intervalMs = RETRY_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    deliverDue().catch((error) => console.error('Alert retry error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+export const getAlert = async (userId, alertId) => {
+  const alert = await db.query('SELECT * FROM alerts WHERE id = $1 AND user_id = $2', [
+    alertId,
+    userId,
+  ]);
+
+  if (alert.rows.length === 0) return null;
+
+  const deliveries = await db.query(
+    `SELECT id, contact_id, contact_name, phone_number, channel, status, attempts,
+            last_error, delivered_at, acknowledged_at
+     FROM alert_deliveries
+     WHERE alert_id = $1
+     ORDER BY id`,
+    [alertId]
+  );
+
+  return { ...alert.rows[0], deliveries: deliveries.rows };
+};
+
+// Newest first; id breaks ties between alerts raised together
+const ALERT_SORT = [
+  { key: 'created_at', direction: 'DESC', expr: 'created_at' },
+  { key: 'id', direction: 'DESC', expr: 'id' },
+];
+
+/**
+ * A user's alerts, newest first. `page` is req.pagination (offset or
+ * cursor mode). Returns { alerts, pagination }.
+ */
+export const listAlerts = async (userId, page) => {
+  const { limit } = page;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({ sort: ALERT_SORT, cursor, limit, firstParam: 2 });
+
+    const result = await db.query(
+      `SELECT *, ${keyset.keyColumns} FROM alerts
+       WHERE user_id = $1 AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${keyset.values.length + 2}`,
+      [userId, ...keyset.values, keyset.limit]
+    );
+
+    const { rows, pagination } = keysetPage(result.rows, { sort: ALERT_SORT, cursor, limit });
+    return { alerts: rows, pagination };
+  }
+
+  const alerts = await db.query(
+    `SELECT * FROM alerts
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, page.offset]
+  );
+
+  const countResult = await db.query('SELECT COUNT(*) FROM alerts WHERE user_id = $1', [userId]);
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    alerts: alerts.rows,
+    pagination: { total, page: page.page, limit, pages: Math.ceil(total / limit) },
+  };
+};
+
+// The alert behind an acknowledgement token, for the page the link opens,
+// or null when the token is not valid
+export const findDelivery = async (token) => {
+  const deliveryId = parseAckToken(token);
+  if (!deliveryId) return null;
+
+  const result = await db.query(
+    `SELECT d.id, d.contact_name, d.acknowledged_at, a.message, a.severity, a.created_at,
+            u.name AS user_name
+     FROM alert_deliveries d
+     JOIN alerts a ON a.id = d.alert_id
+     JOIN users u ON u.id = a.user_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+};
+
+// Record that a contact acknowledged their alert. The first acknowledgement
+// also marks the alert itself as acknowledged.
+export const acknowledgeDelivery = async (token) => {
+  const deliveryId = parseAckToken(token);
+  if (!deliveryId) return null;
+
+  return db.transaction(async (client) => {
+    const delivery = await client.query(
+      `UPDATE alert_deliveries SET acknowledged_at = COALESCE(acknowledged_at, NOW())
+       WHERE id = $1
+       RETURNING id, alert_id, contact_name, acknowledged_at`,
+      [deliveryId]
+    );
+
+    if (delivery.rows.length === 0) return null;
+
+    await client.query(
+      'UPDATE alerts SET acknowledged_at = COALESCE(acknowledged_at, NOW()) WHERE id = $1',
+      [delivery.rows[0].alert_id]
+    );
+
+    return delivery.rows[0];
+  });
+};
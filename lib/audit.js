@@ -0,0 +1,173 @@
+// lib/audit.js
+import db from './db.js';
+import { keysetPage, keysetQuery } from './pagination.js';
+
+// Data-change audit trail (audit_events). Every insert, update and delete in
+// the users, contacts and phone-number routes records an event with the
+// same transaction client, so the change and its event commit together.
+// Admin actions have their own log (see lib/admin.js).
+
+// Bookkeeping columns that are not worth a diff entry
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'version'];
+// Secrets are recorded as changed without their values
+const REDACTED_FIELDS = [
+  'password',
+  'credential_hash',
+  'code_hash',
+  'invite_hash',
+  'token',
+  'secret',
+];
+const REDACTED = '[redacted]';
+
+export const TARGET_TYPES = [
+  'user',
+  'contact',
+  'phone_number',
+  'device',
+  'device_pairing_code',
+  'delegation',
+  'two_factor',
+];
+// 'delete' moves a row to the trash (or removes it outright where there is
+// no trash); 'purge' is the trash being emptied
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Who is acting and for which request: pass to the functions that mutate
+export const auditContext = (req) => ({
+  actorId: req.user?.userId ?? null,
+  requestId: req.id || null,
+});
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * { field: { before, after } } for every field that differs between two
+ * row snapshots. Either side may be null (create / delete).
+ */
+export const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (same(from, to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: from === null ? null : REDACTED, after: to === null ? null : REDACTED }
+      : { before: from, after: to };
+  }
+
+  return changes;
+};
+
+/**
+ * Append one event. `ownerId` is the user whose data changed; `before` and
+ * `after` are row snapshots (null for create / delete).
+ */
+export const recordEvent = async (
+  client,
+  context,
+  { ownerId, targetType, targetId, action, before = null, after = null }
+) => {
+  await client.query(
+    `INSERT INTO audit_events
+       (actor_id, owner_id, target_type, target_id, action, changes, request_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      context?.actorId ?? null,
+      ownerId,
+      targetType,
+      targetId,
+      action,
+      diff(before, after),
+      context?.requestId ?? null,
+    ]
+  );
+};
+
+// Shorthand for each kind of event. Soft deletes pass the row after the
+// delete too, so the diff shows deleted_at being set.
+export const recordCreate = (client, context, target, after) =>
+  recordEvent(client, context, { ...target, action: 'create', after });
+
+export const recordUpdate = (client, context, target, before, after) =>
+  recordEvent(client, context, { ...target, action: 'update', before, after });
+
+export const recordDelete = (client, context, target, before, after = null) =>
+  recordEvent(client, context, { ...target, action: 'delete', before, after });
+
+export const recordRestore = (client, context, target, before, after) =>
+  recordEvent(client, context, { ...target, action: 'restore', before, after });
+
+export const recordPurge = (client, context, target, before) =>
+  recordEvent(client, context, { ...target, action: 'purge', before });
+
+// Newest first; id breaks ties between events in one transaction
+const ACTIVITY_SORT = [
+  { key: 'created_at', direction: 'DESC', expr: 'created_at' },
+  { key: 'id', direction: 'DESC', expr: 'id' },
+];
+
+/**
+ * Events on a user's data, newest first. `filters` may hold targetType,
+ * targetId, action, actorId, since and until. `page` is req.pagination
+ * (offset or cursor mode). Returns { events, pagination }.
+ */
+export const listActivity = async (ownerId, filters, page) => {
+  const conditions = ['owner_id = $1'];
+  const values = [ownerId];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.targetType) add('target_type = ?', filters.targetType);
+  if (filters.targetId) add('target_id = ?', filters.targetId);
+  if (filters.action) add('action = ?', filters.action);
+  if (filters.actorId) add('actor_id = ?', filters.actorId);
+  if (filters.since) add('created_at >= ?', filters.since);
+  if (filters.until) add('created_at < ?', filters.until);
+
+  const where = conditions.join(' AND ');
+  const { limit } = page;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({
+      sort: ACTIVITY_SORT,
+      cursor,
+      limit,
+      firstParam: values.length + 1,
+    });
+
+    const result = await db.query(
+      `SELECT *, ${keyset.keyColumns} FROM audit_events
+       WHERE ${where} AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${values.length + keyset.values.length + 1}`,
+      [...values, ...keyset.values, keyset.limit]
+    );
+
+    const { rows, pagination } = keysetPage(result.rows, { sort: ACTIVITY_SORT, cursor, limit });
+    return { events: rows, pagination };
+  }
+
+  const result = await db.query(
+    `SELECT * FROM audit_events
+     WHERE ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, page.offset]
+  );
+  const count = await db.query(`SELECT COUNT(*) FROM audit_events WHERE ${where}`, values);
+  const total = parseInt(count.rows[0].count);
+
+  return {
+    events: result.rows,
+    pagination: { total, page: page.page, limit, pages: Math.ceil(total / limit) },
+  };
+};
@@ -0,0 +1,385 @@
+// lib/contacts.js
+import { recordCreate, recordDelete, recordUpdate } from './audit.js';
+import db from './db.js';
+import { getUserRegion, toE164, withPhoneFormats } from './phone.js';
+import { httpError } from './utils.js';
+
+// Shared contact data access for ContactService (lib/services) and the routes.
+// Phone numbers for a whole page of contacts are loaded in a single query
+// instead of one query per contact. Contacts and numbers in the trash
+// (deleted_at set) are left out of every read here; see lib/trash.js.
+
+/**
+ * Attach `phone_numbers` to each contact using one `ANY($1)` query.
+ * Pass a transaction client to read inside a transaction.
+ */
+export const attachPhoneNumbers = async (contacts, client = db) => {
+  if (contacts.length === 0) return [];
+
+  const phones = await client.query(
+    `SELECT * FROM contact_phone_numbers
+     WHERE contact_id = ANY($1) AND deleted_at IS NULL
+     ORDER BY contact_id, is_primary DESC, id ASC`,
+    [contacts.map((contact) => contact.id)]
+  );
+
+  const byContact = new Map();
+  for (const phone of phones.rows) {
+    if (!byContact.has(phone.contact_id)) byContact.set(phone.contact_id, []);
+    byContact.get(phone.contact_id).push(withPhoneFormats(phone));
+  }
+
+  return contacts.map((contact) => ({
+    ...contact,
+    phone_numbers: byContact.get(contact.id) || [],
+  }));
+};
+
+// Load one contact with its phone numbers, or null
+export const getContactWithPhones = async (id, client = db) => {
+  const contact = await client.query(
+    'SELECT * FROM contacts WHERE id = $1 AND deleted_at IS NULL',
+    [id]
+  );
+  if (contact.rows.length === 0) return null;
+
+  const [withPhones] = await attachPhoneNumbers(contact.rows, client);
+  return withPhones;
+};
+
+/**
+ * Insert a contact and its phone numbers using a transaction client.
+ * Numbers are stored with their E.164 form, read in `region` (default: the
+ * owner's); repeats of the same number are skipped. The insert is audited
+ * with `audit` (see auditContext). Returns the new contact with
+ * `phone_numbers`.
+ */
+export const insertContact = async (
+  client,
+  userId,
+  contact,
+  { region = null, audit = null } = {}
+) => {
+  const { name, is_emergency = false, relationship, image, phone_numbers = [] } = contact;
+
+  const contactResult = await client.query(
+    `INSERT INTO contacts
+     (user_id, name, is_emergency, relationship, image)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, name, is_emergency, relationship, image]
+  );
+
+  const created = contactResult.rows[0];
+
+  const phoneRegion =
+    region || (phone_numbers.length > 0 ? await getUserRegion(userId, client) : null);
+  const seen = new Set();
+
+  for (const phone of phone_numbers) {
+    const e164 = toE164(phone.phone_number, phoneRegion);
+    if (e164 && seen.has(e164)) continue;
+    if (e164) seen.add(e164);
+
+    await client.query(
+      `INSERT INTO contact_phone_numbers
+       (contact_id, phone_number, phone_e164, phone_type, is_primary)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        created.id,
+        phone.phone_number,
+        e164,
+        phone.phone_type || 'mobile',
+        phone.is_primary || false,
+      ]
+    );
+  }
+
+  // Read back, as each number added bumped the contact's version
+  const withPhones = await getContactWithPhones(created.id, client);
+
+  await recordCreate(
+    client,
+    audit,
+    { ownerId: userId, targetType: 'contact', targetId: created.id },
+    withPhones
+  );
+
+  return withPhones;
+};
+
+// Load a page of a user's contacts with their phone numbers in two queries
+export const listContactsWithPhones = async (userId, { limit = null, offset = 0 } = {}) => {
+  const contacts = await db.query(
+    `SELECT * FROM contacts
+     WHERE user_id = $1 AND deleted_at IS NULL
+     ORDER BY is_emergency DESC, name ASC, id ASC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return attachPhoneNumbers(contacts.rows);
+};
+
+// ---------------------------------------------------------------------------
+// Duplicates and merging
+
+// Numbers compare on their E.164 form, or their digits for older rows
+const PHONE_KEY = "COALESCE(cpn.phone_e164, regexp_replace(cpn.phone_number, '\\D', '', 'g'))";
+
+export const MERGE_FIELDS = ['name', 'is_emergency', 'relationship', 'image'];
+
+/**
+ * Group a user's contacts that are probably the same person: they share a
+ * phone number or their names are at least `threshold` similar (pg_trgm).
+ * Returns [{ contacts, reasons }] with the contacts' phone numbers attached.
+ */
+export const findDuplicateGroups = async (userId, { threshold = 0.6 } = {}) => {
+  const phonePairs = await db.query(
+    `WITH keyed AS (
+       SELECT cpn.contact_id, ${PHONE_KEY} AS phone_key
+       FROM contact_phone_numbers cpn
+       JOIN contacts c ON c.id = cpn.contact_id
+       WHERE c.user_id = $1 AND c.deleted_at IS NULL AND cpn.deleted_at IS NULL
+     )
+     SELECT DISTINCT a.contact_id AS a_id, b.contact_id AS b_id, a.phone_key
+     FROM keyed a
+     JOIN keyed b ON b.phone_key = a.phone_key AND b.contact_id > a.contact_id
+     WHERE a.phone_key <> ''`,
+    [userId]
+  );
+
+  const namePairs = await db.query(
+    `SELECT a.id AS a_id, b.id AS b_id,
+       similarity(LOWER(a.name), LOWER(b.name)) AS score
+     FROM contacts a
+     JOIN contacts b ON b.user_id = a.user_id AND b.id > a.id
+     WHERE a.user_id = $1 AND a.deleted_at IS NULL AND b.deleted_at IS NULL
+       AND similarity(LOWER(a.name), LOWER(b.name)) >= $2`,
+    [userId, threshold]
+  );
+
+  // Union-find over the pairs so A~B and B~C land in one group
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    if (parent.get(id) !== id) parent.set(id, find(parent.get(id)));
+    return parent.get(id);
+  };
+
+  const reasons = [
+    ...phonePairs.rows.map((row) => ({
+      type: 'phone',
+      phone: row.phone_key,
+      contact_ids: [row.a_id, row.b_id],
+    })),
+    ...namePairs.rows.map((row) => ({
+      type: 'name',
+      similarity: Math.round(row.score * 100) / 100,
+      contact_ids: [row.a_id, row.b_id],
+    })),
+  ];
+
+  for (const reason of reasons) {
+    parent.set(find(reason.contact_ids[0]), find(reason.contact_ids[1]));
+  }
+
+  const groups = new Map();
+  for (const reason of reasons) {
+    const root = find(reason.contact_ids[0]);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), reasons: [] });
+    const group = groups.get(root);
+    reason.contact_ids.forEach((id) => group.ids.add(id));
+    group.reasons.push(reason);
+  }
+
+  if (groups.size === 0) return [];
+
+  const allIds = [...groups.values()].flatMap((group) => [...group.ids]);
+  const contacts = await db.query('SELECT * FROM contacts WHERE id = ANY($1) ORDER BY id', [
+    allIds,
+  ]);
+  const byId = new Map(
+    (await attachPhoneNumbers(contacts.rows)).map((contact) => [contact.id, contact])
+  );
+
+  return [...groups.values()].map((group) => ({
+    contacts: [...group.ids].sort((a, b) => a - b).map((id) => byId.get(id)),
+    reasons: group.reasons,
+  }));
+};
+
+/**
+ * Merge `mergeIds` into `survivorId` using a transaction client.
+ *
+ * `fields` picks, per field in MERGE_FIELDS, the contact whose value wins.
+ * Fields where the contacts hold different non-null values must be picked;
+ * otherwise the survivor's value (or the only non-null one) is kept.
+ * `primaryPhoneId` picks the primary number and is required when more than
+ * one contact has a primary. Numbers are moved to the survivor unless it
+ * already has the same number; the other contacts are then deleted outright
+ * rather than moved to the trash, since the merge was confirmed explicitly.
+ *
+ * Every change is audited with `audit` (see auditContext).
+ *
+ * Returns { contact } or { conflicts } when a required choice is missing.
+ * Throws a 404 error when a contact is not the user's.
+ */
+export const mergeContacts = async (
+  client,
+  userId,
+  { survivorId, mergeIds, fields = {}, primaryPhoneId = null, audit = null }
+) => {
+  const ids = [survivorId, ...mergeIds];
+
+  const contactResult = await client.query(
+    `SELECT * FROM contacts
+     WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [ids, userId]
+  );
+  if (contactResult.rows.length !== ids.length) {
+    throw httpError(404, 'Contact not found');
+  }
+
+  const contacts = new Map(contactResult.rows.map((contact) => [contact.id, contact]));
+  const survivor = contacts.get(survivorId);
+
+  // Field values: explicit choice, else the single distinct non-null value
+  const conflicts = {};
+  const values = {};
+  for (const field of MERGE_FIELDS) {
+    if (fields[field] !== undefined) {
+      if (!contacts.has(fields[field])) {
+        throw httpError(
+          400,
+          `fields.${field} must be one of the merged contact ids`,
+          'invalid_merge_choice'
+        );
+      }
+      values[field] = contacts.get(fields[field])[field];
+      continue;
+    }
+
+    const distinct = [
+      ...new Set(
+        contactResult.rows.map((contact) => contact[field]).filter((value) => value !== null)
+      ),
+    ];
+    if (distinct.length > 1) {
+      conflicts[field] = contactResult.rows.map((contact) => ({
+        contact_id: contact.id,
+        value: contact[field],
+      }));
+    } else {
+      values[field] = survivor[field] ?? distinct[0] ?? null;
+    }
+  }
+
+  const phoneResult = await client.query(
+    `SELECT cpn.*, ${PHONE_KEY} AS phone_key
+     FROM contact_phone_numbers cpn
+     WHERE cpn.contact_id = ANY($1) AND cpn.deleted_at IS NULL
+     ORDER BY cpn.id`,
+    [ids]
+  );
+  // Rows without any digits never count as the same number
+  const phones = phoneResult.rows.map((phone) => ({
+    ...phone,
+    phone_key: phone.phone_key || `id:${phone.id}`,
+  }));
+
+  if (primaryPhoneId !== null && !phones.some((phone) => phone.id === primaryPhoneId)) {
+    throw httpError(
+      400,
+      'primary_phone_id must belong to one of the merged contacts',
+      'invalid_merge_choice'
+    );
+  }
+
+  const primaries = phones.filter((phone) => phone.is_primary);
+  if (primaryPhoneId === null && new Set(primaries.map((p) => p.phone_key)).size > 1) {
+    conflicts.primary_phone_id = primaries.map((phone) => ({
+      contact_id: phone.contact_id,
+      phone_number_id: phone.id,
+      phone_number: phone.phone_number,
+    }));
+  }
+
+  if (Object.keys(conflicts).length > 0) return { conflicts };
+
+  // One row per number: the chosen primary wins, then the survivor's own row
+  const rank = (phone) =>
+    (phone.id === primaryPhoneId ? 0 : 2) + (phone.contact_id === survivorId ? 0 : 1);
+  const kept = new Map();
+  for (const phone of phones) {
+    const current = kept.get(phone.phone_key);
+    if (!current || rank(phone) < rank(current)) kept.set(phone.phone_key, phone);
+  }
+  const keptRows = [...kept.values()];
+
+  const primaryKey =
+    primaryPhoneId !== null
+      ? phones.find((phone) => phone.id === primaryPhoneId).phone_key
+      : primaries[0]?.phone_key;
+
+  const target = (targetType, targetId) => ({ ownerId: userId, targetType, targetId });
+  // Snapshots without the merge-only phone_key
+  const phoneRow = (phone) => {
+    const row = { ...phone };
+    delete row.phone_key;
+    return row;
+  };
+
+  // Duplicates go first so the unique (contact_id, phone_e164) index holds
+  const removed = await client.query(
+    `DELETE FROM contact_phone_numbers
+     WHERE contact_id = ANY($1) AND NOT (id = ANY($2)) AND deleted_at IS NULL
+     RETURNING *`,
+    [ids, keptRows.map((phone) => phone.id)]
+  );
+  for (const phone of removed.rows) {
+    await recordDelete(client, audit, target('phone_number', phone.id), phone);
+  }
+
+  for (const phone of keptRows) {
+    const moved = await client.query(
+      `UPDATE contact_phone_numbers SET contact_id = $1, is_primary = $2
+       WHERE id = $3
+       RETURNING *`,
+      [survivorId, phone.phone_key === primaryKey, phone.id]
+    );
+    if (
+      moved.rows[0].contact_id !== phone.contact_id ||
+      moved.rows[0].is_primary !== phone.is_primary
+    ) {
+      await recordUpdate(
+        client,
+        audit,
+        target('phone_number', phone.id),
+        phoneRow(phone),
+        moved.rows[0]
+      );
+    }
+  }
+
+  const updated = await client.query(
+    `UPDATE contacts SET
+       name = $1, is_emergency = $2, relationship = $3, image = $4, updated_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [values.name, values.is_emergency, values.relationship, values.image, survivorId]
+  );
+  await recordUpdate(client, audit, target('contact', survivorId), survivor, updated.rows[0]);
+
+  await client.query('DELETE FROM contacts WHERE id = ANY($1)', [mergeIds]);
+  for (const id of mergeIds) {
+    await recordDelete(client, audit, target('contact', id), {
+      ...contacts.get(id),
+      merged_into: survivorId,
+    });
+  }
+
+  return { contact: await getContactWithPhones(survivorId, client) };
+};
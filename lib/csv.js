@@ -0,0 +1,78 @@
+// lib/csv.js
+
+// Minimal RFC 4180 CSV support: quoted fields, "" escapes, embedded newlines
+// and CRLF/LF/CR line endings. Uploads are small enough (MAX_IMPORT_BYTES in
+// lib/services/contacts.js) to be parsed from the whole text.
+
+/**
+ * Parse CSV text, yielding one array of fields per record. A leading byte
+ * order mark is ignored.
+ */
+export function* parseCsv(text, { delimiter = ',' } = {}) {
+  let field = '';
+  let record = [];
+  let quoted = false;
+  let afterQuote = false;
+  let pendingCR = false;
+
+  const endRecord = () => {
+    record.push(field);
+    const done = record;
+    field = '';
+    record = [];
+    return done;
+  };
+
+  for (const char of text.replace(/^\uFEFF/, '')) {
+    // A lone CR ends a record; CRLF counts once
+    if (pendingCR) {
+      pendingCR = false;
+      if (char === '\n') continue;
+    }
+
+    if (quoted) {
+      if (char === '"') {
+        quoted = false;
+        afterQuote = true;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      // "" inside a quoted field is a literal quote
+      if (afterQuote) field += '"';
+      quoted = true;
+      afterQuote = false;
+      continue;
+    }
+
+    afterQuote = false;
+
+    if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      pendingCR = char === '\r';
+      yield endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    yield endRecord();
+  }
+}
+
+// Quote a value when needed and defuse spreadsheet formulas
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise rows (arrays of values) as CSV text
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
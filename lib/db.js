@@ -45,21 +45,16 @@ const db = {
       client.release();
     }
   },
-  
-  // Transaction helper
-  async transaction(callback) {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      const result = await callback(client);
-      await client.query('COMMIT');
-      return result;
-    } catch (e) {
-      await client.query('ROLLBACK');
-      throw e;
-    } finally {
-      client.release();
-    }
+
+  // Dedicated client for session-scoped work such as advisory locks.
+  // Callers must release() it.
+  async connect() {
+    return pool.connect();
+  },
+
+  // Close the pool so CLI scripts can exit
+  async end() {
+    await pool.end();
   }
 };
 
@@ -0,0 +1,166 @@
+// lib/delegations.js
+import crypto from 'crypto';
+import { recordCreate, recordUpdate } from './audit.js';
+import db from './db.js';
+import { hashToken, httpError } from './utils.js';
+
+// Invitations that let one account read or manage another's contacts. The
+// owner creates an invitation and passes its token on; the other account
+// accepts it while signed in. Access checks live in canAccessContacts
+// (lib/permissions.js). Changes are audited against the owner's account.
+
+const INVITE_TTL_DAYS = Number(process.env.DELEGATION_INVITE_TTL_DAYS) || 7;
+
+export const DELEGATION_ACCESS = ['read', 'read_write'];
+
+const DELEGATION_COLUMNS = `d.id, d.owner_id, o.name AS owner_name, d.delegate_id,
+  u.name AS delegate_name, d.invited_name, d.access, d.invite_expires_at, d.expires_at,
+  d.accepted_at, d.revoked_at, d.created_at`;
+
+const FROM_DELEGATIONS = `contact_delegations d
+  JOIN users o ON o.id = d.owner_id
+  LEFT JOIN users u ON u.id = d.delegate_id`;
+
+// Audit events belong to the owner whose contacts are shared
+const delegationTarget = (row) => ({
+  ownerId: row.owner_id,
+  targetType: 'delegation',
+  targetId: row.id,
+});
+
+/**
+ * Invite another account to the owner's contacts. `invitedName` restricts
+ * who may accept; `expiresAt` ends the grant (null lasts until revoked).
+ * Returns the delegation plus the invitation token, which is shown once.
+ */
+export const createInvitation = async (
+  ownerId,
+  { access, invitedName = null, expiresAt = null },
+  audit = null
+) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const delegation = await db.transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO contact_delegations
+         (owner_id, invited_name, access, invite_hash, invite_expires_at, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), $6)
+       RETURNING *`,
+      [ownerId, invitedName, access, hashToken(token), INVITE_TTL_DAYS, expiresAt]
+    );
+
+    const created = result.rows[0];
+    await recordCreate(client, audit, delegationTarget(created), created);
+
+    return getDelegation(created.id, client);
+  });
+
+  return { ...delegation, token };
+};
+
+export const getDelegation = async (id, client = db) => {
+  const result = await client.query(
+    `SELECT ${DELEGATION_COLUMNS} FROM ${FROM_DELEGATIONS} WHERE d.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Accept an invitation as the given user. Any earlier grant between the
+// same two accounts is replaced.
+export const acceptInvitation = async (userId, token, audit = null) => {
+  const id = await db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT * FROM contact_delegations
+       WHERE invite_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+         AND invite_expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    const invitation = result.rows[0];
+    if (!invitation) throw httpError(400, 'Invalid or expired invitation', 'invalid_invitation');
+
+    if (invitation.owner_id === userId) {
+      throw httpError(400, 'You cannot accept your own invitation', 'self_invitation');
+    }
+
+    if (invitation.invited_name) {
+      const user = await client.query('SELECT name FROM users WHERE id = $1', [userId]);
+      if (user.rows[0]?.name !== invitation.invited_name) {
+        throw httpError(403, 'This invitation is for another account');
+      }
+    }
+
+    const replaced = await client.query(
+      `SELECT * FROM contact_delegations
+       WHERE owner_id = $1 AND delegate_id = $2 AND revoked_at IS NULL
+       FOR UPDATE`,
+      [invitation.owner_id, userId]
+    );
+    for (const before of replaced.rows) {
+      const revoked = await client.query(
+        'UPDATE contact_delegations SET revoked_at = NOW() WHERE id = $1 RETURNING *',
+        [before.id]
+      );
+      await recordUpdate(client, audit, delegationTarget(before), before, revoked.rows[0]);
+    }
+
+    const accepted = await client.query(
+      `UPDATE contact_delegations SET delegate_id = $2, accepted_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [invitation.id, userId]
+    );
+    await recordUpdate(client, audit, delegationTarget(invitation), invitation, accepted.rows[0]);
+
+    return invitation.id;
+  });
+
+  return getDelegation(id);
+};
+
+// Delegations an owner has handed out, including pending invitations
+export const listGranted = async (ownerId) => {
+  const result = await db.query(
+    `SELECT ${DELEGATION_COLUMNS} FROM ${FROM_DELEGATIONS}
+     WHERE d.owner_id = $1 AND d.revoked_at IS NULL
+       AND (d.accepted_at IS NOT NULL OR d.invite_expires_at > NOW())
+     ORDER BY d.created_at DESC`,
+    [ownerId]
+  );
+  return result.rows;
+};
+
+// Accounts whose contacts the user can currently reach
+export const listReceived = async (delegateId) => {
+  const result = await db.query(
+    `SELECT ${DELEGATION_COLUMNS} FROM ${FROM_DELEGATIONS}
+     WHERE d.delegate_id = $1 AND d.revoked_at IS NULL
+       AND (d.expires_at IS NULL OR d.expires_at > NOW())
+     ORDER BY o.name ASC`,
+    [delegateId]
+  );
+  return result.rows;
+};
+
+// Revoke a delegation or pending invitation. Either side may end it.
+// Returns false when the user is not party to an active delegation.
+export const revokeDelegation = async (userId, id, audit = null) =>
+  db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT * FROM contact_delegations
+       WHERE id = $1 AND revoked_at IS NULL AND (owner_id = $2 OR delegate_id = $2)
+       FOR UPDATE`,
+      [id, userId]
+    );
+    const before = result.rows[0];
+    if (!before) return false;
+
+    const revoked = await client.query(
+      'UPDATE contact_delegations SET revoked_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    await recordUpdate(client, audit, delegationTarget(before), before, revoked.rows[0]);
+    return true;
+  });
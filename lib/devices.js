@@ -0,0 +1,189 @@
+// lib/devices.js
+import crypto from 'crypto';
+import { recordCreate, recordDelete, recordUpdate } from './audit.js';
+import db from './db.js';
+import { generateToken, hashToken, httpError } from './utils.js';
+
+const PAIRING_CODE_TTL_MINUTES = Number(process.env.PAIRING_CODE_TTL_MINUTES) || 10;
+const DEVICE_TOKEN_TTL = Number(process.env.DEVICE_TOKEN_TTL) || 60 * 60; // seconds
+
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const DEVICE_COLUMNS = 'id, name, mac, paired_at, last_seen_at';
+
+// The DEVICE_COLUMNS of a full row (audit snapshots need the whole row)
+const toDevice = ({ id, name, mac, paired_at, last_seen_at }) => ({
+  id,
+  name,
+  mac,
+  paired_at,
+  last_seen_at,
+});
+
+// Store every MAC as lower-case, colon-separated pairs
+export const normalizeMac = (mac) =>
+  mac
+    .replace(/[^0-9a-f]/gi, '')
+    .toLowerCase()
+    .match(/.{2}/g)
+    .join(':');
+
+const generatePairingCode = () =>
+  Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  ).join('');
+
+// Issue a one-time code the user types into (or scans on) the new device
+export const createPairingCode = async (userId, deviceName = null, audit = null) => {
+  const code = generatePairingCode();
+
+  return db.transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO device_pairing_codes (user_id, code_hash, device_name, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+       RETURNING *`,
+      [userId, hashToken(code), deviceName, PAIRING_CODE_TTL_MINUTES]
+    );
+
+    const pairing = result.rows[0];
+    await recordCreate(
+      client,
+      audit,
+      { ownerId: userId, targetType: 'device_pairing_code', targetId: pairing.id },
+      pairing
+    );
+
+    return { code, expires_at: pairing.expires_at };
+  });
+};
+
+// Redeem a pairing code and register the device. The returned secret is
+// shown once; the device exchanges it for short-lived tokens afterwards.
+export const pairDevice = async ({ code, mac, name }, audit = null) => {
+  const normalizedMac = normalizeMac(mac);
+
+  return db.transaction(async (client) => {
+    const codeResult = await client.query(
+      `UPDATE device_pairing_codes SET used_at = NOW()
+       WHERE code_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id, device_name`,
+      [hashToken(code.toUpperCase())]
+    );
+
+    if (codeResult.rows.length === 0) {
+      throw httpError(400, 'Invalid or expired pairing code', 'invalid_pairing_code');
+    }
+
+    const { user_id: userId, device_name: codeName } = codeResult.rows[0];
+
+    const existing = await client.query('SELECT * FROM devices WHERE mac = $1 FOR UPDATE', [
+      normalizedMac,
+    ]);
+
+    if (existing.rows.length > 0 && existing.rows[0].user_id !== userId) {
+      throw httpError(409, 'Device is already paired to another account');
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    // Re-pairing a device the user already owns replaces its credential
+    const device = await client.query(
+      `INSERT INTO devices (user_id, name, mac, credential_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (mac) DO UPDATE SET
+         name = EXCLUDED.name,
+         credential_hash = EXCLUDED.credential_hash,
+         paired_at = NOW()
+       RETURNING *`,
+      [userId, name || codeName || 'My device', normalizedMac, hashToken(secret)]
+    );
+
+    const target = { ownerId: userId, targetType: 'device', targetId: device.rows[0].id };
+    if (existing.rows.length > 0) {
+      await recordUpdate(client, audit, target, existing.rows[0], device.rows[0]);
+    } else {
+      await recordCreate(client, audit, target, device.rows[0]);
+    }
+
+    return { device: toDevice(device.rows[0]), device_secret: secret };
+  });
+};
+
+// Exchange a device's MAC and secret for a device-scoped access token
+export const issueDeviceToken = async ({ mac, secret }) => {
+  const result = await db.query(
+    `UPDATE devices SET last_seen_at = NOW()
+     WHERE mac = $1 AND credential_hash = $2
+     RETURNING id, user_id`,
+    [normalizeMac(mac), hashToken(secret)]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(401, 'Invalid device credentials');
+  }
+
+  const { id, user_id: userId } = result.rows[0];
+
+  return {
+    token: generateToken({ userId, did: id, scope: 'device' }, DEVICE_TOKEN_TTL),
+    expires_in: DEVICE_TOKEN_TTL,
+  };
+};
+
+export const listDevices = async (userId) => {
+  const result = await db.query(
+    `SELECT ${DEVICE_COLUMNS} FROM devices
+     WHERE user_id = $1
+     ORDER BY paired_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Select a user's device for update inside a transaction
+const lockDevice = async (client, userId, deviceId) => {
+  const result = await client.query(
+    'SELECT * FROM devices WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [deviceId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const renameDevice = async (userId, deviceId, name, audit = null) =>
+  db.transaction(async (client) => {
+    const before = await lockDevice(client, userId, deviceId);
+    if (!before) return null;
+
+    const result = await client.query('UPDATE devices SET name = $1 WHERE id = $2 RETURNING *', [
+      name,
+      deviceId,
+    ]);
+    await recordUpdate(
+      client,
+      audit,
+      { ownerId: userId, targetType: 'device', targetId: deviceId },
+      before,
+      result.rows[0]
+    );
+
+    return toDevice(result.rows[0]);
+  });
+
+// Unpairing deletes the device, which invalidates its outstanding tokens
+export const unpairDevice = async (userId, deviceId, audit = null) =>
+  db.transaction(async (client) => {
+    const before = await lockDevice(client, userId, deviceId);
+    if (!before) return false;
+
+    await client.query('DELETE FROM devices WHERE id = $1', [deviceId]);
+    await recordDelete(
+      client,
+      audit,
+      { ownerId: userId, targetType: 'device', targetId: deviceId },
+      before
+    );
+    return true;
+  });
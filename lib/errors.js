@@ -0,0 +1,277 @@
+// lib/errors.js
+
+// Error model for the API. Every error response is an RFC 9457 problem
+// document (application/problem+json):
+//
+//   { type, title, status, detail, instance, code, request_id, errors? }
+//
+// `code` is a stable, machine-readable string clients can switch on;
+// `detail` is for people and may change. `errors` lists per-field problems
+// as { field, location, message }; some problems add members of their own,
+// such as `conflicts` on a contact merge. `success: false` and `message`
+// (same as `detail`) are kept for clients of the older { success, message }
+// shape.
+//
+// Throw one of the classes below (or httpError() from lib/utils.js) and
+// errorHandler renders it; apiResponse() renders 4xx/5xx statuses the same way.
+
+const TITLES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  413: 'Content Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Content',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+// Code used when a response doesn't name a more specific one
+const DEFAULT_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  428: 'precondition_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable',
+};
+
+export const defaultCode = (status) =>
+  DEFAULT_CODES[status] || (status >= 500 ? 'internal_error' : 'error');
+
+/**
+ * Base class: an HTTP status, a stable code and a message safe to show the
+ * client. `errors` holds per-field details; `extensions` are extra members
+ * for the problem document; `headers` are set on the response.
+ */
+export class ApiError extends Error {
+  constructor(
+    status,
+    message,
+    { code = defaultCode(status), errors = null, extensions = null, headers = null } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = status;
+    this.code = code;
+    this.errors = errors;
+    this.extensions = extensions;
+    this.headers = headers;
+  }
+}
+
+// `validation_failed` is kept for per-field errors; any other 400 is a
+// `bad_request` unless it names a code of its own
+export class ValidationError extends ApiError {
+  constructor(message = 'Validation error', { code, errors = [] } = {}) {
+    super(400, message, {
+      code: code ?? (errors.length > 0 ? 'validation_failed' : 'bad_request'),
+      errors,
+    });
+  }
+}
+
+export class Unauthorized extends ApiError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(401, message, options);
+  }
+}
+
+export class Forbidden extends ApiError {
+  constructor(message = 'Not authorized', options = {}) {
+    super(403, message, options);
+  }
+}
+
+export class NotFound extends ApiError {
+  constructor(message = 'Not found', options = {}) {
+    super(404, message, options);
+  }
+}
+
+export class Conflict extends ApiError {
+  constructor(message = 'Conflict', options = {}) {
+    super(409, message, options);
+  }
+}
+
+export class PreconditionFailed extends ApiError {
+  constructor(message = 'Precondition failed', options = {}) {
+    super(412, message, options);
+  }
+}
+
+export class Unprocessable extends ApiError {
+  constructor(message = 'Unprocessable content', options = {}) {
+    super(422, message, options);
+  }
+}
+
+export class RateLimited extends ApiError {
+  constructor(message = 'Too many requests, try again later', { retryAfter, ...options } = {}) {
+    super(429, message, {
+      ...options,
+      headers: retryAfter ? { 'Retry-After': String(retryAfter) } : null,
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+const CLASSES = {
+  400: ValidationError,
+  401: Unauthorized,
+  403: Forbidden,
+  404: NotFound,
+  409: Conflict,
+  412: PreconditionFailed,
+  422: Unprocessable,
+  429: RateLimited,
+};
+
+// The class for a status, so httpError(404, ...) is a NotFound
+export const errorForStatus = (status, message, options = {}) => {
+  const ErrorClass = CLASSES[status];
+  return ErrorClass ? new ErrorClass(message, options) : new ApiError(status, message, options);
+};
+
+// express-validator results as { field, location, message }; entries
+// already in that shape pass through. Values are left out: they may be
+// passwords or tokens.
+export const fieldErrors = (errors) =>
+  errors.map((error) =>
+    'msg' in error
+      ? { field: error.path ?? null, location: error.location ?? null, message: error.msg }
+      : error
+  );
+
+// Column named in a Postgres error detail such as "Key (name)=(x) already exists."
+const keyColumn = (error) => /Key \(([^)]+)\)=/.exec(error.detail || '')?.[1] ?? error.column;
+
+/**
+ * Map a Postgres error (one with a SQLSTATE `code`) to an ApiError, or
+ * return null for errors that should stay 500s.
+ */
+export const fromPostgresError = (error) => {
+  if (typeof error.code !== 'string' || !/^[0-9A-Z]{5}$/.test(error.code)) return null;
+
+  const field = keyColumn(error);
+  // Messages are fixed: the driver's text names tables and constraints
+  const fieldError = (message) => (field ? [{ field, location: 'body', message }] : null);
+
+  switch (error.code) {
+    case '23505': // unique_violation
+      return new Conflict(
+        field ? `A record with this ${field} already exists` : 'Duplicate record',
+        {
+          code: 'duplicate',
+          errors: fieldError('Already exists'),
+        }
+      );
+    case '23503': // foreign_key_violation
+      // Removing a row something still points at, vs pointing at a missing row
+      return /update or delete on table/.test(error.message)
+        ? new Conflict('The record is still referenced by other records', {
+            code: 'still_referenced',
+          })
+        : new Unprocessable(`Referenced ${field || 'record'} does not exist`, {
+            code: 'invalid_reference',
+            errors: fieldError('Does not exist'),
+          });
+    case '23502': // not_null_violation
+      return new Unprocessable(`${error.column || 'A required value'} is required`, {
+        code: 'missing_value',
+        errors: error.column
+          ? [{ field: error.column, location: 'body', message: 'Required' }]
+          : null,
+      });
+    case '23514': // check_violation
+      return new Unprocessable('A value is outside the allowed range', {
+        code: 'constraint_violation',
+      });
+    case '22001': // string_data_right_truncation
+      return new Unprocessable('A value is too long', { code: 'value_too_long' });
+    case '22P02': // invalid_text_representation
+    case '22003': // numeric_value_out_of_range
+    case '22007': // invalid_datetime_format
+    case '22008': // datetime_field_overflow
+      return new Unprocessable('A value has the wrong format or is out of range', {
+        code: 'invalid_value',
+      });
+    case '40001': // serialization_failure
+    case '40P01': // deadlock_detected
+      return new Conflict('The request clashed with another change; retry it', {
+        code: 'concurrent_update',
+      });
+    default:
+      return null;
+  }
+};
+
+// Errors raised by express.json() and friends carry `type` and `status`
+const fromBodyParserError = (error) => {
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'Request body is not valid JSON', { code: 'malformed_body' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, 'Request body is too large');
+  }
+  return null;
+};
+
+// Any thrown value as an ApiError. Unknown errors become a 500 whose
+// message is not passed on.
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  const mapped = fromBodyParserError(error) || fromPostgresError(error);
+  if (mapped) return mapped;
+
+  // Plain errors tagged with a status, e.g. Object.assign(new Error(), { statusCode })
+  const status = error.statusCode || error.status;
+  if (status >= 400 && status < 500) return errorForStatus(status, error.message);
+
+  return new ApiError(500, 'Internal Server Error');
+};
+
+/**
+ * The problem+json body for an error. `req` supplies `instance` and the
+ * request ID.
+ */
+export const problemDocument = (error, req = null) => {
+  const status = error.statusCode;
+  return {
+    type: `urn:visionary:problem:${error.code}`,
+    title: TITLES[status] || 'Error',
+    status,
+    detail: error.message,
+    ...(req && { instance: req.originalUrl ?? req.url }),
+    code: error.code,
+    ...(req?.id && { request_id: req.id }),
+    ...(error.errors?.length > 0 && { errors: error.errors }),
+    ...error.extensions,
+    success: false,
+    message: error.message,
+  };
+};
+
+export const sendProblem = (res, error) => {
+  if (error.headers) res.set(error.headers);
+  res
+    .status(error.statusCode)
+    .type('application/problem+json')
+    .json(problemDocument(error, res.req));
+};
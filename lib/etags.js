@@ -0,0 +1,43 @@
+// lib/etags.js
+import { PreconditionFailed } from './errors.js';
+
+// Optimistic concurrency for contacts and users. Their rows carry a
+// `version` that every change bumps (migration 0015; a phone number change
+// bumps its contact's), sent as the strong ETag "<version>" with each read
+// and write. A PUT or DELETE with If-Match is refused with a 412 once the
+// row has moved on, so a caregiver's edit and the user's own can't
+// silently overwrite each other. A GET with a matching If-None-Match gets
+// a 304.
+
+export const etagOf = (version) => `"${version}"`;
+
+// The entity tags in an If-Match or If-None-Match value ("*" included)
+const tagsIn = (header) =>
+  header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+const opaque = (tag) => tag.replace(/^W\//, '');
+
+// Whether If-None-Match still holds `etag` (if any), by weak comparison
+export const notModified = (ifNoneMatch, etag) =>
+  Boolean(ifNoneMatch && etag) &&
+  tagsIn(ifNoneMatch).some((tag) => tag === '*' || opaque(tag) === opaque(etag));
+
+/**
+ * Throws a 412 unless `ifMatch` (an If-Match header value, if any) names
+ * the row's current `version`. Comparison is strong, so weak tags never
+ * match. `noun` words the message; the 412 carries the current ETag.
+ */
+export const checkIfMatch = (ifMatch, version, noun) => {
+  if (ifMatch === undefined) return;
+
+  const etag = etagOf(version);
+  if (tagsIn(ifMatch).some((tag) => tag === '*' || tag === etag)) return;
+
+  throw new PreconditionFailed(`The ${noun} has changed since it was read`, {
+    code: 'version_mismatch',
+    headers: { ETag: etag },
+  });
+};
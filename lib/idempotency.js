@@ -0,0 +1,267 @@
+// lib/idempotency.js
+import crypto from 'crypto';
+import db from './db.js';
+import { Conflict, Unprocessable, ValidationError } from './errors.js';
+
+// Idempotency-Key support for create endpoints. A client that retries a
+// POST with the same key gets the first response replayed instead of a
+// second contact, phone number or alert. Keys belong to one user, and each
+// remembers a fingerprint of the request it was first used for (method,
+// URL and body). Reusing a key for a different request is refused with a
+// 422. A retry that arrives while the first request is still running gets
+// a 409. Responses are kept for IDEMPOTENCY_KEY_TTL_HOURS and then pruned.
+//
+// Both runtimes go through withIdempotencyKey: the Express `idempotent`
+// middleware below and the Next.js one in lib/services/next.js. Client
+// errors are stored and replayed like successes; server errors, and
+// requests that end without a response, release the key.
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// A request still running after this long is taken to be lost (e.g. the
+// process died), and a retry with the same key may start over
+const LOCK_TIMEOUT_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 60;
+const PRUNE_INTERVAL_MS = Number(process.env.IDEMPOTENCY_PRUNE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Response headers stored with the body and repeated on replay
+const REPLAYED_HEADERS = ['ETag', 'Location', 'Content-Disposition'];
+
+// Visible ASCII, as allowed for the header by the IETF draft
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Objects with their keys sorted, so a client that re-serializes the same
+// body in another order still matches
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonical(value[key])])
+    );
+  }
+  return value;
+};
+
+// SHA-256 of the method, URL (with query string) and body
+export const requestFingerprint = ({ method, url, body }) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([method, url, canonical(body ?? null)]))
+    .digest('hex');
+
+// Throws a 400 unless `key` is a usable Idempotency-Key value
+export const checkIdempotencyKey = (key) => {
+  if (!KEY_PATTERN.test(key)) {
+    throw new ValidationError(`${IDEMPOTENCY_HEADER} must be 1-255 visible ASCII characters`, {
+      code: 'invalid_idempotency_key',
+    });
+  }
+};
+
+/**
+ * Claim a key for a request. Returns null when the caller should go ahead
+ * (and then call completeIdempotencyKey), or the stored { status,
+ * contentType, headers, body } to replay when the same request already
+ * completed. Throws a 422 when the key was used for a different request,
+ * and a 409 while that request is still in flight.
+ */
+export const claimIdempotencyKey = async (userId, key, fingerprint) => {
+  // Expired keys and lost requests are claimed afresh
+  const claimed = await db.query(
+    `INSERT INTO idempotency_keys (user_id, key, fingerprint, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+     ON CONFLICT (user_id, key) DO UPDATE SET
+       fingerprint = EXCLUDED.fingerprint,
+       locked_at = NOW(),
+       completed_at = NULL,
+       status = NULL,
+       content_type = NULL,
+       response_body = NULL,
+       response_headers = NULL,
+       expires_at = EXCLUDED.expires_at
+     WHERE idempotency_keys.expires_at <= NOW()
+       OR (idempotency_keys.completed_at IS NULL
+         AND idempotency_keys.fingerprint = EXCLUDED.fingerprint
+         AND idempotency_keys.locked_at < NOW() - make_interval(secs => $5))
+     RETURNING key`,
+    [userId, key, fingerprint, KEY_TTL_HOURS, LOCK_TIMEOUT_SECONDS]
+  );
+  if (claimed.rows.length > 0) return null;
+
+  const result = await db.query('SELECT * FROM idempotency_keys WHERE user_id = $1 AND key = $2', [
+    userId,
+    key,
+  ]);
+  const existing = result.rows[0];
+
+  if (existing && existing.fingerprint !== fingerprint) {
+    throw new Unprocessable(`${IDEMPOTENCY_HEADER} was already used for a different request`, {
+      code: 'idempotency_key_reused',
+    });
+  }
+
+  // Also the case when the first request failed and released the key
+  // between the two queries; the client retries either way
+  if (!existing?.completed_at) {
+    throw new Conflict(`A request with this ${IDEMPOTENCY_HEADER} is still in progress`, {
+      code: 'idempotency_key_in_use',
+      headers: { 'Retry-After': '1' },
+    });
+  }
+
+  return {
+    status: existing.status,
+    contentType: existing.content_type,
+    headers: existing.response_headers ?? {},
+    body: existing.response_body,
+  };
+};
+
+// Forget a claim whose request produced no response worth keeping
+export const releaseIdempotencyKey = async (userId, key) => {
+  await db.query(
+    'DELETE FROM idempotency_keys WHERE user_id = $1 AND key = $2 AND completed_at IS NULL',
+    [userId, key]
+  );
+};
+
+// The REPLAYED_HEADERS among `headers`, whatever the case of their names
+const replayedHeaders = (headers = {}) => {
+  const byName = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return Object.fromEntries(
+    REPLAYED_HEADERS.map((name) => [name, byName[name.toLowerCase()]]).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+};
+
+/**
+ * Store the response to a claimed request for replay, with its
+ * REPLAYED_HEADERS. Server errors release the key instead, so the client
+ * can retry them.
+ */
+export const completeIdempotencyKey = async (
+  userId,
+  key,
+  { status, contentType, headers, body }
+) => {
+  if (status >= 500 || body === undefined) return releaseIdempotencyKey(userId, key);
+
+  await db.query(
+    `UPDATE idempotency_keys
+     SET status = $3, content_type = $4, response_headers = $5, response_body = $6,
+       completed_at = NOW()
+     WHERE user_id = $1 AND key = $2`,
+    [userId, key, status, contentType, replayedHeaders(headers), body]
+  );
+};
+
+/**
+ * Run a request under an Idempotency-Key: `request` is { userId, key,
+ * method, url, body }. The first time, `respond` is called and resolves to
+ * the response it sent or is about to send ({ status, contentType, headers,
+ * body }, `body` as the text sent or null), which is stored; it rejects
+ * when the request ended without one.
+ * Resolves to { replayed, response }: on a retry `respond` is not called
+ * and the stored response comes back, with Idempotent-Replayed: true.
+ */
+export const withIdempotencyKey = async ({ userId, key, method, url, body }, respond) => {
+  checkIdempotencyKey(key);
+
+  const stored = await claimIdempotencyKey(userId, key, requestFingerprint({ method, url, body }));
+  if (stored) {
+    return {
+      replayed: true,
+      response: { ...stored, headers: { ...stored.headers, 'Idempotent-Replayed': 'true' } },
+    };
+  }
+
+  let response;
+  try {
+    response = await respond();
+  } catch (error) {
+    await releaseIdempotencyKey(userId, key);
+    throw error;
+  }
+
+  await completeIdempotencyKey(userId, key, response);
+  return { replayed: false, response };
+};
+
+/**
+ * Express middleware for create endpoints. With an Idempotency-Key header
+ * the first response is stored and replayed to retries (marked
+ * Idempotent-Replayed: true); without one the request goes through as
+ * usual. Use after authenticate and any body parser.
+ */
+export const idempotent = (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) return next();
+
+  // Keep the body as it is sent (res.json ends in res.send with the
+  // serialized text); the response is stored once it finishes
+  let body;
+  const send = res.send.bind(res);
+  res.send = (value) => {
+    if (typeof value === 'string') body = value;
+    return send(value);
+  };
+
+  let started = false;
+  const respond = () =>
+    new Promise((resolve, reject) => {
+      started = true;
+      res.on('close', () => {
+        if (!res.writableFinished) return reject(new Error('Response did not finish'));
+        resolve({
+          status: res.statusCode,
+          contentType: res.get('Content-Type'),
+          headers: res.getHeaders(),
+          body,
+        });
+      });
+      next();
+    });
+
+  const request = {
+    userId: req.user.userId,
+    key,
+    method: req.method,
+    url: req.originalUrl,
+    body: req.body,
+  };
+  withIdempotencyKey(request, respond).then(
+    ({ replayed, response }) => {
+      if (!replayed) return;
+      res
+        .status(response.status)
+        .set(response.headers)
+        .type(response.contentType || 'application/json')
+        .send(response.body);
+    },
+    (error) => {
+      // Before the request started the key was refused; after, the
+      // response has gone out and only storing it failed
+      if (!started) return next(error);
+      console.error('Idempotency key error:', error);
+    }
+  );
+};
+
+// Delete keys past their expiry
+export const pruneIdempotencyKeys = async () => {
+  const result = await db.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+  return result.rowCount;
+};
+
+export const startIdempotencyPruneWorker = (intervalMs = PRUNE_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    pruneIdempotencyKeys().catch((error) => console.error('Idempotency key prune error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,137 @@
+// lib/loginThrottle/index.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import db from '../db.js';
+import { createMemoryStore } from './memory.js';
+import { createPostgresStore } from './postgres.js';
+
+// Brute-force protection for logins. Failed attempts (wrong passwords and
+// wrong second-factor codes alike) are counted per account and per client
+// IP; past the limit the key is locked for a period that doubles with every
+// further failure. Locked keys are refused before any password or code is
+// checked. The account's count is only cleared once sign-in completes.
+//
+// A store is any object with async get(key) -> { failures, lockedUntil } or
+// null, recordFailure(key, { windowSeconds }) -> failures, lock(key, until),
+// clear(key) and prune({ windowSeconds }).
+
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOCKOUT_BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30;
+const LOCKOUT_MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+// Failures older than this are forgotten; keep it above the longest lockout
+const FAILURE_WINDOW_SECONDS = Number(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 24 * 60 * 60;
+const PRUNE_INTERVAL_MS = Number(process.env.LOGIN_THROTTLE_PRUNE_INTERVAL_MS) || 60 * 60 * 1000;
+
+let store = null;
+
+const fromEnv = () => {
+  switch (process.env.LOGIN_THROTTLE_STORE || 'postgres') {
+    case 'postgres':
+      return createPostgresStore();
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE "${process.env.LOGIN_THROTTLE_STORE}"`);
+  }
+};
+
+export const getLoginStore = () => {
+  if (!store) store = fromEnv();
+  return store;
+};
+
+// Swap the active store, e.g. for one shared with other services
+export const setLoginStore = (next) => {
+  store = next;
+};
+
+const accountKey = (username) => `account:${username}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Unknown usernames are compared against this hash so they take as long as
+// a wrong password. Started at load so the first request doesn't pay for it.
+const dummyHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+
+// Seconds until the latest lock on any of the keys ends, or 0
+const retryAfterFor = async (keys) => {
+  const entries = await Promise.all(keys.map((key) => getLoginStore().get(key)));
+  const until = Math.max(0, ...entries.map((entry) => new Date(entry?.lockedUntil || 0).getTime()));
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+};
+
+const recordFailure = async (key, maxFailures) => {
+  const failures = await getLoginStore().recordFailure(key, {
+    windowSeconds: FAILURE_WINDOW_SECONDS,
+  });
+  if (failures < maxFailures) return;
+
+  const seconds = Math.min(
+    LOCKOUT_BASE_SECONDS * 2 ** (failures - maxFailures),
+    LOCKOUT_MAX_SECONDS
+  );
+  await getLoginStore().lock(key, new Date(Date.now() + seconds * 1000));
+};
+
+/**
+ * Seconds until the lockout on an account (and the client IP, if given)
+ * ends, or 0 when neither is locked.
+ */
+export const loginLockout = ({ username, ip = null }) =>
+  retryAfterFor(ip ? [accountKey(username), ipKey(ip)] : [accountKey(username)]);
+
+// Count a failed password or second-factor attempt against the account and IP
+export const recordLoginFailure = async ({ username, ip = null }) => {
+  await recordFailure(accountKey(username), ACCOUNT_MAX_FAILURES);
+  if (ip) await recordFailure(ipKey(ip), IP_MAX_FAILURES);
+};
+
+// Sign-in completed: forget the account's failures. The IP keeps its count
+// so one good account can't reset it for others.
+export const recordLoginSuccess = (username) => getLoginStore().clear(accountKey(username));
+
+/**
+ * Check a username and password. Resolves to { user } on success,
+ * { user: null } for bad credentials (unknown user or wrong password) and
+ * { user: null, retryAfter } while the account or IP is locked out.
+ * Disabled accounts are returned as-is; callers decide what to do with them.
+ * A correct password leaves the failure count alone: call
+ * recordLoginSuccess once any second factor has been checked too.
+ */
+export const verifyLogin = async ({ username, password, ip = null }) => {
+  const retryAfter = await loginLockout({ username, ip });
+  if (retryAfter > 0) return { user: null, retryAfter };
+
+  const result = await db.query('SELECT * FROM users WHERE name = $1 AND deleted_at IS NULL', [
+    username,
+  ]);
+  const user = result.rows[0];
+
+  const match = await bcrypt.compare(password, user ? user.password : await dummyHash);
+  if (!user || !match) {
+    await recordLoginFailure({ username, ip });
+    return { user: null };
+  }
+
+  return { user };
+};
+
+// Clear failed attempts and any lockout for an account
+export const unlockAccount = (username) => getLoginStore().clear(accountKey(username));
+
+// Current lockout for an account: { failures, lockedUntil } or null
+export const getAccountLockout = (username) => getLoginStore().get(accountKey(username));
+
+// Forget failures that have aged out of the window
+export const pruneLoginThrottle = () =>
+  getLoginStore().prune({ windowSeconds: FAILURE_WINDOW_SECONDS });
+
+export const startPruneWorker = (intervalMs = PRUNE_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    pruneLoginThrottle().catch((error) => console.error('Login throttle prune error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+export { createMemoryStore, createPostgresStore };
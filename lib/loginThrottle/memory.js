@@ -0,0 +1,43 @@
+// lib/loginThrottle/memory.js
+
+// In-process store for a single instance, development and tests. Counts are
+// lost on restart and not shared between instances.
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const expired = (entry, windowSeconds) => Date.now() - entry.lastFailureAt > windowSeconds * 1000;
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return entry ? { failures: entry.failures, lockedUntil: entry.lockedUntil } : null;
+    },
+
+    async recordFailure(key, { windowSeconds }) {
+      const entry = entries.get(key);
+      const failures = entry && !expired(entry, windowSeconds) ? entry.failures + 1 : 1;
+      entries.set(key, { ...entry, failures, lastFailureAt: Date.now() });
+      return failures;
+    },
+
+    async lock(key, until) {
+      const entry = entries.get(key);
+      if (entry) entry.lockedUntil = until;
+    },
+
+    async clear(key) {
+      entries.delete(key);
+    },
+
+    async prune({ windowSeconds }) {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (expired(entry, windowSeconds) && !(entry.lockedUntil > new Date())) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+};
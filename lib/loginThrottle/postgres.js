@@ -0,0 +1,50 @@
+// lib/loginThrottle/postgres.js
+import db from '../db.js';
+
+// Default store: the login_throttle table, so every app instance sees the
+// same counts and lockouts.
+export const createPostgresStore = ({ client = db } = {}) => ({
+  async get(key) {
+    const result = await client.query(
+      'SELECT failures, locked_until FROM login_throttle WHERE key = $1',
+      [key]
+    );
+    const row = result.rows[0];
+    return row ? { failures: row.failures, lockedUntil: row.locked_until } : null;
+  },
+
+  // Count starts again once the last failure is older than the window
+  async recordFailure(key, { windowSeconds }) {
+    const result = await client.query(
+      `INSERT INTO login_throttle (key, failures, last_failure_at)
+       VALUES ($1, 1, NOW())
+       ON CONFLICT (key) DO UPDATE SET
+         failures = CASE
+           WHEN login_throttle.last_failure_at < NOW() - make_interval(secs => $2) THEN 1
+           ELSE login_throttle.failures + 1
+         END,
+         last_failure_at = NOW()
+       RETURNING failures`,
+      [key, windowSeconds]
+    );
+    return result.rows[0].failures;
+  },
+
+  async lock(key, until) {
+    await client.query('UPDATE login_throttle SET locked_until = $2 WHERE key = $1', [key, until]);
+  },
+
+  async clear(key) {
+    await client.query('DELETE FROM login_throttle WHERE key = $1', [key]);
+  },
+
+  async prune({ windowSeconds }) {
+    const result = await client.query(
+      `DELETE FROM login_throttle
+       WHERE last_failure_at < NOW() - make_interval(secs => $1)
+         AND (locked_until IS NULL OR locked_until < NOW())`,
+      [windowSeconds]
+    );
+    return result.rowCount;
+  },
+});
@@ -0,0 +1,280 @@
+// lib/migrate.js
+//
+// Versioned schema migrations. Each version lives in migrations/ as a pair of
+// files, e.g. 0002_add_sessions.up.sql and 0002_add_sessions.down.sql.
+//
+//   npm run migrate -- status
+//   npm run migrate -- up [--to <version>] [--dry-run]
+//   npm run migrate -- down --to <version> [--dry-run]
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import db from './db.js';
+
+export const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'migrations'
+);
+
+// Arbitrary but fixed key shared by every instance running migrations
+const LOCK_KEY = 720_110_001;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const label = (migration) => `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+
+// Read migration files, pair up/down scripts and sort by version
+export const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const files = await fs.readdir(dir);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(Number(version)) || { version: Number(version), name };
+
+    if (entry.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${entry.name}, ${name}`);
+    }
+
+    entry[direction] = await fs.readFile(path.join(dir, file), 'utf8');
+    byVersion.set(entry.version, entry);
+  }
+
+  return [...byVersion.values()]
+    .map((migration) => {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(`Migration ${label(migration)} needs both an up and a down file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureTable = (client) =>
+  client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       checksum CHAR(64) NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+
+const getApplied = async (client) => {
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') AS name`);
+  if (!exists.rows[0].name) return [];
+
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+// Refuse to run when an applied migration was edited or removed
+const verify = (migrations, applied) => {
+  for (const row of applied) {
+    const migration = migrations.find((m) => m.version === row.version);
+    if (!migration) {
+      throw new Error(
+        `Applied migration ${row.version}_${row.name} is missing from ${MIGRATIONS_DIR}`
+      );
+    }
+    if (migration.checksum !== row.checksum.trim()) {
+      throw new Error(
+        `Checksum mismatch for ${label(migration)}: file changed after it was applied`
+      );
+    }
+  }
+};
+
+// Run fn with a dedicated client holding the migration advisory lock
+const withLock = async (fn) => {
+  const client = await db.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const runScript = async (client, migration, direction, log) => {
+  log(`-- ${label(migration)} (${direction})`);
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${label(migration)} ${direction} failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// List every migration with its applied state
+export const status = async ({ dir } = {}) => {
+  const migrations = await loadMigrations(dir);
+  const client = await db.connect();
+  try {
+    const applied = await getApplied(client);
+    verify(migrations, applied);
+    return migrations.map((migration) => {
+      const row = applied.find((a) => a.version === migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at : null,
+      };
+    });
+  } finally {
+    client.release();
+  }
+};
+
+// Apply pending migrations up to and including `to` (default: latest)
+export const up = async ({ to = Infinity, dryRun = false, dir, log = console.log } = {}) => {
+  const migrations = await loadMigrations(dir);
+
+  const plan = async (client) => {
+    const applied = await getApplied(client);
+    verify(migrations, applied);
+    const done = new Set(applied.map((a) => a.version));
+    return migrations.filter((m) => !done.has(m.version) && m.version <= to);
+  };
+
+  if (dryRun) {
+    const client = await db.connect();
+    try {
+      const pending = await plan(client);
+      pending.forEach((m) => log(`-- ${label(m)} (up)\n${m.up}`));
+      return pending.map(label);
+    } finally {
+      client.release();
+    }
+  }
+
+  return withLock(async (client) => {
+    await ensureTable(client);
+    const pending = await plan(client);
+    for (const migration of pending) {
+      await runScript(client, migration, 'up', log);
+    }
+    return pending.map(label);
+  });
+};
+
+// Roll back applied migrations newer than `to`, newest first
+export const down = async ({ to, dryRun = false, dir, log = console.log } = {}) => {
+  if (!Number.isInteger(to) || to < 0) {
+    throw new Error('down requires --to <version> (use 0 to roll back everything)');
+  }
+
+  const migrations = await loadMigrations(dir);
+
+  const plan = async (client) => {
+    const applied = await getApplied(client);
+    verify(migrations, applied);
+    return applied
+      .filter((a) => a.version > to)
+      .reverse()
+      .map((a) => migrations.find((m) => m.version === a.version));
+  };
+
+  if (dryRun) {
+    const client = await db.connect();
+    try {
+      const targets = await plan(client);
+      targets.forEach((m) => log(`-- ${label(m)} (down)\n${m.down}`));
+      return targets.map(label);
+    } finally {
+      client.release();
+    }
+  }
+
+  return withLock(async (client) => {
+    const targets = await plan(client);
+    for (const migration of targets) {
+      await runScript(client, migration, 'down', log);
+    }
+    return targets.map(label);
+  });
+};
+
+const parseArgs = (argv) => {
+  const [command = 'status', ...rest] = argv;
+  const options = { dryRun: rest.includes('--dry-run') };
+  const toIndex = rest.indexOf('--to');
+
+  if (toIndex !== -1) {
+    const value = Number(rest[toIndex + 1]);
+    if (!Number.isInteger(value)) {
+      throw new Error('--to expects a migration version number');
+    }
+    options.to = value;
+  }
+
+  return { command, options };
+};
+
+const main = async () => {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case 'status': {
+      const rows = await status();
+      rows.forEach((row) => {
+        const state = row.applied ? `applied ${row.applied_at.toISOString()}` : 'pending';
+        console.log(`${String(row.version).padStart(4, '0')}_${row.name}  ${state}`);
+      });
+      break;
+    }
+    case 'up': {
+      const applied = await up(options);
+      const verb = options.dryRun ? 'Would apply' : 'Applied';
+      console.log(
+        applied.length ? `${verb} ${applied.length} migration(s)` : 'Database is up to date'
+      );
+      break;
+    }
+    case 'down': {
+      const reverted = await down(options);
+      const verb = options.dryRun ? 'Would roll back' : 'Rolled back';
+      console.log(
+        reverted.length ? `${verb} ${reverted.length} migration(s)` : 'Nothing to roll back'
+      );
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use status, up or down.`);
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main()
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
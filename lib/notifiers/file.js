@@ -0,0 +1,20 @@
+// lib/notifiers/file.js
+import fs from 'fs/promises';
+
+// Local adapter: appends each message as a JSON line to `path`, or logs it to
+// the console when no path is given. Used in development and tests.
+export const createFileNotifier = ({ path = null } = {}) => ({
+  channel: path ? 'file' : 'console',
+
+  async send({ to, body, alertId, deliveryId }) {
+    const entry = { to, body, alert_id: alertId, delivery_id: deliveryId, sent_at: new Date() };
+
+    if (path) {
+      await fs.appendFile(path, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log('[alert]', JSON.stringify(entry));
+    }
+
+    return { id: `local-${deliveryId}` };
+  },
+});
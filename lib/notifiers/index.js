@@ -0,0 +1,51 @@
+// lib/notifiers/index.js
+import { createFileNotifier } from './file.js';
+import { createWebhookNotifier } from './webhook.js';
+
+// A notifier is any object with a `channel` name and an async
+// send({ to, body, alertId, deliveryId }) that resolves to { id } or throws.
+let notifier = null;
+
+// Alerts written to the console or a file reach nobody, yet their
+// deliveries are marked sent and the user is told help is on the way. In
+// production ALERT_NOTIFIER must name a real notifier (or one must be
+// installed with setNotifier); server.js calls getNotifier at startup so a
+// missing one stops the deploy.
+const fromEnv = () => {
+  const name = process.env.ALERT_NOTIFIER;
+  const production = process.env.NODE_ENV === 'production';
+
+  if (production && (!name || name === 'console' || name === 'file')) {
+    throw new Error(
+      'ALERT_NOTIFIER must name a delivery channel in production ' +
+        '(the console and file notifiers never reach emergency contacts)'
+    );
+  }
+
+  switch (name || 'console') {
+    case 'webhook':
+    case 'sms':
+      return createWebhookNotifier({
+        url: process.env.ALERT_WEBHOOK_URL,
+        token: process.env.ALERT_WEBHOOK_TOKEN,
+      });
+    case 'file':
+      return createFileNotifier({ path: process.env.ALERT_NOTIFIER_FILE || 'alerts.log' });
+    case 'console':
+      return createFileNotifier();
+    default:
+      throw new Error(`Unknown ALERT_NOTIFIER "${name}"`);
+  }
+};
+
+export const getNotifier = () => {
+  if (!notifier) notifier = fromEnv();
+  return notifier;
+};
+
+// Swap the active notifier, e.g. to plug in another provider
+export const setNotifier = (next) => {
+  notifier = next;
+};
+
+export { createFileNotifier, createWebhookNotifier };
@@ -0,0 +1,33 @@
+// lib/notifiers/webhook.js
+
+// SMS/webhook adapter: POSTs { to, body } as JSON to an SMS gateway or any
+// HTTP endpoint. Non-2xx responses and timeouts count as failed attempts.
+export const createWebhookNotifier = ({ url, token = null, timeoutMs = 10000 }) => {
+  if (!url) {
+    throw new Error('Webhook notifier requires a URL');
+  }
+
+  return {
+    channel: 'sms',
+
+    async send({ to, body, alertId, deliveryId }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ to, body, alert_id: alertId, delivery_id: deliveryId }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+
+      // Gateways usually echo a message id; keep it when they do
+      const payload = await response.json().catch(() => ({}));
+      return { id: payload.id || payload.sid || null };
+    },
+  };
+};
@@ -0,0 +1,484 @@
+// lib/openapi/index.js
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { API_ROUTES } from '../../routes/index.js';
+import db from '../db.js';
+import { IDEMPOTENCY_HEADER, idempotent } from '../idempotency.js';
+import { authenticate, MAX_PAGE_LIMIT, paginate, requireUserSession } from '../utils.js';
+import { renderDocsPage } from './page.js';
+import { COMPONENT_SCHEMAS, RESPONSE_DATA } from './schemas.js';
+
+// OpenAPI 3.1 description of the API, built from the routers in
+// routes/index.js: paths and methods from Express, parameters and request
+// bodies from the express-validator chains given to validateRequest, auth
+// from the middleware in front of each route, and summaries from the
+// comment above each route. Response data is declared in ./schemas.js.
+//
+// A copy is committed as docs/openapi.json. `npm test` runs
+// `npm run openapi -- check`, which fails when the routes no longer match
+// it; `npm run openapi -- write` updates it.
+
+const ROOT = new URL('../../', import.meta.url);
+const SNAPSHOT = new URL('docs/openapi.json', ROOT);
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// express-validator implements these as custom validators, so they are only
+// recognisable by their source. The drift check catches a library upgrade
+// that changes them.
+const CUSTOM_VALIDATORS = [
+  { source: 'value => Array.isArray(value)', schema: { type: 'array' } },
+  { source: "value => typeof value === 'object'", schema: { type: 'object' } },
+  { source: "value => typeof value === 'string'", schema: { type: 'string' } },
+];
+const isExists = (item) => String(item.validator) === 'value => value !== undefined';
+
+// Schema keywords for one standard validator
+const validatorSchema = (name, [option] = []) => {
+  switch (name) {
+    case 'isInt':
+      return {
+        type: 'integer',
+        ...(option?.min !== undefined && { minimum: option.min }),
+        ...(option?.max !== undefined && { maximum: option.max }),
+      };
+    case 'isFloat':
+      return {
+        type: 'number',
+        ...(option?.min !== undefined && { minimum: option.min }),
+        ...(option?.max !== undefined && { maximum: option.max }),
+      };
+    case 'isBoolean':
+      return { type: 'boolean' };
+    case 'isLength':
+      return {
+        type: 'string',
+        ...(option?.min !== undefined && { minLength: option.min }),
+        ...(option?.max !== undefined && { maxLength: option.max }),
+      };
+    case 'isIn':
+      return { enum: option };
+    case 'isEmail':
+      return { type: 'string', format: 'email' };
+    case 'isURL':
+      return { type: 'string', format: 'uri' };
+    case 'isISO8601':
+      return { type: 'string', format: 'date-time' };
+    case 'isUUID':
+      return { type: 'string', format: 'uuid' };
+    case 'isMACAddress':
+      return { type: 'string', pattern: '^[0-9A-Fa-f]{2}([-:.]?[0-9A-Fa-f]{2}){5}$' };
+    case 'matches':
+      return { type: 'string', pattern: String(option) };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Describe one validation chain: { fields, locations, required, forbidden,
+ * schema }. Negated validators other than notEmpty are left out, as is
+ * anything custom the chain doesn't document with `openapi` (see
+ * middleware/validator.js).
+ */
+const describeChain = (chain) => {
+  const context = chain.builder.build();
+  let schema = {};
+  let forbidden = false;
+
+  for (const item of context.stack) {
+    const name = item.validator?.name;
+
+    if (item.constructor.name === 'StandardValidation') {
+      if (name === 'isEmpty' && item.negated) {
+        schema = { ...schema, minLength: Math.max(schema.minLength ?? 0, 1) };
+      } else if (!item.negated) {
+        const { minLength, ...rest } = validatorSchema(name, item.options);
+        schema = { ...schema, ...rest };
+        if (minLength !== undefined) schema.minLength = Math.max(schema.minLength ?? 0, minLength);
+      }
+    } else if (item.constructor.name === 'CustomValidation') {
+      if (isExists(item)) {
+        forbidden = item.negated;
+        continue;
+      }
+      const known = CUSTOM_VALIDATORS.find(({ source }) =>
+        String(item.validator).startsWith(source)
+      );
+      if (known && !item.negated) schema = { ...schema, ...known.schema };
+    }
+  }
+
+  // minLength only makes sense for strings
+  if (schema.minLength !== undefined && schema.type === undefined) schema.type = 'string';
+  if (schema.minLength !== undefined && schema.type !== 'string') delete schema.minLength;
+  if (schema.enum && !schema.type) schema.type = 'string';
+
+  return {
+    fields: context.fields,
+    locations: context.locations,
+    required: context.optional === false,
+    forbidden,
+    schema: { ...schema, ...chain.openapi },
+  };
+};
+
+// Place a possibly nested field ("location.latitude", "merge_ids.*",
+// "phone_numbers.*.phone_type") into an object schema
+const addProperty = (root, field, schema, required) => {
+  const parts = field.split('.');
+  let node = root;
+
+  parts.forEach((part, index) => {
+    const last = index === parts.length - 1;
+
+    if (part === '*') {
+      // Under an object it's a map value, otherwise an array item
+      const key = node.type === 'object' ? 'additionalProperties' : 'items';
+      if (key === 'items') node.type = 'array';
+      node[key] = last ? { ...node[key], ...schema } : node[key] || { type: 'object' };
+      node = node[key];
+      return;
+    }
+
+    node.type = node.type || 'object';
+    node.properties = node.properties || {};
+    node.properties[part] = last
+      ? { ...node.properties[part], ...schema }
+      : node.properties[part] || { type: 'object' };
+
+    if (last && required) node.required = [...new Set([...(node.required || []), part])];
+    node = node.properties[part];
+  });
+};
+
+// Summary, description and success status for each route, read from the
+// comment above `router.<method>('<path>'` and the first 2xx apiResponse,
+// and whether it sends an ETag (etagOf) or honours If-Match
+const readRouteSource = (source) => {
+  const text = fs.readFileSync(new URL(source, ROOT), 'utf8');
+  const routes = new Map();
+  const pattern = /((?:^\/\/.*\n)*)^router\.(get|post|put|patch|delete)\(\s*'([^']+)'/gm;
+
+  const matches = [...text.matchAll(pattern)];
+  matches.forEach((match, index) => {
+    const [, comment, method, path] = match;
+    const block = text.slice(match.index, matches[index + 1]?.index ?? text.length);
+    const lines = comment
+      .split('\n')
+      .map((line) => line.replace(/^\/\/\s?/, '').trim())
+      .filter(Boolean);
+    const description = lines.join(' ');
+    const status = /apiResponse\(res, (2\d\d)/.exec(block)?.[1] || '200';
+
+    routes.set(`${method} ${path}`, {
+      summary: description.split(/ - |\. |; /)[0].replace(/\.$/, ''),
+      description,
+      status,
+      etag: block.includes('etagOf('),
+      ifMatch: block.includes("'If-Match'"),
+    });
+  });
+
+  return routes;
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '') || '/';
+
+const envelope = (data) =>
+  data
+    ? {
+        allOf: [
+          { $ref: '#/components/schemas/ApiResponse' },
+          { type: 'object', properties: { data } },
+        ],
+      }
+    : { $ref: '#/components/schemas/ApiResponse' };
+
+const PAGINATION_PARAMETERS = [
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  {
+    name: 'limit',
+    in: 'query',
+    description: `Page size, at most ${MAX_PAGE_LIMIT}; larger values are cut down to it`,
+    schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: 10 },
+  },
+  {
+    name: 'pagination',
+    in: 'query',
+    description: 'Set to "cursor" for keyset pagination',
+    schema: { type: 'string', enum: ['cursor'] },
+  },
+  {
+    name: 'cursor',
+    in: 'query',
+    description: 'next_cursor of the previous page',
+    schema: { type: 'string' },
+  },
+];
+
+const IDEMPOTENCY_PARAMETER = {
+  name: IDEMPOTENCY_HEADER,
+  in: 'header',
+  description: 'Unique per request; a retry with the same key replays the first response',
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+};
+
+const IF_MATCH_PARAMETER = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'ETag from the last read; the change is refused with a 412 if it is out of date',
+  schema: { type: 'string' },
+};
+
+const IF_NONE_MATCH_PARAMETER = {
+  name: 'If-None-Match',
+  in: 'header',
+  description: 'ETag from the last read; answered with a 304 while it is current',
+  schema: { type: 'string' },
+};
+
+const ETAG_HEADER = {
+  ETag: { schema: { type: 'string' }, description: 'Row version, for If-Match and If-None-Match' },
+};
+
+const buildOperation = ({ mount, method, path, handles, source }) => {
+  const openApiPath = toOpenApiPath(mount.path + path);
+  const parameters = [];
+  const body = { type: 'object' };
+
+  for (const chain of handles.flatMap((handle) => handle.validations || [])) {
+    const { fields, locations, required, forbidden, schema } = describeChain(chain);
+    if (forbidden) continue;
+
+    for (const field of fields) {
+      for (const location of locations) {
+        if (location === 'body') {
+          addProperty(body, field, schema, required);
+        } else if (location === 'params' || location === 'query') {
+          const { description, ...parameterSchema } = schema;
+          const where = location === 'params' ? 'path' : 'query';
+
+          // Later chains on the same field add to the first one's schema
+          const existing = parameters.find((p) => p.name === field && p.in === where);
+          if (existing) {
+            Object.assign(existing.schema, parameterSchema);
+            continue;
+          }
+          parameters.push({
+            name: field,
+            in: where,
+            required: where === 'path' || required,
+            ...(description && { description }),
+            ...(schema.type === 'object' && { style: 'deepObject', explode: true }),
+            schema: parameterSchema,
+          });
+        }
+      }
+    }
+  }
+
+  // Path parameters the validators don't mention
+  for (const [, name] of openApiPath.matchAll(/{(\w+)}/g)) {
+    if (!parameters.some((p) => p.in === 'path' && p.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  if (handles.includes(paginate)) parameters.push(...PAGINATION_PARAMETERS);
+  if (handles.includes(idempotent)) parameters.push(IDEMPOTENCY_PARAMETER);
+
+  const authenticated = handles.includes(authenticate);
+  const permission = handles.find((handle) => handle.permission)?.permission;
+  const info = source.get(`${method} ${path}`) || { summary: '', description: '', status: '200' };
+  if (info.etag && method === 'get') parameters.push(IF_NONE_MATCH_PARAMETER);
+  if (info.ifMatch) parameters.push(IF_MATCH_PARAMETER);
+
+  const responses = {
+    [info.status]: {
+      description: 'Success',
+      ...(info.etag && { headers: ETAG_HEADER }),
+      content: {
+        'application/json': { schema: envelope(RESPONSE_DATA[`${method} ${openApiPath}`]) },
+      },
+    },
+  };
+  if (parameters.length > 0 || body.properties) {
+    responses[400] = { $ref: '#/components/responses/ValidationError' };
+  }
+  if (authenticated) responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  if (permission || handles.includes(requireUserSession)) {
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (parameters.some((p) => p.in === 'path')) {
+    responses[404] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (handles.includes(idempotent)) {
+    responses[409] = { $ref: '#/components/responses/IdempotencyConflict' };
+    responses[422] = { $ref: '#/components/responses/IdempotencyKeyReused' };
+  }
+  if (info.etag && method === 'get') responses[304] = { description: 'Not modified' };
+  if (info.ifMatch) responses[412] = { $ref: '#/components/responses/PreconditionFailed' };
+  responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+
+  return [
+    openApiPath,
+    {
+      tags: [mount.tag],
+      summary: info.summary,
+      ...(info.description !== info.summary && { description: info.description }),
+      operationId: `${method}${openApiPath.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (_, c = '') => c.toUpperCase())}`,
+      security: authenticated ? [{ bearerAuth: [] }] : [],
+      ...(permission && { 'x-permission': permission }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(body.properties && {
+        requestBody: {
+          required: Boolean(body.required),
+          content: { 'application/json': { schema: body } },
+        },
+      }),
+      responses,
+    },
+  ];
+};
+
+const errorResponse = (description, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+});
+
+export const buildSpec = () => {
+  const paths = {};
+
+  for (const mount of API_ROUTES) {
+    const source = readRouteSource(mount.source);
+    // Router-level middleware (router.use) applies to the routes after it
+    const shared = [];
+
+    for (const layer of mount.router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+
+      const handles = [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+      for (const method of METHODS.filter((m) => layer.route.methods[m])) {
+        const [path, operation] = buildOperation({
+          mount,
+          method,
+          path: layer.route.path,
+          handles,
+          source,
+        });
+        paths[path] = { ...paths[path], [method]: operation };
+      }
+    }
+  }
+
+  const { version } = JSON.parse(fs.readFileSync(new URL('package.json', ROOT), 'utf8'));
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Visionary API',
+      version,
+      description:
+        'Contacts, emergency alerts and devices for Visionary users. Successful JSON ' +
+        'responses are wrapped in { success, message, data }; errors are RFC 9457 ' +
+        'application/problem+json documents with a stable `code`.',
+    },
+    tags: API_ROUTES.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: COMPONENT_SCHEMAS,
+      responses: {
+        ValidationError: errorResponse('Validation error'),
+        Unauthorized: errorResponse('Missing, invalid or revoked credentials'),
+        Forbidden: errorResponse('Not allowed for this account or credential'),
+        NotFound: errorResponse('Not found'),
+        IdempotencyConflict: errorResponse(
+          'A conflicting change, or a request with the same Idempotency-Key still in progress'
+        ),
+        IdempotencyKeyReused: errorResponse(
+          'Invalid content, or an Idempotency-Key already used for a different request'
+        ),
+        PreconditionFailed: errorResponse('The ETag in If-Match is out of date', ETAG_HEADER),
+        TooManyRequests: errorResponse('Rate limit exceeded', {
+          'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' },
+          'RateLimit-Limit': { schema: { type: 'integer' } },
+          'RateLimit-Remaining': { schema: { type: 'integer' } },
+          'RateLimit-Reset': { schema: { type: 'integer' } },
+        }),
+      },
+    },
+  };
+};
+
+let spec = null;
+
+// Built once per process; the routes don't change at runtime
+export const getSpec = () => {
+  if (!spec) spec = buildSpec();
+  return spec;
+};
+
+const serialize = (document) => `${JSON.stringify(document, null, 2)}\n`;
+
+// "METHOD /path" of every operation that differs between two documents
+const changedOperations = (before, after) => {
+  const keys = new Set();
+  for (const document of [before, after]) {
+    for (const [path, item] of Object.entries(document.paths || {})) {
+      for (const method of Object.keys(item)) keys.add(`${method} ${path}`);
+    }
+  }
+
+  return [...keys].filter((key) => {
+    const [method, path] = key.split(' ');
+    return (
+      JSON.stringify(before.paths?.[path]?.[method]) !==
+      JSON.stringify(after.paths?.[path]?.[method])
+    );
+  });
+};
+
+// CLI: npm run openapi -- write|check
+const main = async () => {
+  const [command] = process.argv.slice(2);
+  const generated = buildSpec();
+
+  if (command === 'write') {
+    fs.mkdirSync(new URL('docs/', ROOT), { recursive: true });
+    fs.writeFileSync(SNAPSHOT, serialize(generated));
+    console.log(`Wrote docs/openapi.json (${Object.keys(generated.paths).length} paths)`);
+    return;
+  }
+  if (command !== 'check') throw new Error('Usage: npm run openapi -- write|check');
+
+  const committed = fs.existsSync(SNAPSHOT) ? fs.readFileSync(SNAPSHOT, 'utf8') : '';
+  if (committed === serialize(generated)) {
+    console.log('docs/openapi.json matches the routes');
+    return;
+  }
+
+  const changed = committed ? changedOperations(JSON.parse(committed), generated) : ['(missing)'];
+  throw new Error(
+    'docs/openapi.json is out of date with the route validators' +
+      (changed.length > 0 ? `:\n  ${changed.join('\n  ')}` : ' (shared components differ)') +
+      '\nRun `npm run openapi -- write` and commit the result.'
+  );
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main()
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
+
+export { renderDocsPage };
@@ -0,0 +1,111 @@
+// lib/openapi/page.js
+
+// A plain HTML rendering of the OpenAPI document for /api/docs. Server-side
+// and script-free, so it works under helmet's default Content Security Policy.
+
+const escape = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+// A short type label such as "integer ≥ 1", "string (date-time)" or "array of string"
+const typeLabel = (schema = {}) => {
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.enum) return schema.enum.map((value) => `"${value}"`).join(' | ');
+
+  const type = [].concat(schema.type || 'any').join(' | ');
+  if (type === 'array') return `array of ${typeLabel(schema.items)}`;
+
+  const notes = [
+    schema.format,
+    schema.minimum !== undefined && `≥ ${schema.minimum}`,
+    schema.maximum !== undefined && `≤ ${schema.maximum}`,
+    schema.minLength !== undefined && `min length ${schema.minLength}`,
+    schema.maxLength !== undefined && `max length ${schema.maxLength}`,
+    schema.pattern && `pattern ${schema.pattern}`,
+  ].filter(Boolean);
+  return notes.length > 0 ? `${type} (${notes.join(', ')})` : type;
+};
+
+// Flatten nested body properties into dotted rows
+const propertyRows = (schema, prefix = '') => {
+  const rows = [];
+  const required = schema.required || [];
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const path = `${prefix}${name}`;
+    rows.push({ name: path, required: required.includes(name), schema: property });
+    if (property.properties) rows.push(...propertyRows(property, `${path}.`));
+    if (property.items?.properties) rows.push(...propertyRows(property.items, `${path}[].`));
+  }
+  return rows;
+};
+
+const table = (rows) =>
+  rows.length === 0
+    ? ''
+    : `<table><tr><th>Name</th><th>Type</th><th>Required</th><th>Notes</th></tr>${rows
+        .map(
+          (row) =>
+            `<tr><td><code>${escape(row.name)}</code></td><td>${escape(typeLabel(row.schema))}</td>` +
+            `<td>${row.required ? 'yes' : ''}</td><td>${escape(row.description || row.schema.description)}</td></tr>`
+        )
+        .join('')}</table>`;
+
+const renderOperation = (path, method, operation) => {
+  const parameters = (operation.parameters || []).map((parameter) => ({
+    name: `${parameter.name} (${parameter.in})`,
+    required: parameter.required,
+    description: parameter.description,
+    schema: parameter.schema,
+  }));
+  const body = operation.requestBody?.content['application/json'].schema;
+  const auth = operation.security.length > 0 ? 'Bearer token' : 'None';
+
+  return `<section class="operation">
+  <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escape(path)}</code></h3>
+  <p><strong>${escape(operation.summary)}</strong></p>
+  ${operation.description ? `<p>${escape(operation.description)}</p>` : ''}
+  <p class="meta">Auth: ${auth}${operation['x-permission'] ? ` · Permission: <code>${escape(operation['x-permission'])}</code>` : ''} · Responses: ${Object.keys(operation.responses).join(', ')}</p>
+  ${parameters.length > 0 ? `<h4>Parameters</h4>${table(parameters)}` : ''}
+  ${body ? `<h4>Body</h4>${table(propertyRows(body))}` : ''}
+</section>`;
+};
+
+export const renderDocsPage = (spec) => {
+  const sections = spec.tags.map(({ name }) => {
+    const operations = Object.entries(spec.paths).flatMap(([path, item]) =>
+      Object.entries(item)
+        .filter(([, operation]) => operation.tags.includes(name))
+        .map(([method, operation]) => renderOperation(path, method, operation))
+    );
+    return `<h2 id="${escape(name)}">${escape(name)}</h2>${operations.join('\n')}`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(spec.info.title)} ${escape(spec.info.version)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  nav a { margin-right: 1rem; }
+  .operation { border-top: 1px solid #ddd; padding: 0.5rem 0; }
+  .method { display: inline-block; min-width: 4rem; padding: 0.1rem 0.4rem; border-radius: 3px; color: #fff; font-size: 0.8rem; text-align: center; }
+  .get { background: #2b7bb9; } .post { background: #2f9e44; } .put { background: #d9822b; }
+  .patch { background: #8e44ad; } .delete { background: #c92a2a; }
+  .meta { color: #555; font-size: 0.9rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; border-bottom: 1px solid #eee; padding: 0.25rem 0.5rem; vertical-align: top; }
+</style>
+</head>
+<body>
+<h1>${escape(spec.info.title)} <small>${escape(spec.info.version)}</small></h1>
+<p>${escape(spec.info.description)} Machine-readable: <a href="/api/openapi.json">/api/openapi.json</a></p>
+<nav>${spec.tags.map(({ name }) => `<a href="#${escape(name)}">${escape(name)}</a>`).join('')}</nav>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,263 @@
+// lib/openapi/schemas.js
+
+// Hand-written schemas for what routes send back. Request shapes come from
+// the validators (see ./index.js); responses can't be read off the code, so
+// they are declared here.
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const dateTime = { type: 'string', format: 'date-time' };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (name) => ({ type: 'array', items: ref(name) });
+
+// Formats added by withPhoneFormats (lib/phone.js)
+const PHONE_FORMATS = {
+  phone_e164: nullable('string'),
+  phone_national: nullable('string'),
+  phone_international: nullable('string'),
+};
+
+export const COMPONENT_SCHEMAS = {
+  // Every successful JSON response is wrapped in this envelope (apiResponse in
+  // lib/utils.js)
+  ApiResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {},
+    },
+  },
+  // RFC 9457 problem document sent for every error (see lib/errors.js)
+  Problem: {
+    type: 'object',
+    required: ['type', 'title', 'status', 'code'],
+    properties: {
+      type: { type: 'string', format: 'uri', examples: ['urn:visionary:problem:not_found'] },
+      title: { type: 'string' },
+      status: { type: 'integer' },
+      detail: { type: 'string' },
+      instance: { type: 'string' },
+      code: { type: 'string', description: 'Stable, machine-readable error code' },
+      request_id: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: nullable('string'),
+            location: nullable('string'),
+            message: { type: 'string' },
+          },
+        },
+      },
+      success: { type: 'boolean', const: false },
+      message: { type: 'string', description: 'Same as detail' },
+    },
+  },
+  Pagination: {
+    type: 'object',
+    description: 'Offset mode has total, page and pages; cursor mode has next_cursor',
+    properties: {
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      pages: { type: 'integer' },
+      next_cursor: nullable('string'),
+    },
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      role: { type: 'string', enum: ['user', 'caregiver', 'admin'] },
+      age: nullable('integer'),
+      mac: nullable('string'),
+      phone_number: nullable('string'),
+      default_region: nullable('string'),
+      image: nullable('string'),
+      version: { type: 'integer', description: 'Row version, sent as the ETag' },
+      ...PHONE_FORMATS,
+    },
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      user: ref('User'),
+      token: { type: 'string', description: 'Access token for the Authorization header' },
+      refresh_token: { type: 'string' },
+      expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+    },
+  },
+  PhoneNumber: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      contact_id: { type: 'integer' },
+      phone_number: { type: 'string' },
+      phone_type: { type: 'string', enum: ['mobile', 'home', 'work'] },
+      is_primary: { type: 'boolean' },
+      created_at: dateTime,
+      ...PHONE_FORMATS,
+    },
+  },
+  Contact: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      name: { type: 'string' },
+      is_emergency: { type: 'boolean' },
+      relationship: nullable('string'),
+      image: nullable('string'),
+      created_at: dateTime,
+      updated_at: dateTime,
+      version: { type: 'integer', description: 'Row version, sent as the ETag' },
+      phone_numbers: listOf('PhoneNumber'),
+    },
+  },
+  Device: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      mac: { type: 'string' },
+      paired_at: dateTime,
+      last_seen_at: { type: ['string', 'null'], format: 'date-time' },
+    },
+  },
+  Delegation: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      owner_id: { type: 'integer' },
+      owner_name: { type: 'string' },
+      delegate_id: nullable('integer'),
+      delegate_name: nullable('string'),
+      invited_name: nullable('string'),
+      access: { type: 'string', enum: ['read', 'read_write'] },
+      invite_expires_at: dateTime,
+      expires_at: { type: ['string', 'null'], format: 'date-time' },
+      accepted_at: { type: ['string', 'null'], format: 'date-time' },
+      revoked_at: { type: ['string', 'null'], format: 'date-time' },
+      created_at: dateTime,
+    },
+  },
+  Alert: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      device_id: nullable('integer'),
+      message: { type: 'string' },
+      severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+      latitude: nullable('string'),
+      longitude: nullable('string'),
+      accuracy_m: nullable('string'),
+      acknowledged_at: { type: ['string', 'null'], format: 'date-time' },
+      created_at: dateTime,
+    },
+  },
+  AuditEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'BIGSERIAL, sent as a string' },
+      actor_id: nullable('integer'),
+      owner_id: { type: 'integer' },
+      target_type: { type: 'string' },
+      target_id: { type: 'integer' },
+      action: { type: 'string' },
+      changes: {
+        type: 'object',
+        additionalProperties: { type: 'object', properties: { before: {}, after: {} } },
+      },
+      request_id: nullable('string'),
+      created_at: dateTime,
+    },
+  },
+  AuditLogEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      admin_id: nullable('integer'),
+      admin_name: nullable('string'),
+      action: { type: 'string' },
+      target_user_id: nullable('integer'),
+      target_user_name: nullable('string'),
+      details: { type: 'object' },
+      ip: nullable('string'),
+      created_at: dateTime,
+    },
+  },
+  TwoFactorStatus: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      enabled_at: { type: ['string', 'null'], format: 'date-time' },
+      recovery_codes_remaining: { type: 'integer' },
+    },
+  },
+};
+
+const paged = (key, name) => ({
+  type: 'object',
+  properties: { [key]: listOf(name), pagination: ref('Pagination') },
+});
+
+// `data` of the success response, by "METHOD /path" as in the document.
+// Operations not listed here are documented with untyped data.
+export const RESPONSE_DATA = {
+  'post /api/auth/login': {
+    oneOf: [
+      ref('Session'),
+      {
+        type: 'object',
+        properties: {
+          two_factor_required: { type: 'boolean', const: true },
+          challenge_token: { type: 'string' },
+          expires_in: { type: 'integer' },
+        },
+      },
+    ],
+  },
+  'post /api/auth/login/2fa': ref('Session'),
+  'post /api/auth/register': ref('Session'),
+  'post /api/auth/refresh': {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      refresh_token: { type: 'string' },
+      expires_in: { type: 'integer' },
+    },
+  },
+  'get /api/users/me': ref('User'),
+  'get /api/users/{id}': ref('User'),
+  'put /api/users/{id}': ref('User'),
+  'get /api/users/me/2fa': ref('TwoFactorStatus'),
+  'get /api/users/me/devices': listOf('Device'),
+  'put /api/users/me/devices/{deviceId}': ref('Device'),
+  'get /api/users/me/activity': paged('events', 'AuditEvent'),
+  'post /api/users/me/delegations': ref('Delegation'),
+  'post /api/users/me/delegations/accept': ref('Delegation'),
+  'get /api/contacts': paged('contacts', 'Contact'),
+  'get /api/contacts/{id}': ref('Contact'),
+  'post /api/contacts': ref('Contact'),
+  'put /api/contacts/{id}': ref('Contact'),
+  'post /api/contacts/{id}/restore': ref('Contact'),
+  // An array, or a page in cursor mode
+  'get /api/phone-numbers/contact/{contactId}': {
+    oneOf: [listOf('PhoneNumber'), paged('phone_numbers', 'PhoneNumber')],
+  },
+  'get /api/phone-numbers/{id}': ref('PhoneNumber'),
+  'post /api/phone-numbers': ref('PhoneNumber'),
+  'put /api/phone-numbers/{id}': ref('PhoneNumber'),
+  'post /api/phone-numbers/{id}/restore': ref('PhoneNumber'),
+  'get /api/alerts': paged('alerts', 'Alert'),
+  'get /api/admin/users': paged('users', 'User'),
+  'get /api/admin/users/{id}': ref('User'),
+  // An array, or a page in cursor mode
+  'get /api/admin/audit-log': {
+    oneOf: [listOf('AuditLogEntry'), paged('entries', 'AuditLogEntry')],
+  },
+};
@@ -0,0 +1,120 @@
+// lib/pagination.js
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+
+// Keyset (cursor) pagination. A cursor is an opaque, HMAC-signed token that
+// carries the sort-key values of the row a page starts after (or before), so
+// pages stay stable while rows are inserted or edited and no COUNT is needed.
+
+const sign = (data) =>
+  crypto
+    .createHmac('sha256', process.env.CURSOR_SECRET || process.env.JWT_SECRET)
+    .update(data)
+    .digest('base64url');
+
+const signature = (sort) => sort.map((s) => `${s.key}:${s.direction}`).join(',');
+
+export const encodeCursor = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+};
+
+// Returns the cursor payload, or null when the token is malformed or tampered with
+export const decodeCursor = (token) => {
+  const [data, mac = ''] = String(token).split('.');
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(mac);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the SQL pieces for one keyset page.
+ *
+ * `sort` is [{ key, direction, expr }] and must end in a unique key (e.g. id).
+ * `expr` is the SQL expression for the key and must be NOT NULL. Parameters
+ * are numbered from `firstParam`.
+ */
+export const keysetQuery = ({ sort, cursor, limit, firstParam = 1 }) => {
+  const backward = cursor?.d === 'prev';
+
+  if (cursor && cursor.s !== signature(sort)) {
+    throw new ValidationError('Cursor does not match the requested sort', {
+      code: 'invalid_cursor',
+    });
+  }
+
+  // Walking backwards flips every comparison and ORDER BY direction
+  const ascending = (s) => (s.direction === 'ASC') !== backward;
+
+  const values = [];
+  let where = 'TRUE';
+
+  if (cursor) {
+    const param = (i) => {
+      values.push(cursor.k[i]);
+      return `$${firstParam + values.length - 1}`;
+    };
+
+    // (a > x) OR (a = x AND b > y) OR ... for mixed directions
+    const branches = sort.map((s, i) => {
+      const equal = sort.slice(0, i).map((prev, j) => `${prev.expr} = ${param(j)}`);
+      const beyond = `${s.expr} ${ascending(s) ? '>' : '<'} ${param(i)}`;
+      return `(${[...equal, beyond].join(' AND ')})`;
+    });
+    where = `(${branches.join(' OR ')})`;
+  }
+
+  return {
+    where,
+    values,
+    orderBy: sort.map((s) => `${s.expr} ${ascending(s) ? 'ASC' : 'DESC'}`).join(', '),
+    // Keys are selected as text so timestamps keep microsecond precision
+    keyColumns: sort.map((s, i) => `(${s.expr})::text AS __k${i}`).join(', '),
+    // One extra row tells us whether another page exists
+    limit: limit + 1,
+  };
+};
+
+/**
+ * Turn the rows fetched with keysetQuery into a page: restores display order,
+ * strips the key columns and works out the next/prev cursors.
+ */
+export const keysetPage = (rows, { sort, cursor, limit }) => {
+  const backward = cursor?.d === 'prev';
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backward) page.reverse();
+
+  const keysOf = (row) => sort.map((s, i) => row[`__k${i}`]);
+  const cursorFor = (row, d) => encodeCursor({ k: keysOf(row), d, s: signature(sort) });
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  // Going forward there is a previous page whenever we started from a cursor;
+  // going backward there is always a next page (the one we came from)
+  const hasNext = backward ? true : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor);
+
+  return {
+    rows: page.map((row) => {
+      const clean = { ...row };
+      sort.forEach((s, i) => delete clean[`__k${i}`]);
+      return clean;
+    }),
+    pagination: {
+      limit,
+      next_cursor: hasNext && last ? cursorFor(last, 'next') : null,
+      prev_cursor: hasPrev && first ? cursorFor(first, 'prev') : null,
+    },
+  };
+};
@@ -0,0 +1,141 @@
+// lib/passwords.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { recordUpdate } from './audit.js';
+import db from './db.js';
+import { unlockAccount } from './loginThrottle/index.js';
+import { getResetChannel } from './resetChannels/index.js';
+import { revokeUserSessions } from './sessions.js';
+import { hashToken, httpError } from './utils.js';
+
+// Self-service password changes: the forgot/reset flow for users who can't
+// sign in, and changing the password while signed in. Admin resets live in
+// lib/admin.js.
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+const userTarget = (userId) => ({ ownerId: userId, targetType: 'user', targetId: userId });
+
+// Store a new password hash and audit it (the diff only says it changed)
+const setPassword = async (client, audit, before, password) => {
+  const hashed = await bcrypt.hash(password, 10);
+  const result = await client.query(
+    'UPDATE users SET password = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+    [before.id, hashed]
+  );
+  await recordUpdate(client, audit, userTarget(before.id), before, result.rows[0]);
+  return result.rows[0];
+};
+
+// Issue a reset token for a live account and send it. Runs after the
+// caller has answered (see requestPasswordReset).
+const issueResetToken = async (channel, username, ip) => {
+  const result = await db.query(
+    `SELECT id, name, phone_e164 FROM users
+     WHERE name = $1 AND disabled_at IS NULL AND deleted_at IS NULL`,
+    [username]
+  );
+  const user = result.rows[0];
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const issued = await db.transaction(async (client) => {
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [
+      user.id,
+    ]);
+    const inserted = await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, ip)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)
+       RETURNING expires_at`,
+      [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES, ip]
+    );
+    return inserted.rows[0];
+  });
+
+  await channel.send({
+    userId: user.id,
+    name: user.name,
+    to: user.phone_e164,
+    token,
+    expiresAt: issued.expires_at,
+  });
+};
+
+/**
+ * Issue a reset token for the named account and send it through the reset
+ * channel. Any earlier unused token for the account stops working. Unknown,
+ * disabled and deleted accounts are silently skipped.
+ *
+ * The lookup, the token write and the delivery all happen in the
+ * background: the promise resolves at once either way, so neither the
+ * answer nor its timing shows whether the account exists. It resolves to
+ * { delivery }, a promise of that background work (errors are logged,
+ * never thrown). Throws when no reset channel is configured (see
+ * lib/resetChannels).
+ */
+export const requestPasswordReset = async (username, { ip = null } = {}) => {
+  // Resolved first, so a misconfigured channel fails every request alike
+  const channel = getResetChannel();
+
+  const delivery = issueResetToken(channel, username, ip).catch((error) => {
+    console.error('Password reset delivery error:', error);
+  });
+
+  return { delivery };
+};
+
+/**
+ * Set a new password with a reset token. The token is used up, every
+ * session of the account is revoked and any login lockout is cleared.
+ */
+export const completePasswordReset = async (token, password, audit = null) => {
+  const user = await db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT t.id AS token_id, u.*
+       FROM password_reset_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW()
+         AND u.disabled_at IS NULL AND u.deleted_at IS NULL
+       FOR UPDATE OF t, u`,
+      [hashToken(token)]
+    );
+    if (result.rows.length === 0) {
+      throw httpError(400, 'Invalid or expired reset token', 'invalid_reset_token');
+    }
+
+    const { token_id: tokenId, ...before } = result.rows[0];
+    await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [tokenId]);
+    await revokeUserSessions(before.id, 'password_reset', { client });
+
+    return setPassword(client, { ...audit, actorId: before.id }, before, password);
+  });
+
+  await unlockAccount(user.name);
+  return user;
+};
+
+/**
+ * Change a signed-in user's password. Needs the current password; every
+ * other session is revoked, leaving `sessionId` (the caller's) signed in.
+ */
+export const changePassword = async (
+  userId,
+  { currentPassword, password, sessionId = null },
+  audit = null
+) =>
+  db.transaction(async (client) => {
+    const result = await client.query(
+      'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    const before = result.rows[0];
+    if (!before) throw httpError(404, 'User not found');
+
+    if (!(await bcrypt.compare(currentPassword, before.password))) {
+      throw httpError(403, 'Current password is incorrect');
+    }
+
+    await revokeUserSessions(userId, 'password_changed', { except: sessionId, client });
+    return setPassword(client, audit, before, password);
+  });
@@ -0,0 +1,62 @@
+// lib/permissions.js
+import db from './db.js';
+
+// Role-based access control. Each role grants a set of permissions; routes
+// ask for a permission with authorize() (lib/utils.js), never for a role.
+
+export const ROLES = ['user', 'caregiver', 'admin'];
+
+const USER_PERMISSIONS = ['profile:manage', 'contacts:manage', 'alerts:send', 'devices:manage'];
+
+// Caregivers can also act on contacts other users have shared with them
+// through a delegation (canAccessContacts). An admin grants the role.
+const CAREGIVER_PERMISSIONS = [...USER_PERMISSIONS, 'contacts:delegated'];
+
+const ADMIN_PERMISSIONS = [
+  ...CAREGIVER_PERMISSIONS,
+  'users:read',
+  'users:list',
+  'users:disable',
+  'users:reset_password',
+  'users:unlock',
+  'users:set_role',
+  'audit:read',
+];
+
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  caregiver: CAREGIVER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * The single access check for a user's contacts and their phone numbers.
+ * Owners may do anything; anyone else needs the contacts:delegated
+ * permission and an accepted delegation that is neither revoked nor
+ * expired. `action` is 'read' or 'write'; writing needs read_write access.
+ */
+export const canAccessContacts = async (user, ownerId, action = 'read') => {
+  if (!user) return false;
+  if (user.userId === ownerId) return true;
+  if (!hasPermission(user.role, 'contacts:delegated')) return false;
+
+  const access = action === 'write' ? ['read_write'] : ['read', 'read_write'];
+  const result = await db.query(
+    `SELECT 1 FROM contact_delegations
+     WHERE owner_id = $1 AND delegate_id = $2 AND access = ANY($3)
+       AND accepted_at IS NOT NULL AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+    [ownerId, user.userId, access]
+  );
+  return result.rows.length > 0;
+};
+
+// `ownerId` when `user` may write that owner's contacts, else undefined.
+// Validation rules use it to read phone numbers in the owner's region (see
+// requestPhoneRegion) before the service has run its own access check.
+export const writableOwner = async (user, ownerId) =>
+  ownerId && (await canAccessContacts(user, ownerId, 'write')) ? ownerId : undefined;
@@ -0,0 +1,101 @@
+// lib/phone.js
+import {
+  isSupportedCountry,
+  parsePhoneNumberFromString,
+  validatePhoneNumberLength,
+} from 'libphonenumber-js/max';
+import db from './db.js';
+
+// Phone numbers are stored as typed (phone_number) plus a canonical E.164
+// form (phone_e164) used for de-duplication and outgoing messages. Numbers
+// without a +country prefix are read in the owner's default region.
+
+export const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+const LENGTH_PROBLEMS = {
+  NOT_A_NUMBER: 'is not a phone number',
+  INVALID_COUNTRY: 'needs a +country code',
+  TOO_SHORT: 'is too short',
+  TOO_LONG: 'is too long',
+  INVALID_LENGTH: 'has the wrong number of digits',
+};
+
+// Uppercased ISO 3166-1 alpha-2 code, or null when unsupported
+export const normalizeRegion = (region) => {
+  const code = String(region || '')
+    .trim()
+    .toUpperCase();
+  return isSupportedCountry(code) ? code : null;
+};
+
+/**
+ * Explain why `input` cannot be a phone number when read in `region`, or
+ * return null when it is valid.
+ */
+export const phoneNumberProblem = (input, region = DEFAULT_PHONE_REGION) => {
+  const where = String(input).trim().startsWith('+') ? '' : ` for region ${region}`;
+  const lengthProblem = validatePhoneNumberLength(String(input), region);
+  if (lengthProblem) {
+    return `Phone number ${LENGTH_PROBLEMS[lengthProblem] || 'is not valid'}${where}`;
+  }
+
+  const parsed = parsePhoneNumberFromString(String(input), region);
+  if (!parsed || !parsed.isValid()) {
+    return `Phone number is not a valid number${where}`;
+  }
+  return null;
+};
+
+// Canonical E.164 form ("+12025550143"), or null when the number is invalid
+export const toE164 = (input, region = DEFAULT_PHONE_REGION) => {
+  if (!input) return null;
+  const parsed = parsePhoneNumberFromString(String(input), region);
+  return parsed && parsed.isValid() ? parsed.number : null;
+};
+
+/**
+ * Add display formats to a row with phone_number/phone_e164 columns:
+ * phone_national ("(202) 555-0143") and phone_international ("+1 202 555 0143").
+ * Both are null when the number cannot be parsed.
+ */
+export const withPhoneFormats = (row, region = DEFAULT_PHONE_REGION) => {
+  if (!row) return row;
+  const parsed = parsePhoneNumberFromString(
+    String(row.phone_e164 || row.phone_number || ''),
+    region
+  );
+  const valid = parsed && parsed.isValid();
+
+  return {
+    ...row,
+    phone_national: valid ? parsed.formatNational() : null,
+    phone_international: valid ? parsed.formatInternational() : null,
+  };
+};
+
+// The region a user's national-format numbers are read in
+export const getUserRegion = async (userId, client = db) => {
+  const result = await client.query('SELECT default_region FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.default_region || DEFAULT_PHONE_REGION;
+};
+
+/**
+ * Region for the numbers in a request: an explicit `default_region` in the
+ * body, else the region of `ownerId` - the account the numbers are stored
+ * for, by default the signed-in user - else the server default. A delegate
+ * typing a number for someone else's contact passes that owner, so the same
+ * digits mean the same number whoever enters them. Imports that already
+ * know the region set `req.phoneRegion` instead.
+ */
+export const requestPhoneRegion = async (req, ownerId = req.user?.userId) => {
+  if (req.phoneRegion) return req.phoneRegion;
+
+  const explicit = normalizeRegion(req.body?.default_region);
+  if (explicit) return explicit;
+  if (!ownerId) return DEFAULT_PHONE_REGION;
+
+  // Cached per owner; a request's rules ask for it concurrently
+  req.ownerRegions ??= new Map();
+  if (!req.ownerRegions.has(ownerId)) req.ownerRegions.set(ownerId, getUserRegion(ownerId));
+  return req.ownerRegions.get(ownerId);
+};
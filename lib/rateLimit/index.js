@@ -0,0 +1,110 @@
+// lib/rateLimit/index.js
+import jwt from 'jsonwebtoken';
+import { RateLimited } from '../errors.js';
+import { createMemoryStore } from './memory.js';
+
+// Token-bucket rate limiting. Each route group has its own bucket per
+// client: `capacity` requests at once, refilled evenly over `perSeconds`.
+// Clients are signed-in users when the request carries a valid access token
+// and IP addresses otherwise.
+//
+// A store is any object with an async take(key, { capacity, refillPerSecond })
+// that removes one token if it can and resolves to { allowed, tokens }, where
+// `tokens` is what is left in the bucket (possibly fractional).
+
+// Override a group with RATE_LIMIT_<GROUP>=<capacity>/<seconds>, e.g.
+// RATE_LIMIT_CONTACTS=200/60
+const DEFAULT_LIMITS = {
+  default: { capacity: 100, perSeconds: 60 },
+  auth: { capacity: 20, perSeconds: 60 },
+  users: { capacity: 100, perSeconds: 60 },
+  contacts: { capacity: 100, perSeconds: 60 },
+  alerts: { capacity: 10, perSeconds: 60 },
+  admin: { capacity: 60, perSeconds: 60 },
+};
+
+let store = null;
+
+const fromEnv = () => {
+  switch (process.env.RATE_LIMIT_STORE || 'memory') {
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${process.env.RATE_LIMIT_STORE}"`);
+  }
+};
+
+export const getRateLimitStore = () => {
+  if (!store) store = fromEnv();
+  return store;
+};
+
+// Swap the active store, e.g. for one shared between instances
+export const setRateLimitStore = (next) => {
+  store = next;
+};
+
+export const limitFor = (group) => {
+  const setting = process.env[`RATE_LIMIT_${group.toUpperCase()}`];
+  const match = setting && /^(\d+)\/(\d+)$/.exec(setting);
+  if (setting && !match) {
+    throw new Error(`RATE_LIMIT_${group.toUpperCase()} must look like <capacity>/<seconds>`);
+  }
+
+  const { capacity, perSeconds } = match
+    ? { capacity: Number(match[1]), perSeconds: Number(match[2]) }
+    : DEFAULT_LIMITS[group] || DEFAULT_LIMITS.default;
+  return { capacity, perSeconds, refillPerSecond: capacity / perSeconds };
+};
+
+// The signed-in user when the bearer token verifies, otherwise the IP.
+// Revoked sessions still count as their user, which is what we want here.
+const clientKey = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (token) {
+    try {
+      const { userId } = jwt.verify(token, process.env.JWT_SECRET);
+      if (userId) return `user:${userId}`;
+    } catch {
+      // Fall back to the IP
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Middleware limiting a route group. Sets RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset (seconds until the bucket is full) and RateLimit-Policy, and
+ * fails with RateLimited (429 with Retry-After) once the bucket is empty.
+ */
+export const rateLimit = (group = 'default') => {
+  const limit = limitFor(group);
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await getRateLimitStore().take(`${group}:${clientKey(req)}`, limit);
+    } catch (error) {
+      return next(error);
+    }
+
+    const { allowed, tokens } = result;
+    res.set({
+      'RateLimit-Limit': String(limit.capacity),
+      'RateLimit-Remaining': String(Math.floor(tokens)),
+      'RateLimit-Reset': String(Math.ceil((limit.capacity - tokens) / limit.refillPerSecond)),
+      'RateLimit-Policy': `${limit.capacity};w=${limit.perSeconds}`,
+    });
+
+    if (!allowed) {
+      return next(
+        new RateLimited(undefined, {
+          retryAfter: Math.ceil((1 - tokens) / limit.refillPerSecond),
+        })
+      );
+    }
+    next();
+  };
+};
+
+export { createMemoryStore };
@@ -0,0 +1,33 @@
+// lib/rateLimit/memory.js
+
+// Token buckets held in process memory. Each instance counts on its own, so
+// plug in a shared store when running more than one.
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const buckets = new Map();
+
+  // Tokens in a bucket after refilling it up to now
+  const level = (bucket, { capacity, refillPerSecond }, now) =>
+    Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+
+  // Full buckets hold nothing worth keeping
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (level(bucket, bucket.limit, now) >= bucket.limit.capacity) buckets.delete(key);
+    }
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    async take(key, limit) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+      const tokens = level(bucket, limit, now);
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+
+      buckets.set(key, { tokens: left, updatedAt: now, limit });
+      return { allowed, tokens: left };
+    },
+  };
+};
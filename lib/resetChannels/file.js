@@ -0,0 +1,19 @@
+// lib/resetChannels/file.js
+import fs from 'fs/promises';
+
+// Local adapter: appends each reset token as a JSON line to `path`, or logs it
+// to the console when no path is given. Never use it in production: the
+// token is written out in the clear.
+export const createFileChannel = ({ path = null } = {}) => ({
+  channel: path ? 'file' : 'console',
+
+  async send({ userId, name, to, token, expiresAt }) {
+    const entry = { user_id: userId, name, to, token, expires_at: expiresAt, sent_at: new Date() };
+
+    if (path) {
+      await fs.appendFile(path, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log('[password-reset]', JSON.stringify(entry));
+    }
+  },
+});
@@ -0,0 +1,52 @@
+// lib/resetChannels/index.js
+import { createFileChannel } from './file.js';
+import { createWebhookChannel } from './webhook.js';
+
+// A reset channel is any object with a `channel` name and an async
+// send({ userId, name, to, token, expiresAt }) that gets the token to the
+// account holder. `to` is the account's phone number in E.164, if any.
+let channel = null;
+
+// The file and console channels write tokens out in the clear, so they are
+// for development and tests only. Production has to name a real channel
+// (or install one with setResetChannel) or the server refuses to start.
+const fromEnv = () => {
+  const name = process.env.PASSWORD_RESET_CHANNEL;
+  const production = process.env.NODE_ENV === 'production';
+
+  if (production && (!name || name === 'console' || name === 'file')) {
+    throw new Error(
+      'PASSWORD_RESET_CHANNEL must name a delivery channel in production ' +
+        '(the console and file channels write reset tokens in the clear)'
+    );
+  }
+
+  switch (name || 'console') {
+    case 'webhook':
+    case 'sms':
+      return createWebhookChannel({
+        url: process.env.PASSWORD_RESET_WEBHOOK_URL,
+        token: process.env.PASSWORD_RESET_WEBHOOK_TOKEN,
+      });
+    case 'file':
+      return createFileChannel({
+        path: process.env.PASSWORD_RESET_FILE || 'password-resets.log',
+      });
+    case 'console':
+      return createFileChannel();
+    default:
+      throw new Error(`Unknown PASSWORD_RESET_CHANNEL "${name}"`);
+  }
+};
+
+export const getResetChannel = () => {
+  if (!channel) channel = fromEnv();
+  return channel;
+};
+
+// Swap the active channel, e.g. to send tokens through another provider
+export const setResetChannel = (next) => {
+  channel = next;
+};
+
+export { createFileChannel, createWebhookChannel };
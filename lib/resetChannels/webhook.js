@@ -0,0 +1,36 @@
+// lib/resetChannels/webhook.js
+
+// SMS/webhook adapter: POSTs { to, user_id, name, token, expires_at } as JSON
+// to an SMS gateway or any HTTP endpoint that delivers the token to the
+// account holder. Non-2xx responses and timeouts throw.
+export const createWebhookChannel = ({ url, token = null, timeoutMs = 10000 }) => {
+  if (!url) {
+    throw new Error('Webhook reset channel requires a URL');
+  }
+
+  return {
+    channel: 'sms',
+
+    async send({ userId, name, to, token: resetToken, expiresAt }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({
+          to,
+          user_id: userId,
+          name,
+          token: resetToken,
+          expires_at: expiresAt,
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    },
+  };
+};
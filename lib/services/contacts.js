@@ -0,0 +1,853 @@
+// lib/services/contacts.js
+import { body, param, query } from 'express-validator';
+import {
+  checkBody,
+  contactRules,
+  fieldsParam,
+  phoneNumberField,
+  phoneNumberRules,
+  sortParam,
+} from '../../middleware/validator.js';
+import { recordUpdate } from '../audit.js';
+import {
+  attachPhoneNumbers,
+  findDuplicateGroups,
+  getContactWithPhones,
+  insertContact,
+  listContactsWithPhones,
+  MERGE_FIELDS,
+  mergeContacts,
+} from '../contacts.js';
+import { parseCsv, toCsv } from '../csv.js';
+import db from '../db.js';
+import {
+  ApiError,
+  Conflict,
+  Forbidden,
+  NotFound,
+  Unprocessable,
+  ValidationError,
+} from '../errors.js';
+import { checkIfMatch } from '../etags.js';
+import { keysetPage, keysetQuery } from '../pagination.js';
+import { canAccessContacts, writableOwner } from '../permissions.js';
+import {
+  listTrash as listTrashItems,
+  restoreContact,
+  trashContact,
+  TRASH_TYPES,
+} from '../trash.js';
+import { cardToContact, formatVCards, parseVCards, VCARD_VERSIONS } from '../vcard.js';
+
+// ContactService: reading and changing one account's contacts, for the
+// owner or a delegate (see canAccessContacts).
+
+// Columns clients may sort on or ask for with `fields`
+export const CONTACT_SORT_KEYS = [
+  'name',
+  'relationship',
+  'is_emergency',
+  'created_at',
+  'updated_at',
+  'id',
+];
+export const CONTACT_FIELDS = [
+  'id',
+  'user_id',
+  'name',
+  'is_emergency',
+  'relationship',
+  'image',
+  'created_at',
+  'updated_at',
+  'version',
+  'phone_numbers',
+];
+// Nullable columns are sorted through a NOT NULL expression so keyset
+// pagination can compare them
+const CONTACT_SORT_EXPRESSIONS = { relationship: "COALESCE(relationship, '')" };
+
+const DEFAULT_CONTACT_SORT = [
+  { key: 'is_emergency', direction: 'DESC' },
+  { key: 'name', direction: 'ASC' },
+];
+
+const idParam = () => param('id').isInt().toInt();
+const userIdQuery = () => query('user_id').optional().isInt().toInt();
+
+// Bulk imports, sent as the request body
+export const VCARD_MEDIA_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory', 'text/plain'];
+export const CSV_MEDIA_TYPES = ['text/csv', 'application/csv', 'text/plain'];
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_CARDS = 1000;
+const MAX_IMPORT_ROWS = 5000;
+
+// Contact and phone fields a CSV column can be mapped to. The typed phone
+// targets let one row carry a mobile, home and work number side by side.
+const CSV_CONTACT_TARGETS = ['name', 'is_emergency', 'relationship', 'image'];
+const CSV_PHONE_TARGETS = ['phone_number', 'phone_type', 'is_primary'];
+const CSV_TYPED_PHONE_TARGETS = { mobile_phone: 'mobile', home_phone: 'home', work_phone: 'work' };
+const CSV_TARGETS = [
+  ...CSV_CONTACT_TARGETS,
+  ...CSV_PHONE_TARGETS,
+  ...Object.keys(CSV_TYPED_PHONE_TARGETS),
+];
+const CSV_BOOLEAN_TARGETS = ['is_emergency', 'is_primary'];
+
+export const rules = {
+  list: [
+    query('user_id').optional().isInt().toInt(),
+    query('is_emergency').optional().isBoolean().toBoolean(true),
+    query('relationship').optional().trim().notEmpty(),
+    query('phone_type').optional().isIn(['mobile', 'home', 'work']),
+    query('updated_since').optional().isISO8601().toDate(),
+    sortParam(CONTACT_SORT_KEYS),
+    fieldsParam(CONTACT_FIELDS),
+  ],
+  get: [idParam()],
+  create: [
+    body('user_id').optional().isInt().toInt(),
+    ...contactRules,
+    body('phone_numbers').optional().isArray(),
+    phoneNumberField('phone_numbers.*.phone_number', {
+      owner: (req) => writableOwner(req.user, Number(req.body.user_id) || null),
+    }),
+    body('phone_numbers.*.phone_type').optional().isIn(['mobile', 'home', 'work']),
+  ],
+  update: [
+    idParam(),
+    body('name').optional().trim().notEmpty(),
+    body('is_emergency').optional().isBoolean(),
+    body('relationship').optional().trim(),
+    body('image').optional().trim(),
+  ],
+  remove: [idParam()],
+  restore: [idParam()],
+  search: [
+    query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search term is required'),
+    userIdQuery(),
+  ],
+  duplicates: [
+    query('threshold')
+      .optional()
+      .isFloat({ min: 0.1, max: 1 })
+      .toFloat()
+      .withMessage('threshold must be between 0.1 and 1'),
+    userIdQuery(),
+  ],
+  merge: [
+    body('user_id').optional().isInt().toInt(),
+    body('survivor_id').isInt().toInt(),
+    body('merge_ids')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('merge_ids must list 1 to 50 contact ids'),
+    body('merge_ids.*').isInt().toInt(),
+    body('merge_ids').custom((ids, { req }) => {
+      if (ids.includes(req.body.survivor_id)) {
+        throw new Error('merge_ids must not include survivor_id');
+      }
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('merge_ids must not repeat');
+      }
+      return true;
+    }),
+    body('fields')
+      .optional()
+      .isObject()
+      .custom((fields) => {
+        const unknown = Object.keys(fields).filter((field) => !MERGE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+          throw new Error(
+            `Cannot choose ${unknown.join(', ')}; allowed: ${MERGE_FIELDS.join(', ')}`
+          );
+        }
+        return true;
+      }),
+    body('fields.*').isInt().toInt(),
+    body('primary_phone_id').optional().isInt().toInt(),
+  ],
+  exportVCards: [query('version').optional().isIn(VCARD_VERSIONS), userIdQuery()],
+  importVCards: [userIdQuery()],
+  importCsv: [
+    query('map')
+      .optional()
+      .isObject()
+      .withMessage('map must be given as map[<field>]=<column>')
+      .custom((map) => {
+        const unknown = Object.keys(map).filter((target) => !CSV_TARGETS.includes(target));
+        if (unknown.length > 0) {
+          throw new Error(`Cannot map ${unknown.join(', ')}; allowed: ${CSV_TARGETS.join(', ')}`);
+        }
+        return true;
+      }),
+    query('dry_run').optional().isBoolean().toBoolean(true),
+    userIdQuery(),
+  ],
+  trash: [
+    userIdQuery(),
+    query('type')
+      .optional()
+      .isIn(TRASH_TYPES)
+      .withMessage(`type must be one of ${TRASH_TYPES.join(', ')}`),
+  ],
+};
+
+/**
+ * The account a collection call works on: `userId` when given, otherwise
+ * the caller's own. Throws unless canAccessContacts allows `action`
+ * ('read' or 'write').
+ */
+export const resolveOwner = async (context, userId, action) => {
+  const ownerId = Number(userId ?? context.user.userId);
+
+  if (!Number.isInteger(ownerId)) {
+    throw new ValidationError('user_id must be an integer');
+  }
+
+  if (!(await canAccessContacts(context.user, ownerId, action))) {
+    throw new Forbidden('Not authorized to access these contacts');
+  }
+
+  return ownerId;
+};
+
+// The owner of a live contact, checked for `action`. `verb` words the 403.
+const contactOwner = async (context, id, action, verb) => {
+  const result = await db.query(
+    'SELECT user_id FROM contacts WHERE id = $1 AND deleted_at IS NULL',
+    [id]
+  );
+
+  if (result.rows.length === 0) throw new NotFound('Contact not found');
+
+  const ownerId = result.rows[0].user_id;
+  if (!(await canAccessContacts(context.user, ownerId, action))) {
+    throw new Forbidden(`Not authorized to ${verb} this contact`);
+  }
+
+  return ownerId;
+};
+
+/**
+ * A page of contacts. `filters` is the validated query (user_id,
+ * is_emergency, relationship, phone_type, updated_since, sort, fields);
+ * `page` is the pagination settings (see paginationFrom).
+ * Returns { contacts, pagination }.
+ */
+export const list = async (context, filters, page) => {
+  const ownerId = await resolveOwner(context, filters.user_id, 'read');
+  const { limit } = page;
+  const { is_emergency, relationship, phone_type, updated_since } = filters;
+
+  // Build filters as parameterized conditions
+  const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+  const values = [ownerId];
+
+  if (is_emergency !== undefined) {
+    values.push(is_emergency);
+    conditions.push(`is_emergency = $${values.length}`);
+  }
+
+  if (relationship) {
+    values.push(relationship);
+    conditions.push(`LOWER(relationship) = LOWER($${values.length})`);
+  }
+
+  if (phone_type) {
+    values.push(phone_type);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM contact_phone_numbers cpn
+      WHERE cpn.contact_id = contacts.id AND cpn.deleted_at IS NULL
+        AND cpn.phone_type = $${values.length}
+    )`);
+  }
+
+  if (updated_since) {
+    values.push(updated_since);
+    conditions.push(`updated_at >= $${values.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  // Sort keys and fields come from whitelists, so they are safe to inline.
+  // id is always the final tie-breaker to keep pages stable.
+  const sort = (filters.sort || DEFAULT_CONTACT_SORT).map((s) => ({
+    ...s,
+    expr: CONTACT_SORT_EXPRESSIONS[s.key] || s.key,
+  }));
+  if (!sort.some((s) => s.key === 'id')) sort.push({ key: 'id', direction: 'ASC', expr: 'id' });
+
+  const fields = filters.fields || CONTACT_FIELDS;
+  const withPhones = fields.includes('phone_numbers');
+  const columns = fields.filter((f) => f !== 'phone_numbers');
+  // id is needed to attach phone numbers
+  if (!columns.includes('id')) columns.unshift('id');
+
+  let rows;
+  let pagination;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({ sort, cursor, limit, firstParam: values.length + 1 });
+
+    const contacts = await db.query(
+      `SELECT ${columns.join(', ')}, ${keyset.keyColumns} FROM contacts
+       WHERE ${where} AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${values.length + keyset.values.length + 1}`,
+      [...values, ...keyset.values, keyset.limit]
+    );
+
+    ({ rows, pagination } = keysetPage(contacts.rows, { sort, cursor, limit }));
+  } else {
+    const orderBy = sort.map((s) => `${s.expr} ${s.direction}`).join(', ');
+
+    const contacts = await db.query(
+      `SELECT ${columns.join(', ')} FROM contacts
+       WHERE ${where}
+       ORDER BY ${orderBy}
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, page.offset]
+    );
+
+    const count = await db.query(`SELECT COUNT(*) FROM contacts WHERE ${where}`, values);
+    const total = parseInt(count.rows[0].count);
+
+    rows = contacts.rows;
+    pagination = { total, page: page.page, limit, pages: Math.ceil(total / limit) };
+  }
+
+  return {
+    contacts: withPhones ? await attachPhoneNumbers(rows) : rows,
+    pagination,
+  };
+};
+
+// One contact with its phone numbers
+export const get = async (context, id) => {
+  const contact = await getContactWithPhones(id);
+
+  if (!contact) throw new NotFound('Contact not found');
+
+  if (!(await canAccessContacts(context.user, contact.user_id, 'read'))) {
+    throw new Forbidden('Not authorized to access this contact');
+  }
+
+  return contact;
+};
+
+// Create a contact, with any `phone_numbers`, for `input.user_id` or the caller
+export const create = async (context, input) => {
+  const ownerId = await resolveOwner(context, input.user_id, 'write');
+
+  // Numbers are read in the owner's region, as they were validated
+  const region = await context.phoneRegion(ownerId);
+
+  return db.transaction((client) =>
+    insertContact(client, ownerId, input, { region, audit: context.audit })
+  );
+};
+
+/**
+ * Change a contact's name, is_emergency, relationship or image. With
+ * `ifMatch` (an If-Match header value) the change is refused with a 412
+ * unless the contact is still at that version (see lib/etags.js).
+ */
+export const update = async (
+  context,
+  id,
+  { name, is_emergency, relationship, image },
+  { ifMatch } = {}
+) => {
+  await contactOwner(context, id, 'write', 'update');
+
+  const updated = await db.transaction(async (client) => {
+    const before = await client.query(
+      'SELECT * FROM contacts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
+    if (before.rows.length === 0) return null;
+    checkIfMatch(ifMatch, before.rows[0].version, 'contact');
+
+    const result = await client.query(
+      `UPDATE contacts SET
+        name = COALESCE($1, name),
+        is_emergency = COALESCE($2, is_emergency),
+        relationship = COALESCE($3, relationship),
+        image = COALESCE($4, image),
+        updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [name, is_emergency, relationship, image, id]
+    );
+
+    await recordUpdate(
+      client,
+      context.audit,
+      { ownerId: before.rows[0].user_id, targetType: 'contact', targetId: id },
+      before.rows[0],
+      result.rows[0]
+    );
+    return result.rows[0];
+  });
+
+  if (!updated) throw new NotFound('Contact not found');
+  return updated;
+};
+
+// Move a contact and its phone numbers to the trash; `ifMatch` as for update
+export const remove = async (context, id, { ifMatch } = {}) => {
+  await contactOwner(context, id, 'write', 'delete');
+
+  const deleted = await db.transaction((client) =>
+    trashContact(client, id, context.audit, { ifMatch })
+  );
+  if (!deleted) throw new NotFound('Contact not found');
+};
+
+// Restore a contact from the trash, with the phone numbers deleted with it
+export const restore = async (context, id) => {
+  const result = await db.query(
+    'SELECT user_id FROM contacts WHERE id = $1 AND deleted_at IS NOT NULL',
+    [id]
+  );
+
+  if (result.rows.length === 0) throw new NotFound('Contact not found in trash');
+
+  if (!(await canAccessContacts(context.user, result.rows[0].user_id, 'write'))) {
+    throw new Forbidden('Not authorized to restore this contact');
+  }
+
+  const contact = await restoreContact(id, context.audit);
+  if (!contact) throw new NotFound('Contact not found in trash');
+  return contact;
+};
+
+// Best match first; id keeps pages stable between equal ranks
+const SEARCH_SORT = [
+  { key: 'rank', direction: 'DESC', expr: 'rank' },
+  { key: 'is_emergency', direction: 'DESC', expr: 'is_emergency' },
+  { key: 'name', direction: 'ASC', expr: 'name' },
+  { key: 'id', direction: 'ASC', expr: 'id' },
+];
+
+/**
+ * Contacts of `user_id` (or the caller) matching `q` by name, relationship
+ * or phone digits, closest name match first. `page` as for list (offset or
+ * cursor mode). Returns { contacts, pagination }.
+ */
+export const search = async (context, { q, user_id }, page) => {
+  const ownerId = await resolveOwner(context, user_id, 'read');
+  const { limit } = page;
+  // ILIKE pattern with the user's wildcards escaped
+  const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+  // Partial phone numbers need at least three digits to be meaningful
+  const digits = q.replace(/\D/g, '');
+  const phonePattern = digits.length >= 3 ? `%${digits}%` : null;
+  const values = [ownerId, pattern, q, phonePattern];
+
+  // Matches use the trigram indexes; rank favours the closest name match
+  const matches = `
+    c.user_id = $1 AND c.deleted_at IS NULL AND (
+      c.name ILIKE $2 OR $3 <% c.name
+      OR c.relationship ILIKE $2 OR $3 <% c.relationship
+      OR ($4::text IS NOT NULL AND EXISTS (
+        SELECT 1 FROM contact_phone_numbers p
+        WHERE p.contact_id = c.id AND p.deleted_at IS NULL
+          AND regexp_replace(p.phone_number, '\\D', '', 'g') LIKE $4
+      ))
+    )`;
+
+  const ranked = `
+    SELECT c.*,
+      GREATEST(
+        word_similarity($3, c.name) + CASE WHEN c.name ILIKE $2 THEN 0.5 ELSE 0 END,
+        0.8 * word_similarity($3, COALESCE(c.relationship, '')),
+        CASE WHEN $4::text IS NOT NULL AND EXISTS (
+          SELECT 1 FROM contact_phone_numbers p
+          WHERE p.contact_id = c.id AND p.deleted_at IS NULL
+            AND regexp_replace(p.phone_number, '\\D', '', 'g') LIKE $4
+        ) THEN 1 ELSE 0 END
+      ) AS rank
+    FROM contacts c
+    WHERE ${matches}`;
+
+  let rows;
+  let pagination;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({ sort: SEARCH_SORT, cursor, limit, firstParam: values.length + 1 });
+
+    const contacts = await db.query(
+      `SELECT *, ${keyset.keyColumns} FROM (${ranked}) ranked
+       WHERE ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${values.length + keyset.values.length + 1}`,
+      [...values, ...keyset.values, keyset.limit]
+    );
+
+    ({ rows, pagination } = keysetPage(contacts.rows, { sort: SEARCH_SORT, cursor, limit }));
+  } else {
+    const contacts = await db.query(
+      `SELECT * FROM (${ranked}) ranked
+       ORDER BY ${SEARCH_SORT.map((s) => `${s.expr} ${s.direction}`).join(', ')}
+       LIMIT $5 OFFSET $6`,
+      [...values, limit, page.offset]
+    );
+
+    const count = await db.query(`SELECT COUNT(*) FROM contacts c WHERE ${matches}`, values);
+    const total = parseInt(count.rows[0].count);
+
+    rows = contacts.rows;
+    pagination = { total, page: page.page, limit, pages: Math.ceil(total / limit) };
+  }
+
+  return { contacts: await attachPhoneNumbers(rows), pagination };
+};
+
+// Groups of contacts that are probably the same person (see findDuplicateGroups)
+export const duplicates = async (context, { user_id, threshold }) => {
+  const ownerId = await resolveOwner(context, user_id, 'read');
+  return { groups: await findDuplicateGroups(ownerId, { threshold }) };
+};
+
+/**
+ * Merge `merge_ids` into `survivor_id` (see mergeContacts). Throws a 409
+ * listing the conflicts when `fields` doesn't settle every one; nothing is
+ * changed then.
+ */
+export const merge = async (
+  context,
+  { user_id, survivor_id, merge_ids, fields, primary_phone_id }
+) => {
+  const ownerId = await resolveOwner(context, user_id, 'write');
+
+  const { contact, conflicts } = await db.transaction((client) =>
+    mergeContacts(client, ownerId, {
+      survivorId: survivor_id,
+      mergeIds: merge_ids,
+      fields,
+      primaryPhoneId: primary_phone_id ?? null,
+      audit: context.audit,
+    })
+  );
+
+  // Nothing was changed; the client has to pick a value for each conflict
+  if (conflicts) {
+    throw new Conflict('Choose which value to keep for each conflict', {
+      code: 'merge_conflict',
+      extensions: { conflicts },
+    });
+  }
+
+  return contact;
+};
+
+// Every contact of `user_id` (or the caller) as one .vcf document
+export const exportVCards = async (context, { user_id, version = '3.0' }) => {
+  const ownerId = await resolveOwner(context, user_id, 'read');
+  return formatVCards(await listContactsWithPhones(ownerId), version);
+};
+
+/**
+ * Import a multi-card .vcf document (`text`) for `user_id` or the caller.
+ * Each card is saved on its own; contacts whose name already exists are
+ * skipped, and TEL values that aren't valid numbers in the owner's region
+ * are left out with a warning. Returns { summary, cards } with a report
+ * entry per card.
+ */
+export const importVCards = async (context, { user_id }, text) => {
+  const ownerId = await resolveOwner(context, user_id, 'write');
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ValidationError(
+      'Send the .vcf file as the request body with Content-Type text/vcard'
+    );
+  }
+
+  const cards = parseVCards(text);
+
+  if (cards.length === 0) {
+    throw new ValidationError('No vCards found in upload');
+  }
+
+  if (cards.length > MAX_IMPORT_CARDS) {
+    throw new ApiError(413, `Upload at most ${MAX_IMPORT_CARDS} cards at a time`);
+  }
+
+  // Numbers are read in the owner's region, not the importer's
+  const phoneRegion = await context.phoneRegion(ownerId);
+
+  // Contacts whose name already exists are skipped rather than duplicated
+  const existing = await db.query(
+    'SELECT LOWER(name) AS name FROM contacts WHERE user_id = $1 AND deleted_at IS NULL',
+    [ownerId]
+  );
+  const knownNames = new Set(existing.rows.map((row) => row.name));
+
+  const report = [];
+
+  for (const [index, card] of cards.entries()) {
+    const { contact, warnings, error } = cardToContact(card);
+
+    if (error) {
+      report.push({ card: index + 1, status: 'rejected', reason: error });
+      continue;
+    }
+
+    const entry = { card: index + 1, name: contact.name };
+
+    // TEL values get the POST /api/phone-numbers rules; a bad one is left
+    // out with a warning rather than stored unnormalized
+    const phone_numbers = [];
+    for (const phone of contact.phone_numbers) {
+      const { values, errors } = await checkBody(phoneNumberRules, phone, { phoneRegion });
+      if (errors.length > 0) {
+        warnings.push(`TEL "${phone.phone_number}" ignored: ${errors[0].msg}`);
+      } else {
+        phone_numbers.push(values);
+      }
+    }
+    contact.phone_numbers = phone_numbers;
+
+    if (knownNames.has(contact.name.toLowerCase())) {
+      report.push({
+        ...entry,
+        status: 'skipped',
+        reason: 'A contact with this name already exists',
+      });
+      continue;
+    }
+
+    // Each card is saved on its own so one bad card does not sink the rest
+    try {
+      const created = await db.transaction((client) =>
+        insertContact(client, ownerId, contact, { region: phoneRegion, audit: context.audit })
+      );
+      knownNames.add(contact.name.toLowerCase());
+      report.push({ ...entry, status: 'created', contact_id: created.id, warnings });
+    } catch (saveError) {
+      console.error('vCard import error:', saveError);
+      report.push({ ...entry, status: 'rejected', reason: 'Contact could not be saved' });
+    }
+  }
+
+  const summary = { total: report.length, created: 0, skipped: 0, rejected: 0 };
+  report.forEach((entry) => {
+    summary[entry.status]++;
+  });
+
+  return { summary, cards: report };
+};
+
+// Match header names loosely: "Phone Type" finds the phone_type column
+const headerKey = (header) =>
+  header
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+
+/**
+ * Validate one CSV row against the create and PhoneNumberService create
+ * rules. `columns` maps each target to its column index and header; phone
+ * numbers are read in `phoneRegion`.
+ * Returns { contact } or { errors: [{ column, reason }] }.
+ */
+const csvRowToContact = async (cells, columns, phoneRegion) => {
+  const cell = (target) => {
+    if (!columns[target]) return undefined;
+    const value = (cells[columns[target].index] || '').trim();
+    if (!value) return undefined;
+    return CSV_BOOLEAN_TARGETS.includes(target) ? value.toLowerCase() : value;
+  };
+
+  const errors = [];
+  // Validator paths are field names; report them against the source column
+  const collect = (fieldErrors, columnFor) => {
+    fieldErrors.forEach((error) =>
+      errors.push({ column: columnFor(error.path), reason: error.msg })
+    );
+  };
+
+  const contactValues = {};
+  CSV_CONTACT_TARGETS.forEach((target) => {
+    if (cell(target) !== undefined) contactValues[target] = cell(target);
+  });
+
+  const contactCheck = await checkBody(contactRules, contactValues);
+  collect(contactCheck.errors, (path) => columns[path]?.header || path);
+
+  const phone_numbers = [];
+
+  if (CSV_PHONE_TARGETS.some((target) => cell(target) !== undefined)) {
+    const phoneValues = {};
+    CSV_PHONE_TARGETS.forEach((target) => {
+      if (cell(target) !== undefined) phoneValues[target] = cell(target);
+    });
+
+    const phoneCheck = await checkBody(phoneNumberRules, phoneValues, { phoneRegion });
+    collect(phoneCheck.errors, (path) => columns[path]?.header || path);
+    phone_numbers.push(phoneCheck.values);
+  }
+
+  for (const [target, phone_type] of Object.entries(CSV_TYPED_PHONE_TARGETS)) {
+    if (cell(target) === undefined) continue;
+
+    const phoneCheck = await checkBody(
+      phoneNumberRules,
+      { phone_number: cell(target), phone_type },
+      { phoneRegion }
+    );
+    collect(phoneCheck.errors, () => columns[target].header);
+    phone_numbers.push(phoneCheck.values);
+  }
+
+  if (errors.length > 0) return { errors };
+
+  // Only the first number flagged primary keeps the flag
+  let primaryTaken = false;
+  phone_numbers.forEach((phone) => {
+    phone.is_primary = !primaryTaken && ['true', '1'].includes(phone.is_primary);
+    if (phone.is_primary) primaryTaken = true;
+  });
+
+  return {
+    contact: {
+      ...contactCheck.values,
+      is_emergency: ['true', '1'].includes(contactCheck.values.is_emergency),
+      phone_numbers,
+    },
+  };
+};
+
+// Whether a Content-Type header value names one of `types`
+const isMediaType = (contentType, types) =>
+  types.includes(
+    String(contentType || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase()
+  );
+
+/**
+ * Import contacts from a CSV document for `user_id` or the caller. Columns
+ * are mapped with `map` ({ <field>: <header> }); unmapped fields fall back
+ * to a column with the field's own name. Either every row is inserted or
+ * none is; with `dry_run` the rows are only validated. `upload` is
+ * { contentType, text }, with the whole body (at most MAX_IMPORT_BYTES) as text. Rows that fail validation are thrown as a 422
+ * with code import_rejected, one `errors` entry (with its `row`) per
+ * problem. Returns { dry_run, summary, contact_ids }.
+ */
+export const importCsv = async (context, { user_id, map = {}, dry_run = false }, upload) => {
+  const ownerId = await resolveOwner(context, user_id, 'write');
+
+  if (!isMediaType(upload.contentType, CSV_MEDIA_TYPES)) {
+    throw new ApiError(415, 'Send the CSV file as the request body with Content-Type text/csv');
+  }
+
+  // Numbers are read in the owner's region, not the importer's
+  const phoneRegion = await context.phoneRegion(ownerId);
+
+  let columns = null;
+  let rowNumber = 0;
+  const contacts = [];
+  const report = [];
+
+  for (const cells of parseCsv(upload.text ?? '')) {
+    rowNumber++;
+
+    // The first record is the header row
+    if (!columns) {
+      const headers = cells.map(headerKey);
+      columns = {};
+      const missing = [];
+
+      for (const target of CSV_TARGETS) {
+        const wanted = map[target];
+        const index = headers.indexOf(headerKey(wanted || target));
+        if (index >= 0) {
+          columns[target] = { index, header: cells[index].trim() };
+        } else if (wanted) {
+          missing.push(wanted);
+        }
+      }
+
+      if (missing.length > 0) {
+        throw new ValidationError(`Mapped column(s) not found in header: ${missing.join(', ')}`);
+      }
+
+      if (!columns.name) {
+        throw new ValidationError('No column is mapped to name');
+      }
+      continue;
+    }
+
+    // Skip blank lines
+    if (cells.every((value) => !value.trim())) continue;
+
+    if (contacts.length + report.length >= MAX_IMPORT_ROWS) {
+      throw new ApiError(413, `Upload at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+
+    const { contact, errors } = await csvRowToContact(cells, columns, phoneRegion);
+
+    if (errors) {
+      errors.forEach((error) => report.push({ row: rowNumber, ...error }));
+    } else {
+      contacts.push(contact);
+    }
+  }
+
+  if (!columns || (contacts.length === 0 && report.length === 0)) {
+    throw new ValidationError('CSV upload has no data rows');
+  }
+
+  if (report.length > 0) {
+    throw new Unprocessable('Import rejected; nothing was saved', {
+      code: 'import_rejected',
+      errors: report.map((error) => ({
+        field: error.column,
+        location: 'body',
+        message: error.reason,
+        row: error.row,
+      })),
+    });
+  }
+
+  const summary = {
+    rows: contacts.length,
+    phone_numbers: contacts.reduce((total, contact) => total + contact.phone_numbers.length, 0),
+  };
+
+  if (dry_run) return { dry_run: true, summary };
+
+  const created = await db.transaction(async (client) => {
+    const saved = [];
+    for (const contact of contacts) {
+      saved.push(
+        await insertContact(client, ownerId, contact, { region: phoneRegion, audit: context.audit })
+      );
+    }
+    return saved;
+  });
+
+  return { dry_run: false, summary, contact_ids: created.map((contact) => contact.id) };
+};
+
+// The rows an importCsv rejection lists, as a downloadable CSV report
+export const importErrorReport = (error) =>
+  toCsv([
+    ['row', 'column', 'reason'],
+    ...error.errors.map((entry) => [entry.row, entry.field, entry.message]),
+  ]);
+
+/**
+ * Deleted contacts and phone numbers of `user_id` (or the caller) that can
+ * still be restored, newest first. `type` narrows them to one TRASH_TYPES
+ * entry; `page` as for list. Returns { items, pagination }.
+ */
+export const listTrash = async (context, { user_id, type }, page) => {
+  const ownerId = await resolveOwner(context, user_id, 'read');
+  return listTrashItems(ownerId, { type }, page);
+};
@@ -0,0 +1,47 @@
+// lib/services/index.js
+import { validationResult } from 'express-validator';
+import { auditContext } from '../audit.js';
+import { fieldErrors, ValidationError } from '../errors.js';
+import { requestPhoneRegion } from '../phone.js';
+
+// The service layer for users, contacts and phone numbers. It owns the
+// validation rules, the access checks and the SQL; the Express routes and
+// the Next.js handlers (through ./next.js) are thin adapters over it, so
+// both runtimes answer the same way.
+//
+// Every operation takes a context (see serviceContext) and input that has
+// already passed the operation's `rules`. Express runs the rules with
+// validateRequest, which also documents them in lib/openapi; anything else
+// runs them with validateInput. Failures are thrown as lib/errors.js errors.
+
+export * as ContactService from './contacts.js';
+export * as PhoneNumberService from './phoneNumbers.js';
+export * as UserService from './users.js';
+
+/**
+ * Who is calling, for one request: `user` is the verified token payload
+ * (see verifyAccessToken), `audit` the auditContext and `phoneRegion(ownerId)`
+ * resolves the region the numbers for `ownerId`'s contacts are read in.
+ */
+export const serviceContext = (req) => ({
+  user: req.user ?? null,
+  audit: auditContext(req),
+  phoneRegion: (ownerId) => requestPhoneRegion(req, ownerId),
+});
+
+/**
+ * Run an operation's rules against plain `{ params, query, body }` input.
+ * `user` is passed on for rules that read it. Returns the sanitized input
+ * or throws a ValidationError listing every failed field.
+ */
+export const validateInput = async (rules, { params = {}, query = {}, body = {}, user = null }) => {
+  const req = { user, params: { ...params }, query: { ...query }, body: { ...body } };
+  await Promise.all(rules.map((rule) => rule.run(req)));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(undefined, { errors: fieldErrors(errors.array()) });
+  }
+
+  return { params: req.params, query: req.query, body: req.body };
+};
@@ -0,0 +1,136 @@
+// lib/services/next.js
+import { ApiError, problemDocument, toApiError } from '../errors.js';
+import { notModified } from '../etags.js';
+import { IDEMPOTENCY_HEADER, withIdempotencyKey } from '../idempotency.js';
+import { requestIdFrom, responseBody, verifyAccessToken } from '../utils.js';
+import { serviceContext, validateInput } from './index.js';
+
+// Adapter for the Next.js API routes in pages/api. It gives them what the
+// Express stack (app.js) gives the routes: a request ID, the client IP,
+// bearer-token authentication, validation with the services' rules and
+// the same success and problem+json bodies.
+
+// Strings are sent as they are (e.g. a CSV report), anything else as JSON
+const serialize = (body) => (typeof body === 'string' ? body : JSON.stringify(body));
+
+const send = (res, status, body, type = 'application/json') => {
+  res.statusCode = status;
+  if (status === 204 || status === 304) return res.end();
+
+  res.setHeader('Content-Type', `${type}; charset=utf-8`);
+  res.end(serialize(body));
+};
+
+/**
+ * A Next.js API route from one function per HTTP method. Each is called
+ * with the request and returns { status = 200, data, message, headers },
+ * or a ready-made `body` (a string is sent as it is) and `type`; anything
+ * thrown is answered as a problem document.
+ */
+export const nextHandler = (methods) => async (req, res) => {
+  req.id = requestIdFrom(req.headers['x-request-id']);
+  req.ip ??= req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress;
+  res.setHeader('X-Request-Id', req.id);
+
+  try {
+    const handle = methods[req.method];
+    if (!handle) {
+      res.setHeader('Allow', Object.keys(methods));
+      throw new ApiError(405, `Method ${req.method} Not Allowed`);
+    }
+
+    const {
+      status = 200,
+      data = null,
+      message = '',
+      headers = {},
+      body = responseBody(status, data, message),
+      type,
+    } = await handle(req, res);
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+
+    // A GET for what the client already has, as res.send does under Express
+    if (req.method === 'GET' && notModified(req.headers['if-none-match'], headers.ETag)) {
+      return send(res, 304);
+    }
+    send(res, status, body, type);
+  } catch (err) {
+    const error = toApiError(err);
+    if (error.statusCode >= 500) console.error(err);
+
+    for (const [name, value] of Object.entries(error.headers || {})) res.setHeader(name, value);
+    send(res, error.statusCode, problemDocument(error, req), 'application/problem+json');
+  }
+};
+
+/**
+ * Authenticate the request (see verifyAccessToken), check `rules` against
+ * it and return the service context with the sanitized input. Next.js
+ * puts path segments in the query string, so `params` maps path parameter
+ * names to query keys, e.g. { id: 'id' }.
+ */
+export const prepare = async (req, rules, { params = {}, authenticate = true } = {}) => {
+  if (authenticate && !req.user) req.user = await verifyAccessToken(req.headers.authorization);
+
+  const input = await validateInput(rules, {
+    user: req.user ?? null,
+    params: Object.fromEntries(Object.entries(params).map(([name, key]) => [name, req.query[key]])),
+    query: req.query,
+    body: req.body ?? {},
+  });
+
+  return { context: serviceContext(req), ...input };
+};
+
+/**
+ * A method handler that honours Idempotency-Key like the Express
+ * `idempotent` middleware, through the same withIdempotencyKey (see
+ * lib/idempotency.js): client errors are stored and replayed as problem
+ * documents, with the same response headers.
+ */
+export const idempotent = (handle) => async (req, res) => {
+  const key = req.headers[IDEMPOTENCY_HEADER.toLowerCase()];
+  if (key === undefined) return handle(req, res);
+
+  req.user = await verifyAccessToken(req.headers.authorization);
+
+  // The response nextHandler would send for what `handle` returns or throws
+  const respond = async () => {
+    try {
+      const {
+        status = 200,
+        data = null,
+        message = '',
+        headers = {},
+        body = responseBody(status, data, message),
+        type = 'application/json',
+      } = await handle(req, res);
+      return { status, contentType: type, headers, body: status === 204 ? null : serialize(body) };
+    } catch (err) {
+      const error = toApiError(err);
+      if (error.statusCode >= 500) throw err;
+      return {
+        status: error.statusCode,
+        contentType: 'application/problem+json',
+        headers: error.headers || {},
+        body: serialize(problemDocument(error, req)),
+      };
+    }
+  };
+
+  const request = {
+    userId: req.user.userId,
+    key,
+    method: req.method,
+    url: req.url,
+    body: req.body,
+  };
+  const { response } = await withIdempotencyKey(request, respond);
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: response.body,
+    type: response.contentType?.split(';')[0],
+  };
+};
@@ -0,0 +1,293 @@
+// lib/services/phoneNumbers.js
+import { body, param } from 'express-validator';
+import { phoneNumberField, phoneNumberRulesFor } from '../../middleware/validator.js';
+import { recordCreate, recordUpdate } from '../audit.js';
+import db from '../db.js';
+import { Conflict, Forbidden, NotFound } from '../errors.js';
+import { keysetPage, keysetQuery } from '../pagination.js';
+import { canAccessContacts, writableOwner } from '../permissions.js';
+import { toE164, withPhoneFormats } from '../phone.js';
+import { restorePhoneNumber, trashPhoneNumber } from '../trash.js';
+
+// PhoneNumberService: a contact's phone numbers. Access follows the
+// contact's owner (see canAccessContacts); each contact has at most one
+// primary number and no number twice.
+
+// Keyset order for phone numbers; id makes it unique
+const PHONE_SORT = [
+  { key: 'is_primary', direction: 'DESC', expr: 'is_primary' },
+  { key: 'phone_type', direction: 'ASC', expr: 'phone_type' },
+  { key: 'id', direction: 'ASC', expr: 'id' },
+];
+
+const idParam = () => param('id').isInt().toInt();
+
+// The user_id behind a contact or phone number id, or undefined
+const ownerIdBy = async (sql, id) =>
+  Number.isInteger(Number(id)) ? (await db.query(sql, [Number(id)])).rows[0]?.user_id : undefined;
+
+// Numbers are validated in the region of the contact's owner
+const contactOwnerOf = async (req) =>
+  writableOwner(
+    req.user,
+    await ownerIdBy(
+      'SELECT user_id FROM contacts WHERE id = $1 AND deleted_at IS NULL',
+      req.body.contact_id
+    )
+  );
+
+const phoneOwnerOf = async (req) =>
+  writableOwner(
+    req.user,
+    await ownerIdBy(
+      `SELECT c.user_id FROM contact_phone_numbers cpn
+       JOIN contacts c ON cpn.contact_id = c.id
+       WHERE cpn.id = $1 AND cpn.deleted_at IS NULL`,
+      req.params.id
+    )
+  );
+
+export const rules = {
+  listForContact: [param('contactId').isInt().toInt()],
+  get: [idParam()],
+  create: [body('contact_id').isInt().toInt(), ...phoneNumberRulesFor({ owner: contactOwnerOf })],
+  update: [
+    idParam(),
+    phoneNumberField('phone_number', { owner: phoneOwnerOf }).optional(),
+    body('phone_type').optional().isIn(['mobile', 'home', 'work']),
+    body('is_primary').optional().isBoolean(),
+  ],
+  remove: [idParam()],
+  restore: [idParam()],
+};
+
+const phoneTarget = (ownerId, id) => ({ ownerId, targetType: 'phone_number', targetId: id });
+
+// Clear a contact's primary number (other than `exceptId`) and audit it
+const unsetPrimary = async (client, audit, ownerId, contactId, exceptId = null) => {
+  const result = await client.query(
+    `UPDATE contact_phone_numbers
+     SET is_primary = false
+     WHERE contact_id = $1 AND is_primary AND deleted_at IS NULL AND id IS DISTINCT FROM $2
+     RETURNING *`,
+    [contactId, exceptId]
+  );
+
+  // Only rows that were primary matched, so that is the before state
+  for (const row of result.rows) {
+    await recordUpdate(
+      client,
+      audit,
+      phoneTarget(ownerId, row.id),
+      { ...row, is_primary: true },
+      row
+    );
+  }
+};
+
+// The owner of a live contact, checked for `action`
+const contactOwner = async (context, contactId, action, message) => {
+  const result = await db.query(
+    'SELECT user_id FROM contacts WHERE id = $1 AND deleted_at IS NULL',
+    [contactId]
+  );
+
+  if (result.rows.length === 0) throw new NotFound('Contact not found');
+
+  const ownerId = result.rows[0].user_id;
+  if (!(await canAccessContacts(context.user, ownerId, action))) throw new Forbidden(message);
+  return ownerId;
+};
+
+// A live phone number with its owner's user_id, checked for `action`.
+// `verb` words the 403.
+const findPhone = async (context, id, action, verb) => {
+  const result = await db.query(
+    `SELECT cpn.*, c.user_id FROM contact_phone_numbers cpn
+     JOIN contacts c ON cpn.contact_id = c.id
+     WHERE cpn.id = $1 AND cpn.deleted_at IS NULL AND c.deleted_at IS NULL`,
+    [id]
+  );
+
+  if (result.rows.length === 0) throw new NotFound('Phone number not found');
+
+  const phone = result.rows[0];
+  if (!(await canAccessContacts(context.user, phone.user_id, action))) {
+    throw new Forbidden(`Not authorized to ${verb} this phone number`);
+  }
+
+  return phone;
+};
+
+// The same number typed differently is still a duplicate
+const assertNotDuplicate = async (contactId, phoneE164, exceptId = null) => {
+  const duplicate = await db.query(
+    `SELECT id FROM contact_phone_numbers
+     WHERE contact_id = $1 AND phone_e164 = $2 AND id IS DISTINCT FROM $3 AND deleted_at IS NULL`,
+    [contactId, phoneE164, exceptId]
+  );
+
+  if (duplicate.rows.length > 0) {
+    throw new Conflict('This contact already has that phone number');
+  }
+};
+
+/**
+ * A contact's phone numbers, primary first. Every number is returned
+ * unless `page` is in cursor mode, which gives { phone_numbers, pagination }.
+ */
+export const listForContact = async (context, contactId, page) => {
+  await contactOwner(context, contactId, 'read', 'Not authorized to access this contact');
+
+  // Keyset pagination is opt-in; without it every number is returned
+  if (page?.mode === 'cursor') {
+    const { cursor, limit } = page;
+    const keyset = keysetQuery({ sort: PHONE_SORT, cursor, limit, firstParam: 2 });
+
+    const result = await db.query(
+      `SELECT *, ${keyset.keyColumns} FROM contact_phone_numbers
+       WHERE contact_id = $1 AND deleted_at IS NULL AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${keyset.values.length + 2}`,
+      [contactId, ...keyset.values, keyset.limit]
+    );
+
+    const { rows, pagination } = keysetPage(result.rows, { sort: PHONE_SORT, cursor, limit });
+    return { phone_numbers: rows.map((row) => withPhoneFormats(row)), pagination };
+  }
+
+  const result = await db.query(
+    `SELECT * FROM contact_phone_numbers
+     WHERE contact_id = $1 AND deleted_at IS NULL
+     ORDER BY is_primary DESC, phone_type ASC`,
+    [contactId]
+  );
+
+  return result.rows.map((row) => withPhoneFormats(row));
+};
+
+// One number, without the owner's user_id findPhone adds
+export const get = async (context, id) => {
+  const phone = await findPhone(context, id, 'read', 'access');
+  delete phone.user_id;
+  return withPhoneFormats(phone);
+};
+
+// Add a number to a contact; a new primary number demotes the old one
+export const create = async (
+  context,
+  { contact_id, phone_number, phone_type = 'mobile', is_primary = false }
+) => {
+  const ownerId = await contactOwner(
+    context,
+    contact_id,
+    'write',
+    'Not authorized to add phone number to this contact'
+  );
+
+  const phone_e164 = toE164(phone_number, await context.phoneRegion(ownerId));
+  await assertNotDuplicate(contact_id, phone_e164);
+
+  const created = await db.transaction(async (client) => {
+    if (is_primary) {
+      await unsetPrimary(client, context.audit, ownerId, contact_id);
+    }
+
+    const result = await client.query(
+      `INSERT INTO contact_phone_numbers
+       (contact_id, phone_number, phone_e164, phone_type, is_primary)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [contact_id, phone_number, phone_e164, phone_type, is_primary]
+    );
+
+    await recordCreate(
+      client,
+      context.audit,
+      phoneTarget(ownerId, result.rows[0].id),
+      result.rows[0]
+    );
+    return result.rows[0];
+  });
+
+  return withPhoneFormats(created);
+};
+
+// Change a number's phone_number, phone_type or is_primary
+export const update = async (context, id, { phone_number, phone_type, is_primary }) => {
+  const { user_id: ownerId, contact_id: contactId } = await findPhone(
+    context,
+    id,
+    'write',
+    'update'
+  );
+
+  const phone_e164 = phone_number ? toE164(phone_number, await context.phoneRegion(ownerId)) : null;
+  if (phone_e164) await assertNotDuplicate(contactId, phone_e164, id);
+
+  const updated = await db.transaction(async (client) => {
+    const before = await client.query(
+      'SELECT * FROM contact_phone_numbers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
+    if (before.rows.length === 0) return null;
+
+    if (is_primary === true) {
+      await unsetPrimary(client, context.audit, ownerId, contactId, id);
+    }
+
+    const result = await client.query(
+      `UPDATE contact_phone_numbers SET
+        phone_number = COALESCE($1, phone_number),
+        phone_type = COALESCE($2, phone_type),
+        is_primary = COALESCE($3, is_primary),
+        phone_e164 = COALESCE($4, phone_e164)
+       WHERE id = $5
+       RETURNING *`,
+      [phone_number, phone_type, is_primary, phone_e164, id]
+    );
+
+    await recordUpdate(
+      client,
+      context.audit,
+      phoneTarget(ownerId, id),
+      before.rows[0],
+      result.rows[0]
+    );
+    return result.rows[0];
+  });
+
+  if (!updated) throw new NotFound('Phone number not found');
+  return withPhoneFormats(updated);
+};
+
+// Move a number to the trash
+export const remove = async (context, id) => {
+  const phone = await findPhone(context, id, 'write', 'delete');
+
+  const deleted = await db.transaction((client) =>
+    trashPhoneNumber(client, id, phone.user_id, context.audit)
+  );
+  if (!deleted) throw new NotFound('Phone number not found');
+};
+
+// Restore a number from the trash
+export const restore = async (context, id) => {
+  const result = await db.query(
+    `SELECT c.user_id FROM contact_phone_numbers cpn
+     JOIN contacts c ON cpn.contact_id = c.id
+     WHERE cpn.id = $1 AND cpn.deleted_at IS NOT NULL`,
+    [id]
+  );
+
+  if (result.rows.length === 0) throw new NotFound('Phone number not found in trash');
+
+  const ownerId = result.rows[0].user_id;
+  if (!(await canAccessContacts(context.user, ownerId, 'write'))) {
+    throw new Forbidden('Not authorized to restore this phone number');
+  }
+
+  const phone = await restorePhoneNumber(id, ownerId, context.audit);
+  if (!phone) throw new NotFound('Phone number not found in trash');
+  return withPhoneFormats(phone);
+};
@@ -0,0 +1,299 @@
+// lib/services/users.js
+import bcrypt from 'bcryptjs';
+import { body, param } from 'express-validator';
+import { phoneNumberField, regionField } from '../../middleware/validator.js';
+import { recordCreate, recordUpdate } from '../audit.js';
+import db from '../db.js';
+import {
+  Conflict,
+  Forbidden,
+  NotFound,
+  RateLimited,
+  Unauthorized,
+  ValidationError,
+} from '../errors.js';
+import { checkIfMatch } from '../etags.js';
+import {
+  loginLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  verifyLogin,
+} from '../loginThrottle/index.js';
+import { canAccessContacts, hasPermission } from '../permissions.js';
+import { toE164, withPhoneFormats } from '../phone.js';
+import { createSession } from '../sessions.js';
+import { trashUser } from '../trash.js';
+import {
+  challengeUsername,
+  completeLoginChallenge,
+  createLoginChallenge,
+  isTwoFactorEnabled,
+} from '../twoFactor.js';
+
+// UserService: accounts and their profiles. Account management beyond the
+// profile (password, 2FA, devices, delegations) lives in its own module.
+
+// The profile fields returned from a full users row
+const PROFILE_FIELDS = [
+  'id',
+  'name',
+  'role',
+  'age',
+  'mac',
+  'phone_number',
+  'phone_e164',
+  'default_region',
+  'image',
+  'version',
+];
+
+export const profileOf = (row) =>
+  withPhoneFormats(Object.fromEntries(PROFILE_FIELDS.map((field) => [field, row[field]])));
+
+const idParam = () => param('id').isInt().toInt();
+
+export const rules = {
+  login: [
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password').notEmpty().withMessage('Password is required'),
+  ],
+  completeLogin: [
+    body('challenge_token').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required'),
+  ],
+  register: [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('age').optional().isInt({ min: 1 }).withMessage('Valid age is required'),
+    body('mac').optional().isMACAddress().withMessage('Valid MAC address is required'),
+    phoneNumberField().optional(),
+    regionField().optional(),
+    body('image').optional().isURL().withMessage('Image must be a valid URL'),
+  ],
+  get: [idParam()],
+  update: [
+    idParam(),
+    body('name').optional().trim().notEmpty(),
+    body('password')
+      .not()
+      .exists()
+      .withMessage('Use POST /api/users/me/password to change the password'),
+    body('age').optional().isInt({ min: 1 }),
+    body('mac').optional().isMACAddress(),
+    phoneNumberField().optional(),
+    regionField().optional(),
+    body('image').optional().isURL(),
+  ],
+  remove: [idParam()],
+};
+
+// Changing or deleting the account itself needs the user's own session,
+// not a device credential, for their own id
+const assertSelf = (context, id, action) => {
+  if (context.user.did) throw new Forbidden('Not available to device credentials');
+  if (id !== context.user.userId) throw new Forbidden(`Not authorized to ${action} this user`);
+};
+
+// Create an account. The new account is its own actor in the audit trail.
+export const register = async (
+  context,
+  { name, password, age, mac, phone_number, default_region, image }
+) => {
+  const existing = await db.query('SELECT id FROM users WHERE name = $1', [name]);
+
+  if (existing.rows.length > 0) {
+    throw new Conflict('User already exists', { code: 'duplicate' });
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const phone_e164 = toE164(phone_number, await context.phoneRegion());
+
+  const created = await db.transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO users
+       (name, password, age, mac, phone_number, phone_e164, default_region, image)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [name, hashedPassword, age, mac, phone_number, phone_e164, default_region, image]
+    );
+
+    const row = result.rows[0];
+    await recordCreate(
+      client,
+      { ...context.audit, actorId: row.id },
+      { ownerId: row.id, targetType: 'user', targetId: row.id },
+      row
+    );
+    return row;
+  });
+
+  return profileOf(created);
+};
+
+const loginLocked = (retryAfter) =>
+  new RateLimited('Too many failed login attempts, try again later', {
+    code: 'login_locked',
+    retryAfter,
+  });
+
+/**
+ * Check a username and password from `ip`, counting failures per account
+ * and IP (see lib/loginThrottle). Returns { user } to start a session, or
+ * { challenge } when the account has 2FA and completeLogin comes next; the
+ * account's failures are only forgotten once that succeeds.
+ */
+export const login = async ({ username, password }, { ip }) => {
+  const { user, retryAfter } = await verifyLogin({ username, password, ip });
+
+  if (retryAfter) throw loginLocked(retryAfter);
+
+  // Don't reveal whether the user exists
+  if (!user) throw new Unauthorized('Invalid credentials');
+  if (user.disabled_at) throw new Forbidden('Account is disabled');
+
+  // With 2FA on, the password only earns a challenge
+  if (await isTwoFactorEnabled(user.id)) {
+    return { challenge: await createLoginChallenge(user.id) };
+  }
+
+  await recordLoginSuccess(username);
+  return { user };
+};
+
+// Second login step: a TOTP or recovery code exchanges the challenge token
+// from login() for the user. Wrong codes count towards the same lockout as
+// wrong passwords, and a locked account can't use its challenge.
+export const completeLogin = async ({ challenge_token, code }, { ip }) => {
+  const username = await challengeUsername(challenge_token);
+
+  if (username) {
+    const retryAfter = await loginLockout({ username, ip });
+    if (retryAfter > 0) throw loginLocked(retryAfter);
+  }
+
+  let user;
+  try {
+    user = await completeLoginChallenge(challenge_token, code);
+  } catch (error) {
+    if (username && error.code === 'invalid_code') await recordLoginFailure({ username, ip });
+    throw error;
+  }
+
+  if (user.disabled_at) throw new Forbidden('Account is disabled');
+
+  await recordLoginSuccess(username);
+  return user;
+};
+
+/**
+ * Start a session for a signed-in user (see lib/sessions.js). Returns the
+ * sign-in response body: the user and the access and refresh tokens.
+ * `session` is sessionContext(req).
+ */
+export const startSession = async (user, session) => {
+  const tokens = await createSession(user.id, session);
+
+  return {
+    user: withPhoneFormats({
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      age: user.age,
+      phone_number: user.phone_number,
+      phone_e164: user.phone_e164,
+      default_region: user.default_region,
+      image: user.image,
+    }),
+    ...tokens,
+  };
+};
+
+// Users can read their own profile and the profiles of owners who delegated
+// access to them (canAccessContacts); any other profile needs users:read
+export const get = async (context, id) => {
+  if (
+    !hasPermission(context.user.role, 'users:read') &&
+    !(await canAccessContacts(context.user, id, 'read'))
+  ) {
+    throw new Forbidden('Not authorized to view this user');
+  }
+
+  const result = await db.query(
+    `SELECT ${PROFILE_FIELDS.join(', ')} FROM users WHERE id = $1 AND deleted_at IS NULL`,
+    [id]
+  );
+
+  if (result.rows.length === 0) throw new NotFound('User not found');
+  return withPhoneFormats(result.rows[0]);
+};
+
+// Change the caller's own profile; with `ifMatch` (an If-Match header value)
+// only while the account is still at that version (see lib/etags.js)
+export const update = async (
+  context,
+  id,
+  { name, age, mac, phone_number, default_region, image },
+  { ifMatch } = {}
+) => {
+  assertSelf(context, id, 'update');
+
+  const updates = [];
+  const values = [];
+  const set = (column, value) => {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  };
+
+  if (name) set('name', name);
+  if (age !== undefined) set('age', age);
+  if (mac) set('mac', mac);
+  if (default_region) set('default_region', default_region);
+  if (phone_number) {
+    // Read in the new region when both change together
+    set('phone_number', phone_number);
+    set('phone_e164', toE164(phone_number, await context.phoneRegion()));
+  }
+  if (image) set('image', image);
+
+  if (updates.length === 0) {
+    throw new ValidationError('No valid fields to update');
+  }
+
+  values.push(id);
+
+  const user = await db.transaction(async (client) => {
+    const before = await client.query(
+      'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
+    if (before.rows.length === 0) return null;
+    checkIfMatch(ifMatch, before.rows[0].version, 'account');
+
+    const result = await client.query(
+      `UPDATE users SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
+    );
+
+    await recordUpdate(
+      client,
+      context.audit,
+      { ownerId: id, targetType: 'user', targetId: id },
+      before.rows[0],
+      result.rows[0]
+    );
+    return result.rows[0];
+  });
+
+  if (!user) throw new NotFound('User not found');
+  return profileOf(user);
+};
+
+// Move the caller's own account and its contacts to the trash until the
+// purge job removes them (see lib/trash.js). `ifMatch` as for update.
+export const remove = async (context, id, { ifMatch } = {}) => {
+  assertSelf(context, id, 'delete');
+
+  if (!(await trashUser(id, context.audit, { ifMatch }))) throw new NotFound('User not found');
+};
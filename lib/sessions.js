@@ -0,0 +1,120 @@
+// lib/sessions.js
+import crypto from 'crypto';
+import db from './db.js';
+import { generateToken, hashToken, httpError } from './utils.js';
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Request details stored with a session so users can recognise it. Works
+// for Express and Next.js requests alike.
+export const sessionContext = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ip: req.ip || null,
+});
+
+const issueRefreshToken = async (client, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await client.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return refreshToken;
+};
+
+const tokenPair = (userId, sessionId, refreshToken) => ({
+  token: generateToken({ userId, sid: sessionId }, ACCESS_TOKEN_TTL),
+  refresh_token: refreshToken,
+  expires_in: ACCESS_TOKEN_TTL,
+});
+
+// Start a new session and return its first access/refresh token pair
+export const createSession = async (userId, { userAgent = null, ip = null } = {}) => {
+  return db.transaction(async (client) => {
+    const session = await client.query(
+      `INSERT INTO auth_sessions (user_id, user_agent, ip)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [userId, userAgent, ip]
+    );
+
+    const sessionId = session.rows[0].id;
+    const refreshToken = await issueRefreshToken(client, sessionId);
+
+    return tokenPair(userId, sessionId, refreshToken);
+  });
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole session is revoked.
+export const rotateRefreshToken = async (refreshToken) => {
+  const outcome = await db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at,
+              s.user_id, s.revoked_at
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON s.id = rt.session_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) return { error: 'Invalid refresh token' };
+
+    const row = result.rows[0];
+
+    if (row.revoked_at) return { error: 'Session has been revoked' };
+
+    if (row.used_at) {
+      await client.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse'
+         WHERE id = $1`,
+        [row.session_id]
+      );
+      return { error: 'Refresh token reuse detected; session revoked' };
+    }
+
+    if (row.expires_at <= new Date()) return { error: 'Refresh token expired' };
+
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.id]);
+    await client.query('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = $1', [
+      row.session_id,
+    ]);
+
+    const nextToken = await issueRefreshToken(client, row.session_id);
+    return { tokens: tokenPair(row.user_id, row.session_id, nextToken) };
+  });
+
+  // Thrown after commit so a reuse revocation is not rolled back
+  if (outcome.error) throw httpError(401, outcome.error);
+
+  return outcome.tokens;
+};
+
+// Revoke a single session (logout on this device)
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+};
+
+// Revoke every session of a user, optionally keeping one alive. Pass a
+// transaction client to revoke as part of a larger change.
+export const revokeUserSessions = async (
+  userId,
+  reason = 'logout',
+  { except = null, client = db } = {}
+) => {
+  await client.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($3::int IS NULL OR id <> $3)`,
+    [userId, reason, except]
+  );
+};
@@ -0,0 +1,419 @@
+// lib/trash.js
+import 'dotenv/config';
+import { pathToFileURL } from 'url';
+import { recordDelete, recordPurge, recordRestore, recordUpdate } from './audit.js';
+import { getContactWithPhones } from './contacts.js';
+import db from './db.js';
+import { checkIfMatch } from './etags.js';
+import { keysetPage, keysetQuery } from './pagination.js';
+import { withPhoneFormats } from './phone.js';
+import { revokeUserSessions } from './sessions.js';
+import { httpError } from './utils.js';
+
+// Soft delete. Deleting a contact, phone number or account sets deleted_at
+// and every read leaves those rows out. Contacts and numbers can be restored
+// from the trash until the purge job removes them for good, RETENTION_DAYS
+// after they were deleted.
+
+export const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+export const TRASH_TYPES = ['contact', 'phone_number'];
+
+const target = (ownerId, targetType, targetId) => ({ ownerId, targetType, targetId });
+
+/**
+ * Move a contact and its phone numbers to the trash using a transaction
+ * client. The numbers share the contact's deleted_at, which is how a
+ * restore tells them from numbers that were deleted on their own. Returns
+ * the trashed contact, or null when there is no such live contact. With
+ * `ifMatch` the contact must still be at that version (see checkIfMatch).
+ */
+export const trashContact = async (client, contactId, audit = null, { ifMatch } = {}) => {
+  const locked = await client.query(
+    'SELECT id, version FROM contacts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [contactId]
+  );
+  if (locked.rows.length === 0) return null;
+  checkIfMatch(ifMatch, locked.rows[0].version, 'contact');
+
+  const before = await getContactWithPhones(contactId, client);
+
+  const result = await client.query(
+    'UPDATE contacts SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+    [contactId]
+  );
+  const contact = result.rows[0];
+
+  await client.query(
+    `UPDATE contact_phone_numbers SET deleted_at = $2
+     WHERE contact_id = $1 AND deleted_at IS NULL`,
+    [contactId, contact.deleted_at]
+  );
+
+  await recordDelete(client, audit, target(contact.user_id, 'contact', contactId), before, contact);
+  return contact;
+};
+
+// Restore a trashed contact with the numbers that were trashed with it.
+// Returns the contact with its phone numbers, or null when it is not in the
+// trash.
+export const restoreContact = async (contactId, audit = null) =>
+  db.transaction(async (client) => {
+    const result = await client.query(
+      'SELECT * FROM contacts WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+      [contactId]
+    );
+    const before = result.rows[0];
+    if (!before) return null;
+
+    await client.query(
+      `UPDATE contact_phone_numbers SET deleted_at = NULL
+       WHERE contact_id = $1 AND deleted_at = $2`,
+      [contactId, before.deleted_at]
+    );
+    await client.query('UPDATE contacts SET deleted_at = NULL WHERE id = $1', [contactId]);
+
+    const contact = await getContactWithPhones(contactId, client);
+    await recordRestore(
+      client,
+      audit,
+      target(before.user_id, 'contact', contactId),
+      before,
+      contact
+    );
+    return contact;
+  });
+
+/**
+ * Move one phone number to the trash using a transaction client. `ownerId`
+ * is the contact's owner. Returns the trashed row, or null.
+ */
+export const trashPhoneNumber = async (client, phoneId, ownerId, audit = null) => {
+  const before = await client.query(
+    'SELECT * FROM contact_phone_numbers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [phoneId]
+  );
+  if (before.rows.length === 0) return null;
+
+  const result = await client.query(
+    'UPDATE contact_phone_numbers SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+    [phoneId]
+  );
+
+  await recordDelete(
+    client,
+    audit,
+    target(ownerId, 'phone_number', phoneId),
+    before.rows[0],
+    result.rows[0]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Restore a trashed phone number. Its contact must not be in the trash and
+ * must not have the same number again. It only comes back as the primary
+ * number when the contact has no other primary. Returns the row, or null
+ * when it is not in the trash.
+ */
+export const restorePhoneNumber = async (phoneId, ownerId, audit = null) =>
+  db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT cpn.*, c.deleted_at AS contact_deleted_at
+       FROM contact_phone_numbers cpn
+       JOIN contacts c ON c.id = cpn.contact_id
+       WHERE cpn.id = $1 AND cpn.deleted_at IS NOT NULL
+       FOR UPDATE OF cpn`,
+      [phoneId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const { contact_deleted_at, ...before } = result.rows[0];
+    if (contact_deleted_at) {
+      throw httpError(409, 'Restore the contact this number belongs to first');
+    }
+
+    if (before.phone_e164) {
+      const duplicate = await client.query(
+        `SELECT 1 FROM contact_phone_numbers
+         WHERE contact_id = $1 AND phone_e164 = $2 AND deleted_at IS NULL`,
+        [before.contact_id, before.phone_e164]
+      );
+      if (duplicate.rows.length > 0) {
+        throw httpError(409, 'This contact already has that phone number');
+      }
+    }
+
+    const restored = await client.query(
+      `UPDATE contact_phone_numbers SET
+         deleted_at = NULL,
+         is_primary = is_primary AND NOT EXISTS (
+           SELECT 1 FROM contact_phone_numbers
+           WHERE contact_id = $2 AND is_primary AND deleted_at IS NULL
+         )
+       WHERE id = $1
+       RETURNING *`,
+      [phoneId, before.contact_id]
+    );
+
+    await recordRestore(
+      client,
+      audit,
+      target(ownerId, 'phone_number', phoneId),
+      before,
+      restored.rows[0]
+    );
+    return restored.rows[0];
+  });
+
+/**
+ * Delete an account: it is marked deleted, its sessions end, delegations
+ * to and from it are revoked and its contacts go to the trash with it. The
+ * purge job removes it all once the retention window has passed. Returns
+ * false when there is no such live account. `ifMatch` is checked as for
+ * trashContact.
+ */
+export const trashUser = async (userId, audit = null, { ifMatch } = {}) =>
+  db.transaction(async (client) => {
+    const before = await client.query(
+      'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    if (before.rows.length === 0) return false;
+    checkIfMatch(ifMatch, before.rows[0].version, 'account');
+
+    const result = await client.query(
+      'UPDATE users SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+      [userId]
+    );
+    const { deleted_at: deletedAt } = result.rows[0];
+    await recordDelete(
+      client,
+      audit,
+      target(userId, 'user', userId),
+      before.rows[0],
+      result.rows[0]
+    );
+
+    await revokeUserSessions(userId, 'account_deleted', { client });
+
+    // Only rows that were active matched, so the before state is known
+    const delegations = await client.query(
+      `UPDATE contact_delegations SET revoked_at = NOW()
+       WHERE (owner_id = $1 OR delegate_id = $1) AND revoked_at IS NULL
+       RETURNING *`,
+      [userId]
+    );
+    for (const row of delegations.rows) {
+      await recordUpdate(
+        client,
+        audit,
+        target(row.owner_id, 'delegation', row.id),
+        { ...row, revoked_at: null },
+        row
+      );
+    }
+
+    const contacts = await client.query(
+      `UPDATE contacts SET deleted_at = $2
+       WHERE user_id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [userId, deletedAt]
+    );
+    await client.query(
+      `UPDATE contact_phone_numbers SET deleted_at = $2
+       WHERE contact_id = ANY($1) AND deleted_at IS NULL`,
+      [contacts.rows.map((contact) => contact.id), deletedAt]
+    );
+    for (const contact of contacts.rows) {
+      await recordDelete(
+        client,
+        audit,
+        target(userId, 'contact', contact.id),
+        { ...contact, deleted_at: null },
+        contact
+      );
+    }
+
+    return true;
+  });
+
+// Most recently deleted first; type and id break ties
+const TRASH_SORT = [
+  { key: 'deleted_at', direction: 'DESC', expr: 'deleted_at' },
+  { key: 'type', direction: 'ASC', expr: 'type' },
+  { key: 'id', direction: 'DESC', expr: 'id' },
+];
+
+/**
+ * A page of a user's trash, most recently deleted first: trashed contacts
+ * (with the numbers that will come back with them) and numbers trashed on
+ * their own from contacts that are not. `type` narrows it to one kind.
+ * `page` is req.pagination (offset or cursor mode).
+ * Returns { items, pagination }.
+ */
+export const listTrash = async (ownerId, { type = null } = {}, page) => {
+  const trash = `
+    SELECT 'contact' AS type, c.id, c.id AS contact_id, c.name AS contact_name,
+      NULL AS phone_number, NULL AS phone_type, c.deleted_at
+    FROM contacts c
+    WHERE c.user_id = $1 AND c.deleted_at IS NOT NULL
+    UNION ALL
+    SELECT 'phone_number', p.id, p.contact_id, c.name, p.phone_number, p.phone_type, p.deleted_at
+    FROM contact_phone_numbers p
+    JOIN contacts c ON c.id = p.contact_id
+    WHERE c.user_id = $1 AND c.deleted_at IS NULL AND p.deleted_at IS NOT NULL`;
+  const where = '($2::text IS NULL OR type = $2)';
+  const values = [ownerId, type, RETENTION_DAYS];
+  const { limit } = page;
+
+  let rows;
+  let pagination;
+
+  if (page.mode === 'cursor') {
+    const { cursor } = page;
+    const keyset = keysetQuery({ sort: TRASH_SORT, cursor, limit, firstParam: values.length + 1 });
+
+    const result = await db.query(
+      `SELECT *, deleted_at + make_interval(days => $3) AS purge_at, ${keyset.keyColumns}
+       FROM (${trash}) trash
+       WHERE ${where} AND ${keyset.where}
+       ORDER BY ${keyset.orderBy}
+       LIMIT $${values.length + keyset.values.length + 1}`,
+      [...values, ...keyset.values, keyset.limit]
+    );
+
+    ({ rows, pagination } = keysetPage(result.rows, { sort: TRASH_SORT, cursor, limit }));
+  } else {
+    const result = await db.query(
+      `SELECT *, deleted_at + make_interval(days => $3) AS purge_at
+       FROM (${trash}) trash
+       WHERE ${where}
+       ORDER BY deleted_at DESC, type ASC, id DESC
+       LIMIT $4 OFFSET $5`,
+      [...values, limit, page.offset]
+    );
+    const count = await db.query(`SELECT COUNT(*) FROM (${trash}) trash WHERE ${where}`, [
+      ownerId,
+      type,
+    ]);
+    const total = parseInt(count.rows[0].count);
+
+    rows = result.rows;
+    pagination = { total, page: page.page, limit, pages: Math.ceil(total / limit) };
+  }
+
+  const contactItems = rows.filter((item) => item.type === 'contact');
+  const phones = await db.query(
+    `SELECT p.* FROM contact_phone_numbers p
+     JOIN contacts c ON c.id = p.contact_id AND p.deleted_at = c.deleted_at
+     WHERE p.contact_id = ANY($1)
+     ORDER BY p.is_primary DESC, p.id ASC`,
+    [contactItems.map((item) => item.id)]
+  );
+
+  const items = rows.map(({ phone_number, phone_type, ...item }) =>
+    item.type === 'contact'
+      ? {
+          ...item,
+          phone_numbers: phones.rows
+            .filter((phone) => phone.contact_id === item.id)
+            .map((phone) => withPhoneFormats(phone)),
+        }
+      : { ...item, phone_number, phone_type }
+  );
+
+  return { items, pagination };
+};
+
+// Permanently delete what has been in the trash longer than the retention
+// window, in batches, recording a purge event per row. Numbers go first so
+// each one trashed with its contact still gets its own event.
+const PURGES = [
+  {
+    targetType: 'phone_number',
+    sql: `DELETE FROM contact_phone_numbers p USING contacts c
+          WHERE c.id = p.contact_id AND p.id IN (
+            SELECT id FROM contact_phone_numbers
+            WHERE deleted_at < NOW() - make_interval(days => $1)
+            ORDER BY deleted_at
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING p.*, c.user_id AS owner_id`,
+  },
+  {
+    targetType: 'contact',
+    sql: `DELETE FROM contacts WHERE id IN (
+            SELECT id FROM contacts
+            WHERE deleted_at < NOW() - make_interval(days => $1)
+            ORDER BY deleted_at
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING *, user_id AS owner_id`,
+  },
+  {
+    targetType: 'user',
+    sql: `DELETE FROM users WHERE id IN (
+            SELECT id FROM users
+            WHERE deleted_at < NOW() - make_interval(days => $1)
+            ORDER BY deleted_at
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING *, id AS owner_id`,
+  },
+];
+
+// Returns how many rows of each kind were purged
+export const purgeTrash = async ({ retentionDays = RETENTION_DAYS } = {}) => {
+  const purged = {};
+
+  for (const { targetType, sql } of PURGES) {
+    purged[targetType] = 0;
+
+    let batch;
+    do {
+      batch = await db.transaction(async (client) => {
+        const result = await client.query(sql, [retentionDays, PURGE_BATCH_SIZE]);
+        for (const { owner_id: ownerId, ...row } of result.rows) {
+          await recordPurge(client, null, target(ownerId, targetType, row.id), row);
+        }
+        return result.rows.length;
+      });
+      purged[targetType] += batch;
+    } while (batch === PURGE_BATCH_SIZE);
+  }
+
+  return purged;
+};
+
+// Periodically empty the trash of anything past the retention window
+export const startPurgeWorker = (intervalMs = PURGE_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    purgeTrash().catch((error) => console.error('Trash purge error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// CLI: npm run purge - one purge run, e.g. from cron instead of the worker
+const main = async () => {
+  const purged = await purgeTrash();
+  console.log(
+    `Purged ${purged.user} account(s), ${purged.contact} contact(s) and ` +
+      `${purged.phone_number} phone number(s) deleted over ${RETENTION_DAYS} days ago`
+  );
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main()
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
@@ -0,0 +1,275 @@
+// lib/twoFactor.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { recordCreate, recordDelete, recordUpdate } from './audit.js';
+import db from './db.js';
+import { generateSecret, otpauthUri, verifyTotp } from './totp.js';
+import { hashToken, httpError } from './utils.js';
+
+// Optional second factor for password logins: a TOTP authenticator app, with
+// one-time recovery codes for when the app is lost. Enrollment is confirmed
+// with a first code before it takes effect. Changes are audited against the
+// user as target type 'two_factor'.
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Visionary';
+const CHALLENGE_TTL = Number(process.env.LOGIN_CHALLENGE_TTL) || 5 * 60; // seconds
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const twoFactorTarget = (userId) => ({
+  ownerId: userId,
+  targetType: 'two_factor',
+  targetId: userId,
+});
+
+// Recovery codes are shown as xxxxx-xxxxx; dashes, spaces and case don't matter
+const generateRecoveryCode = () =>
+  crypto
+    .randomBytes(5)
+    .toString('hex')
+    .replace(/^(.{5})/, '$1-');
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+// Replace a user's recovery codes and return the new ones (shown once)
+const issueRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::char(64)[])`,
+    [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))]
+  );
+  return codes;
+};
+
+// Changes to 2FA need the password as well as a session
+const checkPassword = async (client, userId, password) => {
+  const result = await client.query('SELECT password FROM users WHERE id = $1', [userId]);
+  if (!result.rows[0] || !(await bcrypt.compare(password, result.rows[0].password))) {
+    throw httpError(403, 'Password is incorrect');
+  }
+};
+
+// Lock and return a user's confirmed TOTP row, or throw
+const lockEnabled = async (client, userId) => {
+  const result = await client.query(
+    'SELECT * FROM user_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL FOR UPDATE',
+    [userId]
+  );
+  if (result.rows.length === 0) throw httpError(409, 'Two-factor authentication is not enabled');
+  return result.rows[0];
+};
+
+export const isTwoFactorEnabled = async (userId, client = db) => {
+  const result = await client.query(
+    'SELECT 1 FROM user_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL',
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+export const getTwoFactorStatus = async (userId) => {
+  const result = await db.query(
+    `SELECT t.confirmed_at,
+            (SELECT COUNT(*) FROM recovery_codes r
+             WHERE r.user_id = t.user_id AND r.used_at IS NULL) AS remaining
+     FROM user_totp t
+     WHERE t.user_id = $1 AND t.confirmed_at IS NOT NULL`,
+    [userId]
+  );
+  const row = result.rows[0];
+
+  return {
+    enabled: Boolean(row),
+    enabled_at: row?.confirmed_at ?? null,
+    recovery_codes_remaining: row ? parseInt(row.remaining) : 0,
+  };
+};
+
+/**
+ * Start (or restart) TOTP enrollment. Returns the secret and an otpauth://
+ * URI for the authenticator app; nothing changes at login until the
+ * enrollment is confirmed.
+ */
+export const startTotpEnrollment = async (userId) => {
+  const secret = generateSecret();
+
+  return db.transaction(async (client) => {
+    const user = await client.query('SELECT name FROM users WHERE id = $1', [userId]);
+    if (user.rows.length === 0) throw httpError(404, 'User not found');
+
+    const result = await client.query(
+      `INSERT INTO user_totp (user_id, secret) VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET secret = EXCLUDED.secret, created_at = NOW()
+         WHERE user_totp.confirmed_at IS NULL
+       RETURNING user_id`,
+      [userId, secret]
+    );
+    if (result.rows.length === 0) {
+      throw httpError(409, 'Two-factor authentication is already enabled');
+    }
+
+    return {
+      secret,
+      otpauth_uri: otpauthUri({ secret, account: user.rows[0].name, issuer: TOTP_ISSUER }),
+    };
+  });
+};
+
+// Confirm enrollment with a first code. Returns the recovery codes, which
+// are shown this once.
+export const confirmTotpEnrollment = async (userId, code, audit = null) =>
+  db.transaction(async (client) => {
+    const result = await client.query(
+      'SELECT * FROM user_totp WHERE user_id = $1 AND confirmed_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    const pending = result.rows[0];
+    if (!pending) throw httpError(409, 'No two-factor enrollment in progress');
+
+    const step = verifyTotp(pending.secret, code);
+    if (step === null) throw httpError(400, 'Invalid authentication code', 'invalid_code');
+
+    const confirmed = await client.query(
+      `UPDATE user_totp
+       SET confirmed_at = NOW(), last_used_step = $2, recovery_codes_generated_at = NOW()
+       WHERE user_id = $1
+       RETURNING *`,
+      [userId, step]
+    );
+    const codes = await issueRecoveryCodes(client, userId);
+    await recordCreate(client, audit, twoFactorTarget(userId), confirmed.rows[0]);
+
+    return { recovery_codes: codes };
+  });
+
+// Replace the recovery codes; the old ones stop working
+export const regenerateRecoveryCodes = async (userId, password, audit = null) =>
+  db.transaction(async (client) => {
+    await checkPassword(client, userId, password);
+    const before = await lockEnabled(client, userId);
+
+    const updated = await client.query(
+      `UPDATE user_totp SET recovery_codes_generated_at = NOW()
+       WHERE user_id = $1
+       RETURNING *`,
+      [userId]
+    );
+    const codes = await issueRecoveryCodes(client, userId);
+    await recordUpdate(client, audit, twoFactorTarget(userId), before, updated.rows[0]);
+
+    return { recovery_codes: codes };
+  });
+
+export const disableTwoFactor = async (userId, password, audit = null) =>
+  db.transaction(async (client) => {
+    await checkPassword(client, userId, password);
+    const before = await lockEnabled(client, userId);
+
+    await client.query('DELETE FROM user_totp WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM login_challenges WHERE user_id = $1', [userId]);
+    await recordDelete(client, audit, twoFactorTarget(userId), before);
+  });
+
+// Issue the short-lived token a correct password earns when 2FA is on
+export const createLoginChallenge = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.transaction(async (client) => {
+    await client.query(
+      `DELETE FROM login_challenges
+       WHERE user_id = $1 AND (used_at IS NOT NULL OR expires_at <= NOW())`,
+      [userId]
+    );
+    await client.query(
+      `INSERT INTO login_challenges (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+      [userId, hashToken(token), CHALLENGE_TTL]
+    );
+  });
+
+  return { challenge_token: token, expires_in: CHALLENGE_TTL };
+};
+
+// A 6-digit TOTP code, or a recovery code which is then used up
+const checkCode = async (client, totp, code) => {
+  const step = verifyTotp(totp.secret, code, { afterStep: Number(totp.last_used_step ?? -1) });
+  if (step !== null) {
+    await client.query('UPDATE user_totp SET last_used_step = $2 WHERE user_id = $1', [
+      totp.user_id,
+      step,
+    ]);
+    return true;
+  }
+
+  const recovery = await client.query(
+    `UPDATE recovery_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1 FOR UPDATE
+     )
+     RETURNING id`,
+    [totp.user_id, hashToken(normalizeRecoveryCode(code))]
+  );
+  return recovery.rows.length > 0;
+};
+
+// The account name behind an open challenge token, or null
+export const challengeUsername = async (token) => {
+  const result = await db.query(
+    `SELECT u.name
+     FROM login_challenges c
+     JOIN users u ON u.id = c.user_id
+     WHERE c.token_hash = $1 AND c.used_at IS NULL AND c.expires_at > NOW()
+       AND u.deleted_at IS NULL`,
+    [hashToken(token)]
+  );
+  return result.rows[0]?.name ?? null;
+};
+
+/**
+ * Exchange a challenge token and a TOTP or recovery code for the user row.
+ * A challenge is single-use and allows a few wrong codes before it is spent.
+ * Throws a 401 with code invalid_challenge or, for a wrong code,
+ * invalid_code.
+ */
+export const completeLoginChallenge = async (token, code) => {
+  const outcome = await db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT c.id AS challenge_id, u.*
+       FROM login_challenges c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.token_hash = $1 AND c.used_at IS NULL AND c.expires_at > NOW()
+         AND c.attempts < $2 AND u.deleted_at IS NULL
+       FOR UPDATE OF c`,
+      [hashToken(token), CHALLENGE_MAX_ATTEMPTS]
+    );
+    if (result.rows.length === 0) {
+      return { error: 'Invalid or expired challenge', code: 'invalid_challenge' };
+    }
+
+    const { challenge_id: challengeId, ...user } = result.rows[0];
+    const totp = await client.query(
+      'SELECT * FROM user_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL FOR UPDATE',
+      [user.id]
+    );
+
+    if (totp.rows.length === 0 || !(await checkCode(client, totp.rows[0], code))) {
+      await client.query('UPDATE login_challenges SET attempts = attempts + 1 WHERE id = $1', [
+        challengeId,
+      ]);
+      return { error: 'Invalid authentication code', code: 'invalid_code' };
+    }
+
+    await client.query('UPDATE login_challenges SET used_at = NOW() WHERE id = $1', [challengeId]);
+    return { user };
+  });
+
+  // Thrown after commit so the failed attempt is counted
+  if (outcome.error) throw httpError(401, outcome.error, outcome.code);
+
+  return outcome.user;
+};
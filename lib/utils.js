@@ -1,11 +1,39 @@
 // lib/utils.js
+import crypto from 'crypto';
+import { validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
+import db from './db.js';
+import {
+  errorForStatus,
+  fieldErrors,
+  Forbidden,
+  sendProblem,
+  toApiError,
+  Unauthorized
+} from './errors.js';
+import { decodeCursor } from './pagination.js';
+import { hasPermission } from './permissions.js';
 
-// Standard API response formatter
-export const apiResponse = (res, status, data, message = '') => {
+// Standard API response formatter. Error statuses are sent as problem+json
+// (see lib/errors.js), with `errors` as the per-field details.
+export const apiResponse = (res, status, data, message = '', errors = null) => {
+  if (status >= 400) {
+    return sendProblem(
+      res,
+      errorForStatus(status, message, errors ? { errors: fieldErrors(errors) } : {})
+    );
+  }
+
+  return res.status(status).json(responseBody(status, data, message));
+};
+
+// The { success, message, data } body of a non-error response
+export const responseBody = (status, data, message = '') => {
   const response = { success: status >= 200 && status < 300 };
   if (message) response.message = message;
   if (data !== undefined && data !== null) response.data = data;
+  return response;
+};
 
 /**
  * Validate request using express-validator
@@ -13,7 +41,7 @@ export const apiResponse = (res, status, data, message = '') => {
 export async function validateRequest(req, validators) {
   // Run all validators
   await Promise.all(validators.map(validator => validator.run(req)));
-  
+
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -22,21 +50,24 @@ export async function validateRequest(req, validators) {
       errors: errors.array()
     };
   }
-  
+
   return { valid: true };
 }
 
-/**
- * JWT token generator
- */
-export function generateToken(payload, expiresIn = '1h') {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
-}
+// Error carrying the HTTP status errorHandler should respond with: the
+// lib/errors.js class for the status, with an optional stable `code`
+export const httpError = (statusCode, message, code) =>
+  errorForStatus(statusCode, message, code ? { code } : {});
+
+// Global error handler. Postgres and body-parser errors are mapped to 4xx
+// problems; anything else unknown is a 500 that doesn't reveal its message.
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
 
-  const status = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
+  const error = toApiError(err);
+  if (error.statusCode >= 500) console.error(err);
 
-  apiResponse(res, status, null, message);
+  sendProblem(res, error);
 };
 
 // Async middleware wrapper
@@ -44,44 +75,153 @@ export const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-// JWT middleware for authentication
-export const authenticate = (req, res, next) => {
+/**
+ * Check an `Authorization: Bearer <token>` header and return the token's
+ * payload with the account's current role. Throws Unauthorized or Forbidden.
+ * Shared by authenticate and the Next.js adapter (lib/services/next.js).
+ */
+export const verifyAccessToken = async (authHeader) => {
+  if (!authHeader) {
+    throw new Unauthorized('Authentication required');
+  }
+
+  let decoded;
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return apiResponse(res, 401, null, 'Authentication required');
+    const token = authHeader.split(' ')[1];
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Unauthorized('Invalid or expired token');
+  }
+
+  // Role and account status are read fresh so changes apply immediately
+  const user = await db.query(
+    'SELECT role, disabled_at FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [decoded.userId]
+  );
+  if (user.rows.length === 0) {
+    throw new Unauthorized('Account no longer exists');
+  }
+  if (user.rows[0].disabled_at) {
+    throw new Forbidden('Account is disabled');
+  }
+  decoded.role = user.rows[0].role;
+
+  // Access tokens issued for a session stop working once it is revoked
+  if (decoded.sid) {
+    const session = await db.query(
+      'SELECT 1 FROM auth_sessions WHERE id = $1 AND revoked_at IS NULL',
+      [decoded.sid]
+    );
+    if (session.rows.length === 0) {
+      throw new Unauthorized('Session has been revoked');
     }
+  }
 
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+  // Device tokens stop working once the device is unpaired
+  if (decoded.did) {
+    const device = await db.query(
+      'SELECT 1 FROM devices WHERE id = $1 AND user_id = $2',
+      [decoded.did, decoded.userId]
+    );
+    if (device.rows.length === 0) {
+      throw new Unauthorized('Device is no longer paired');
+    }
+  }
+
+  return decoded;
+};
+
+// JWT middleware for authentication
+export const authenticate = async (req, res, next) => {
+  try {
+    req.user = await verifyAccessToken(req.headers.authorization);
   } catch (error) {
-    return apiResponse(res, 401, null, 'Invalid or expired token');
+    return next(error);
+  }
+  next();
+};
+
+// Reject device credentials on routes that manage the account itself
+export const requireUserSession = (req, res, next) => {
+  if (req.user.did) {
+    return apiResponse(res, 403, null, 'Not available to device credentials');
   }
+  next();
+};
+
+// Require a permission granted by the user's role (see lib/permissions.js).
+// Use after authenticate.
+export const authorize = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return apiResponse(res, 403, null, 'Not authorized');
+    }
+    next();
+  };
+
+  // Read by lib/openapi
+  middleware.permission = permission;
+  return middleware;
+};
+
+// Request ID for logs and the audit trail: the caller's X-Request-Id when it
+// looks sane, otherwise a new one. Echoed back in the response.
+export const requestId = (req, res, next) => {
+  req.id = requestIdFrom(req.get('X-Request-Id'));
+  res.set('X-Request-Id', req.id);
+  next();
 };
 
+export const requestIdFrom = (header) =>
+  header && /^[\w.:-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+
 // JWT token generator
 export const generateToken = (payload, expiresIn = '24h') => {
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
 
+// SHA-256 hex digest used to store secrets (refresh tokens, codes) at rest
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Sanitize phone number format
 export const sanitizePhoneNumber = (phone) => {
   if (!phone) return null;
   return phone.replace(/[^\d+]/g, '');
 }
 
-// Pagination helper
+// Pagination helper. Offset mode by default; keyset mode is opt-in with
+// ?cursor=<token> or ?pagination=cursor (see lib/pagination.js)
 export const paginate = (req, res, next) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  
-  req.pagination = {
+  try {
+    req.pagination = paginationFrom(req.query);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// Largest page a client can ask for; bigger limits are cut down to it
+export const MAX_PAGE_LIMIT = 100;
+
+// The req.pagination settings for a query string; throws on a bad cursor.
+// page and limit are clamped, so nothing out of range reaches the SQL
+export const paginationFrom = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_PAGE_LIMIT);
+
+  if (query.cursor !== undefined || query.pagination === 'cursor') {
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (query.cursor && !cursor) {
+      throw httpError(400, 'Invalid cursor', 'invalid_cursor');
+    }
+
+    return { mode: 'cursor', limit, cursor };
+  }
+
+  return {
+    mode: 'offset',
     page,
     limit,
     offset: (page - 1) * limit
   };
-  
-  next();
 };
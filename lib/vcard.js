@@ -0,0 +1,247 @@
+// lib/vcard.js
+import { sanitizePhoneNumber } from './utils.js';
+
+// vCard 3.0 (RFC 2426) and 4.0 (RFC 6350) serialisation for contacts.
+// Fields without a standard vCard property use these extensions:
+export const EMERGENCY_PROPERTY = 'X-EMERGENCY-CONTACT';
+export const RELATIONSHIP_PROPERTY = 'X-RELATIONSHIP';
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+
+const TYPE_TO_VCARD = { mobile: 'cell', home: 'home', work: 'work' };
+
+// ---------------------------------------------------------------------------
+// Export
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+
+// Fold lines longer than 75 octets (continuation lines start with a space)
+const fold = (line) => {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Never split a multi-byte UTF-8 character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+    limit = 74;
+  }
+  return parts.join('\r\n ');
+};
+
+const telLine = (phone, version) => {
+  const type = TYPE_TO_VCARD[phone.phone_type] || 'voice';
+
+  if (version === '4.0') {
+    const pref = phone.is_primary ? ';PREF=1' : '';
+    return `TEL;VALUE=uri;TYPE=${type}${pref}:tel:${phone.phone_e164 || sanitizePhoneNumber(phone.phone_number)}`;
+  }
+
+  const types = phone.is_primary ? `${type.toUpperCase()},PREF` : type.toUpperCase();
+  return `TEL;TYPE=${types}:${escapeText(phone.phone_number)}`;
+};
+
+// Serialise one contact (with phone_numbers) as a vCard
+export const formatVCard = (contact, version = '3.0') => {
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    `FN:${escapeText(contact.name)}`,
+    // N is required in 3.0; the whole name goes in the family-name slot
+    `N:${escapeText(contact.name)};;;;`,
+  ];
+
+  for (const phone of contact.phone_numbers || []) {
+    lines.push(telLine(phone, version));
+  }
+
+  if (contact.image) {
+    lines.push(version === '4.0' ? `PHOTO:${contact.image}` : `PHOTO;VALUE=uri:${contact.image}`);
+  }
+
+  if (contact.relationship) {
+    lines.push(`${RELATIONSHIP_PROPERTY}:${escapeText(contact.relationship)}`);
+  }
+
+  lines.push(`${EMERGENCY_PROPERTY}:${contact.is_emergency ? 'TRUE' : 'FALSE'}`);
+  lines.push(`UID:urn:visionary:contact:${contact.id}`);
+
+  if (version === '4.0' && contact.updated_at) {
+    lines.push(`REV:${new Date(contact.updated_at).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  }
+
+  lines.push('END:VCARD');
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+export const formatVCards = (contacts, version = '3.0') =>
+  contacts.map((contact) => formatVCard(contact, version)).join('');
+
+// ---------------------------------------------------------------------------
+// Import
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Split on a separator that is not inside double quotes
+const splitUnquoted = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+// "item1.TEL;TYPE=CELL,VOICE;PREF=1:+1 555" -> { name, params, value }
+const parseLine = (line) => {
+  const colon = splitUnquoted(line, ':');
+  if (colon.length < 2) return null;
+
+  const [head, ...valueParts] = colon;
+  const [rawName, ...rawParams] = splitUnquoted(head, ';');
+  const name = rawName.replace(/^[\w-]+\./, '').toUpperCase();
+
+  const params = {};
+  for (const rawParam of rawParams) {
+    const [key, val] = rawParam.includes('=') ? rawParam.split(/=(.*)/s) : ['TYPE', rawParam];
+    const values = val.replace(/"/g, '').split(',').filter(Boolean);
+    const upperKey = key.toUpperCase();
+    params[upperKey] = [...(params[upperKey] || []), ...values.map((v) => v.toLowerCase())];
+  }
+
+  return { name, params, value: valueParts.join(':') };
+};
+
+// Split a .vcf document into cards, each a list of parsed property lines
+export const parseVCards = (text) => {
+  // Unfold: a line starting with a space or tab continues the previous one
+  const lines = text
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const cards = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseLine(line);
+    if (!property) {
+      if (current) current.invalid.push(line);
+      continue;
+    }
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      current = { properties: [], invalid: [] };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+      if (current) cards.push(current);
+      current = null;
+    } else if (current) {
+      current.properties.push(property);
+    }
+  }
+
+  return cards;
+};
+
+const telType = (types) => {
+  if (types.some((t) => ['cell', 'mobile', 'iphone'].includes(t))) return 'mobile';
+  if (types.includes('work')) return 'work';
+  if (types.includes('home')) return 'home';
+  return 'mobile';
+};
+
+const isPreferred = (params) =>
+  (params.TYPE || []).includes('pref') || (params.PREF || []).length > 0;
+
+/**
+ * Map a parsed card to a contact. Returns { contact, warnings } or
+ * { error } when the card cannot become a contact.
+ */
+export const cardToContact = (card) => {
+  const warnings =
+    card.invalid.length > 0 ? [`${card.invalid.length} unreadable line(s) ignored`] : [];
+  const get = (name) => card.properties.filter((p) => p.name === name);
+
+  const formatted = get('FN')[0];
+  const structured = get('N')[0];
+  let name = formatted ? unescapeText(formatted.value).trim() : '';
+
+  if (!name && structured) {
+    // N is family;given;additional;prefix;suffix
+    const [family = '', given = ''] = splitUnquoted(structured.value, ';').map(unescapeText);
+    name = [given, family].filter(Boolean).join(' ').trim();
+  }
+
+  if (!name && get('ORG')[0]) {
+    name = unescapeText(splitUnquoted(get('ORG')[0].value, ';')[0]).trim();
+  }
+
+  if (!name) return { error: 'Card has no name (FN, N or ORG)' };
+
+  const phone_numbers = [];
+  let primaryTaken = false;
+  for (const tel of get('TEL')) {
+    const number = unescapeText(tel.value).replace(/^tel:/i, '').replace(/;ext=/i, ' ext. ').trim();
+    if (!number) {
+      warnings.push('Empty TEL ignored');
+      continue;
+    }
+
+    const is_primary = !primaryTaken && isPreferred(tel.params);
+    if (is_primary) primaryTaken = true;
+
+    phone_numbers.push({
+      phone_number: number,
+      phone_type: telType(tel.params.TYPE || []),
+      is_primary,
+    });
+  }
+
+  let image = null;
+  const photo = get('PHOTO')[0];
+  if (photo) {
+    const value = photo.value.trim();
+    if (/^https?:\/\//i.test(value)) {
+      image = value;
+    } else {
+      warnings.push('Embedded PHOTO data is not supported; photo ignored');
+    }
+  }
+
+  const relationship = get(RELATIONSHIP_PROPERTY)[0];
+  const emergency = get(EMERGENCY_PROPERTY)[0];
+
+  return {
+    contact: {
+      name,
+      is_emergency: emergency
+        ? ['true', '1', 'yes'].includes(emergency.value.trim().toLowerCase())
+        : false,
+      relationship: relationship ? unescapeText(relationship.value).trim() || null : null,
+      image,
+      phone_numbers,
+    },
+    warnings,
+  };
+};
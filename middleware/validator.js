@@ -0,0 +1,121 @@
+// middleware/validator.js
+import { body, query, validationResult } from 'express-validator';
+import { normalizeRegion, phoneNumberProblem, requestPhoneRegion } from '../lib/phone.js';
+import { apiResponse } from '../lib/utils.js';
+
+export const validateRequest = (validations) => {
+  const middleware = async (req, res, next) => {
+    // Execute all validations
+    await Promise.all(validations.map(validation => validation.run(req)));
+    
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return apiResponse(res, 400, null, 'Validation error', errors.array());
+    }
+    
+    next();
+  };
+  
+  // Read by lib/openapi to document the route's parameters and body
+  middleware.validations = validations;
+  return middleware;
+};
+
+// Attach an OpenAPI schema to a chain whose custom validators lib/openapi
+// can't describe on its own
+const documented = (chain, schema) => Object.assign(chain, { openapi: schema });
+
+// Split a comma-separated query value into trimmed, non-empty items
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// `?sort=-is_emergency,name` - whitelisted keys, "-" prefix for descending.
+// Sanitized to [{ key, direction }].
+export const sortParam = (allowed, field = 'sort') =>
+  documented(query(field), {
+    description: `Comma-separated sort keys, "-" prefix for descending: ${allowed.join(', ')}`
+  }).optional()
+    .isString().withMessage(`${field} must be a comma-separated list`)
+    .custom(value => {
+      const unknown = splitList(value).filter(key => !allowed.includes(key.replace(/^-/, '')));
+      if (unknown.length > 0) {
+        throw new Error(`Cannot sort by ${unknown.join(', ')}; allowed: ${allowed.join(', ')}`);
+      }
+      return true;
+    })
+    .customSanitizer(value => splitList(value).map(key => ({
+      key: key.replace(/^-/, ''),
+      direction: key.startsWith('-') ? 'DESC' : 'ASC'
+    })));
+
+// `?fields=name,phone_numbers` - whitelisted field names, sanitized to an array
+export const fieldsParam = (allowed, field = 'fields') =>
+  documented(query(field), {
+    description: `Comma-separated field names: ${allowed.join(', ')}`
+  }).optional()
+    .isString().withMessage(`${field} must be a comma-separated list`)
+    .custom(value => {
+      const unknown = splitList(value).filter(name => !allowed.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown field(s) ${unknown.join(', ')}; allowed: ${allowed.join(', ')}`);
+      }
+      return true;
+    })
+    .customSanitizer(value => splitList(value));
+
+// A phone number that must parse in the request's region (see lib/phone.js).
+// `owner(req)` names the account the number is stored for when that is not
+// the signed-in user; its region is used instead.
+export const phoneNumberField = (field = 'phone_number', { owner } = {}) =>
+  documented(body(field), {
+    description: 'National format in the default region, or international with +country code'
+  }).trim().notEmpty().withMessage('Phone number is required')
+    .isLength({ max: 32 }).withMessage('Phone number must be at most 32 characters')
+    .bail()
+    .custom(async (value, { req }) => {
+      const ownerId = owner ? await owner(req) : undefined;
+      const problem = phoneNumberProblem(value, await requestPhoneRegion(req, ownerId));
+      if (problem) throw new Error(problem);
+      return true;
+    });
+
+// ISO 3166-1 alpha-2 region used to read numbers without a +country code
+export const regionField = (field = 'default_region') =>
+  documented(body(field), {
+    type: 'string',
+    pattern: '^[A-Za-z]{2}$',
+    description: 'ISO 3166-1 alpha-2 country code'
+  })
+    .custom(value => {
+      if (!normalizeRegion(value)) throw new Error(`${field} must be a two-letter country code`);
+      return true;
+    })
+    .customSanitizer(value => normalizeRegion(value));
+
+// Body rules for a new contact, shared by POST /api/contacts and bulk imports
+export const contactRules = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('is_emergency').optional().isBoolean().withMessage('is_emergency must be true or false'),
+  body('relationship').optional().trim(),
+  body('image').optional().trim()
+];
+
+// Body rules for a new phone number (contact_id aside), shared by
+// POST /api/phone-numbers and bulk imports. `owner` as for phoneNumberField.
+export const phoneNumberRulesFor = ({ owner } = {}) => [
+  phoneNumberField('phone_number', { owner }),
+  body('phone_type').optional().isIn(['mobile', 'home', 'work'])
+    .withMessage('phone_type must be mobile, home or work'),
+  body('is_primary').optional().isBoolean().withMessage('is_primary must be true or false')
+];
+
+export const phoneNumberRules = phoneNumberRulesFor();
+
+// Run body rules against a plain object outside a request (e.g. one row of
+// an import). `context` supplies request fields the rules read, such as
+// `user` or `phoneRegion`. Returns the sanitized values and any errors.
+export const checkBody = async (validations, values, context = {}) => {
+  const req = { ...context, body: { ...values } };
+  await Promise.all(validations.map(validation => validation.run(req)));
+  return { values: req.body, errors: validationResult(req).array() };
+};
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS contact_phone_numbers;
+DROP TABLE IF EXISTS contacts;
+DROP TABLE IF EXISTS users;
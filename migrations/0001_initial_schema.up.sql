@@ -0,0 +1,41 @@
+-- Base schema for users, their contacts and the contacts' phone numbers.
+-- IF NOT EXISTS lets environments that were built by hand adopt the runner.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  password VARCHAR(255) NOT NULL,
+  age INTEGER CHECK (age > 0),
+  mac VARCHAR(17),
+  phone_number VARCHAR(32),
+  image TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  is_emergency BOOLEAN NOT NULL DEFAULT false,
+  relationship VARCHAR(100),
+  image TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contacts_user_id_idx
+  ON contacts (user_id, is_emergency DESC, name);
+
+CREATE TABLE IF NOT EXISTS contact_phone_numbers (
+  id SERIAL PRIMARY KEY,
+  contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  phone_number VARCHAR(32) NOT NULL,
+  phone_type VARCHAR(10) NOT NULL DEFAULT 'mobile'
+    CHECK (phone_type IN ('mobile', 'home', 'work')),
+  is_primary BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contact_phone_numbers_contact_id_idx
+  ON contact_phone_numbers (contact_id);
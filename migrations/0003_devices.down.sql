@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS device_pairing_codes;
+DROP TABLE IF EXISTS devices;
@@ -0,0 +1,25 @@
+-- Wearables paired to a user. A device authenticates with its MAC address and
+-- the secret handed out at pairing time; only the secret's hash is stored.
+
+CREATE TABLE devices (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  mac VARCHAR(17) NOT NULL UNIQUE,
+  credential_hash CHAR(64) NOT NULL,
+  paired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ
+);
+
+CREATE INDEX devices_user_id_idx ON devices (user_id);
+
+-- One-time codes a signed-in user generates to pair a new device
+CREATE TABLE device_pairing_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL UNIQUE,
+  device_name VARCHAR(100),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
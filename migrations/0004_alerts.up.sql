@@ -0,0 +1,42 @@
+-- Emergency alerts raised by a user (or one of their devices) and the SMS or
+-- webhook deliveries fanned out to their emergency contacts.
+
+CREATE TABLE alerts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id INTEGER REFERENCES devices(id) ON DELETE SET NULL,
+  message TEXT NOT NULL,
+  severity VARCHAR(10) NOT NULL DEFAULT 'high'
+    CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  latitude NUMERIC(9, 6),
+  longitude NUMERIC(9, 6),
+  accuracy_m NUMERIC(8, 1),
+  acknowledged_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX alerts_user_id_idx ON alerts (user_id, created_at DESC);
+
+-- Contact name and number are copied so the record survives contact edits
+CREATE TABLE alert_deliveries (
+  id SERIAL PRIMARY KEY,
+  alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+  contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+  contact_name VARCHAR(255) NOT NULL,
+  phone_number VARCHAR(32) NOT NULL,
+  channel VARCHAR(20) NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'retrying', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  provider_message_id VARCHAR(255),
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  acknowledged_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX alert_deliveries_alert_id_idx ON alert_deliveries (alert_id);
+CREATE INDEX alert_deliveries_due_idx ON alert_deliveries (next_attempt_at)
+  WHERE status IN ('pending', 'retrying', 'sending');
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS contact_phone_numbers_digits_trgm_idx;
+DROP INDEX IF EXISTS contacts_relationship_trgm_idx;
+DROP INDEX IF EXISTS contacts_name_trgm_idx;
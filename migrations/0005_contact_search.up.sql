@@ -0,0 +1,13 @@
+-- Trigram indexes behind GET /api/contacts/search. Names and relationships
+-- are matched fuzzily; phone numbers are matched on their digits only.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX contacts_name_trgm_idx
+  ON contacts USING gin (name gin_trgm_ops);
+
+CREATE INDEX contacts_relationship_trgm_idx
+  ON contacts USING gin (relationship gin_trgm_ops);
+
+CREATE INDEX contact_phone_numbers_digits_trgm_idx
+  ON contact_phone_numbers USING gin (regexp_replace(phone_number, '\D', '', 'g') gin_trgm_ops);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS contact_phone_numbers_contact_e164_key;
+
+ALTER TABLE contact_phone_numbers DROP COLUMN IF EXISTS phone_e164;
+
+ALTER TABLE users DROP COLUMN IF EXISTS phone_e164;
+ALTER TABLE users DROP COLUMN IF EXISTS default_region;
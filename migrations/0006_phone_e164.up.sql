@@ -0,0 +1,13 @@
+-- Canonical E.164 phone numbers stored next to the raw input, and the
+-- region each user's national-format numbers are read in.
+
+ALTER TABLE users ADD COLUMN default_region CHAR(2);
+ALTER TABLE users ADD COLUMN phone_e164 VARCHAR(16);
+
+ALTER TABLE contact_phone_numbers ADD COLUMN phone_e164 VARCHAR(16);
+
+-- One copy of a number per contact, however it was typed. Rows saved before
+-- this migration have no E.164 form and are not constrained.
+CREATE UNIQUE INDEX contact_phone_numbers_contact_e164_key
+  ON contact_phone_numbers (contact_id, phone_e164)
+  WHERE phone_e164 IS NOT NULL;
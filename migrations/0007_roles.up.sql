@@ -0,0 +1,21 @@
+-- Roles for access control, account disabling and the admin audit log.
+-- Promote the first admin with: npm run admin -- promote <name>
+
+ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user'
+  CHECK (role IN ('user', 'caregiver', 'admin'));
+ALTER TABLE users ADD COLUMN disabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN disabled_reason TEXT;
+
+-- Every action taken through /api/admin. Rows outlive the users involved.
+CREATE TABLE admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  ip VARCHAR(45),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX admin_audit_log_target_user_id_idx ON admin_audit_log (target_user_id);
+CREATE INDEX admin_audit_log_created_at_idx ON admin_audit_log (created_at);
@@ -0,0 +1,22 @@
+-- Delegated access to another user's contacts (e.g. a family member who
+-- manages them). A row starts as an invitation; accepting it fills in
+-- delegate_id. Only the invitation token's hash is stored.
+
+CREATE TABLE contact_delegations (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  delegate_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  -- When set, only the account with this name may accept
+  invited_name VARCHAR(255),
+  access VARCHAR(10) NOT NULL CHECK (access IN ('read', 'read_write')),
+  invite_hash CHAR(64) NOT NULL UNIQUE,
+  invite_expires_at TIMESTAMPTZ NOT NULL,
+  -- NULL means the grant lasts until revoked
+  expires_at TIMESTAMPTZ,
+  accepted_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX contact_delegations_owner_id_idx ON contact_delegations (owner_id);
+CREATE INDEX contact_delegations_delegate_owner_idx ON contact_delegations (delegate_id, owner_id);
@@ -0,0 +1,34 @@
+-- Append-only record of every change made through the users, contacts and
+-- phone-number routes. There are deliberately no foreign keys: events must
+-- outlive the rows they describe, and ON DELETE actions would rewrite them.
+
+CREATE TABLE audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  -- Who made the change (NULL for system jobs) and whose data it was
+  actor_id INTEGER,
+  owner_id INTEGER NOT NULL,
+  target_type VARCHAR(30) NOT NULL,
+  target_id INTEGER NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  -- { field: { before, after } } for each field that changed
+  changes JSONB NOT NULL DEFAULT '{}',
+  request_id VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_events_owner_created_idx ON audit_events (owner_id, created_at DESC, id DESC);
+CREATE INDEX audit_events_target_idx ON audit_events (target_type, target_id);
+
+CREATE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_events_no_change
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+
+CREATE TRIGGER audit_events_no_truncate
+  BEFORE TRUNCATE ON audit_events
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only();
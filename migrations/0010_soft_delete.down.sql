@@ -0,0 +1,20 @@
+-- audit_events is append-only, so any restore and purge events stay and the
+-- wider action check stays with them.
+
+DROP INDEX IF EXISTS users_deleted_idx;
+DROP INDEX IF EXISTS contact_phone_numbers_deleted_idx;
+DROP INDEX IF EXISTS contacts_deleted_idx;
+
+-- Whatever is in the trash is removed along with it
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+DELETE FROM contacts WHERE deleted_at IS NOT NULL;
+DELETE FROM contact_phone_numbers WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS contact_phone_numbers_contact_e164_key;
+CREATE UNIQUE INDEX contact_phone_numbers_contact_e164_key
+  ON contact_phone_numbers (contact_id, phone_e164)
+  WHERE phone_e164 IS NOT NULL;
+
+ALTER TABLE contact_phone_numbers DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE contacts DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
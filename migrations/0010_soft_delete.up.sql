@@ -0,0 +1,25 @@
+-- Deletes move contacts, phone numbers and accounts to the trash instead of
+-- removing them; the purge job removes them for good after the retention
+-- window (see lib/trash.js).
+
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE contacts ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE contact_phone_numbers ADD COLUMN deleted_at TIMESTAMPTZ;
+
+-- A number in the trash must not block adding it again
+DROP INDEX contact_phone_numbers_contact_e164_key;
+CREATE UNIQUE INDEX contact_phone_numbers_contact_e164_key
+  ON contact_phone_numbers (contact_id, phone_e164)
+  WHERE phone_e164 IS NOT NULL AND deleted_at IS NULL;
+
+-- The trash listing and the purge job only look at deleted rows
+CREATE INDEX contacts_deleted_idx ON contacts (user_id, deleted_at)
+  WHERE deleted_at IS NOT NULL;
+CREATE INDEX contact_phone_numbers_deleted_idx ON contact_phone_numbers (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+CREATE INDEX users_deleted_idx ON users (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE audit_events DROP CONSTRAINT audit_events_action_check;
+ALTER TABLE audit_events ADD CONSTRAINT audit_events_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
@@ -0,0 +1,11 @@
+-- Failed login attempts per account and per IP address (see
+-- lib/loginThrottle). `key` is 'account:<name>' or 'ip:<address>'.
+
+CREATE TABLE login_throttle (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+CREATE INDEX login_throttle_last_failure_idx ON login_throttle (last_failure_at);
@@ -0,0 +1,21 @@
+-- Idempotency-Key records for create endpoints (see lib/idempotency.js).
+-- A key belongs to one user. The fingerprint identifies the request it was
+-- first used for; the response is stored once that request completes.
+
+CREATE TABLE idempotency_keys (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key VARCHAR(255) NOT NULL,
+  fingerprint CHAR(64) NOT NULL,
+  locked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  status SMALLINT,
+  content_type VARCHAR(100),
+  -- Kept as sent; JSONB would reorder the keys of a replayed body
+  response_body TEXT,
+  -- The response headers a replay repeats (ETag, Location, Content-Disposition)
+  response_headers JSONB,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
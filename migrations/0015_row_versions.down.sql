@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS contact_phone_numbers_bump_contact_version ON contact_phone_numbers;
+DROP TRIGGER IF EXISTS contacts_bump_version ON contacts;
+DROP TRIGGER IF EXISTS users_bump_version ON users;
+DROP FUNCTION IF EXISTS bump_contact_version();
+DROP FUNCTION IF EXISTS bump_row_version();
+ALTER TABLE contacts DROP COLUMN IF EXISTS version;
+ALTER TABLE users DROP COLUMN IF EXISTS version;
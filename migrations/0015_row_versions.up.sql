@@ -0,0 +1,40 @@
+-- Row versions for optimistic concurrency (see lib/etags.js). Every update
+-- of a contact or user bumps its version, and so does adding or changing
+-- one of a contact's phone numbers; the version is sent as the ETag.
+
+ALTER TABLE users ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE contacts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+-- An update that sets version itself (as below) keeps that value
+CREATE FUNCTION bump_row_version() RETURNS trigger AS $$
+BEGIN
+  IF NEW.version = OLD.version THEN
+    NEW.version := OLD.version + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_bump_version
+  BEFORE UPDATE ON users
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+CREATE TRIGGER contacts_bump_version
+  BEFORE UPDATE ON contacts
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Deletes are left out: a number is only deleted for good once it is in the
+-- trash, along with its contact, or by a merge that updates the contact
+CREATE FUNCTION bump_contact_version() RETURNS trigger AS $$
+BEGIN
+  UPDATE contacts SET version = version + 1 WHERE id = NEW.contact_id;
+  IF TG_OP = 'UPDATE' AND OLD.contact_id <> NEW.contact_id THEN
+    UPDATE contacts SET version = version + 1 WHERE id = OLD.contact_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER contact_phone_numbers_bump_contact_version
+  AFTER INSERT OR UPDATE ON contact_phone_numbers
+  FOR EACH ROW EXECUTE FUNCTION bump_contact_version();
@@ -0,0 +1,3 @@
+-- Roles are left as they are: the caregiver role still exists without this
+-- migration, and which accounts it promoted is not recorded.
+SELECT 1;
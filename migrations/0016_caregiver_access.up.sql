@@ -0,0 +1,11 @@
+-- Contacts shared through a delegation are only reachable with the
+-- caregiver role (see lib/permissions.js). Accounts already holding an
+-- accepted, live delegation become caregivers so they keep their access.
+
+UPDATE users SET role = 'caregiver'
+WHERE role = 'user'
+  AND id IN (
+    SELECT delegate_id FROM contact_delegations
+    WHERE accepted_at IS NOT NULL AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+  );
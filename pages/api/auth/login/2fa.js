@@ -0,0 +1,13 @@
+import { UserService } from '../../../../lib/services';
+import { nextHandler, prepare } from '../../../../lib/services/next';
+import { signIn } from '../login';
+
+export default nextHandler({
+  // Exchange the challenge from /api/auth/login and a TOTP or recovery code
+  POST: async (req) => {
+    const { body } = await prepare(req, UserService.rules.completeLogin, { authenticate: false });
+    const user = await UserService.completeLogin(body, { ip: req.ip });
+
+    return signIn(req, user);
+  }
+});
\ No newline at end of file
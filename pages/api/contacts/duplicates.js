@@ -0,0 +1,12 @@
+import { ContactService } from '../../../lib/services';
+import { nextHandler, prepare } from '../../../lib/services/next';
+
+// Duplicate suggestions, answered by ContactService like
+// /api/contacts/duplicates in routes/contacts.js
+export default nextHandler({
+  // Suggest groups of contacts that are probably the same person
+  GET: async (req) => {
+    const { context, query } = await prepare(req, ContactService.rules.duplicates);
+    return { data: await ContactService.duplicates(context, query) };
+  }
+});
\ No newline at end of file
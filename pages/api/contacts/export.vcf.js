@@ -0,0 +1,17 @@
+import { ContactService } from '../../../lib/services';
+import { nextHandler, prepare } from '../../../lib/services/next';
+
+// Contact export, answered by ContactService like /api/contacts/export.vcf in
+// routes/contacts.js
+export default nextHandler({
+  // Export all contacts as a .vcf file
+  GET: async (req) => {
+    const { context, query } = await prepare(req, ContactService.rules.exportVCards);
+
+    return {
+      body: await ContactService.exportVCards(context, query),
+      type: 'text/vcard',
+      headers: { 'Content-Disposition': 'attachment; filename="contacts.vcf"' }
+    };
+  }
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+import { ContactService } from '../../../../lib/services';
+import { idempotent, nextHandler, prepare } from '../../../../lib/services/next';
+
+// CSV import, answered by ContactService like /api/contacts/import/csv in
+// routes/contacts.js. Next.js hands non-JSON bodies over as text.
+export const config = { api: { bodyParser: { sizeLimit: ContactService.MAX_IMPORT_BYTES } } };
+
+// Next.js leaves `map[name]=Full Name` flat; nest it as Express does
+const nestMap = (query) => {
+  const map = {};
+  const rest = {};
+  for (const [key, value] of Object.entries(query)) {
+    const target = /^map\[(.+)\]$/.exec(key)?.[1];
+    if (target) {
+      map[target] = value;
+    } else {
+      rest[key] = value;
+    }
+  }
+  return Object.keys(map).length > 0 ? { ...rest, map } : rest;
+};
+
+// Whether the client asked for JSON rather than the CSV error report
+const wantsJson = (accept = '') => accept.includes('application/json') && !accept.includes('text/csv');
+
+export default nextHandler({
+  // Import contacts from a CSV upload (sent as the request body)
+  POST: idempotent(async (req) => {
+    req.query = nestMap(req.query);
+    const { context, query } = await prepare(req, ContactService.rules.importCsv);
+
+    let result;
+    try {
+      result = await ContactService.importCsv(context, query, {
+        contentType: req.headers['content-type'],
+        text: req.body
+      });
+    } catch (error) {
+      if (error.code !== 'import_rejected' || wantsJson(req.headers.accept)) throw error;
+
+      return {
+        status: 422,
+        body: ContactService.importErrorReport(error),
+        type: 'text/csv',
+        headers: { 'Content-Disposition': 'attachment; filename="import-errors.csv"' }
+      };
+    }
+
+    if (result.dry_run) {
+      return { data: result, message: 'Import is valid; nothing was saved' };
+    }
+
+    return { status: 201, data: result, message: 'Import finished' };
+  })
+});
\ No newline at end of file
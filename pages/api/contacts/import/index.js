@@ -0,0 +1,16 @@
+import { ContactService } from '../../../../lib/services';
+import { idempotent, nextHandler, prepare } from '../../../../lib/services/next';
+
+// vCard import, answered by ContactService like /api/contacts/import in
+// routes/contacts.js. Next.js hands non-JSON bodies over as text.
+export const config = { api: { bodyParser: { sizeLimit: ContactService.MAX_IMPORT_BYTES } } };
+
+export default nextHandler({
+  // Import contacts from a multi-card .vcf upload (sent as the request body)
+  POST: idempotent(async (req) => {
+    const { context, query } = await prepare(req, ContactService.rules.importVCards);
+    const report = await ContactService.importVCards(context, query, req.body);
+
+    return { data: report, message: 'Import finished' };
+  })
+});
\ No newline at end of file
@@ -0,0 +1,14 @@
+import { ContactService } from '../../../lib/services';
+import { nextHandler, prepare } from '../../../lib/services/next';
+
+// Contact merging, answered by ContactService like /api/contacts/merge in
+// routes/contacts.js
+export default nextHandler({
+  // Merge contacts into a surviving contact
+  POST: async (req) => {
+    const { context, body } = await prepare(req, ContactService.rules.merge);
+    const contact = await ContactService.merge(context, body);
+
+    return { data: contact, message: 'Contacts merged successfully' };
+  }
+});
\ No newline at end of file
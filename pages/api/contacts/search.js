@@ -0,0 +1,14 @@
+import { ContactService } from '../../../lib/services';
+import { nextHandler, prepare } from '../../../lib/services/next';
+import { paginationFrom } from '../../../lib/utils';
+
+// Contact search, answered by ContactService like /api/contacts/search in
+// routes/contacts.js
+export default nextHandler({
+  // Search contacts by name, relationship or phone digits
+  GET: async (req) => {
+    const { context, query } = await prepare(req, ContactService.rules.search);
+    const page = paginationFrom(req.query);
+    return { data: await ContactService.search(context, query, page) };
+  }
+});
\ No newline at end of file
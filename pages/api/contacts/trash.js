@@ -0,0 +1,14 @@
+import { ContactService } from '../../../lib/services';
+import { nextHandler, prepare } from '../../../lib/services/next';
+import { paginationFrom } from '../../../lib/utils';
+
+// The trash, answered by ContactService like /api/contacts/trash in
+// routes/contacts.js
+export default nextHandler({
+  // Deleted contacts and phone numbers that can still be restored
+  GET: async (req) => {
+    const { context, query } = await prepare(req, ContactService.rules.trash);
+    const page = paginationFrom(req.query);
+    return { data: await ContactService.listTrash(context, query, page) };
+  }
+});
\ No newline at end of file
@@ -0,0 +1,14 @@
+import { etagOf } from '../../../lib/etags';
+import { UserService } from '../../../lib/services';
+import { nextHandler, prepare } from '../../../lib/services/next';
+
+// The signed-in account, answered by UserService like /api/users/me in
+// routes/users.js
+export default nextHandler({
+  // Get current user profile
+  GET: async (req) => {
+    const { context } = await prepare(req, []);
+    const user = await UserService.get(context, context.user.userId);
+    return { data: user, headers: { ETag: etagOf(user.version) } };
+  }
+});
\ No newline at end of file
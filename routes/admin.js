@@ -0,0 +1,157 @@
+// routes/admin.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  disableUser,
+  enableUser,
+  getUser,
+  listAuditLog,
+  listUsers,
+  resetPassword,
+  setRole,
+  unlockUser
+} from '../lib/admin.js';
+import { ROLES } from '../lib/permissions.js';
+import {
+  apiResponse,
+  asyncHandler,
+  authenticate,
+  authorize,
+  paginate,
+  requireUserSession
+} from '../lib/utils.js';
+import { validateRequest } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Admin routes need a signed-in user (not a device); each route then
+// asks for its own permission
+router.use(authenticate, requireUserSession);
+
+// The admin and request details written to the audit log
+const actorOf = (req) => ({ adminId: req.user.userId, ip: req.ip || null });
+
+// List and search users
+router.get('/users',
+  authorize('users:list'),
+  paginate,
+  validateRequest([
+    query('q').optional().trim().isLength({ max: 100 }),
+    query('role').optional().isIn(ROLES),
+    query('status').optional().isIn(['active', 'disabled', 'deleted'])
+  ]),
+  asyncHandler(async (req, res) => {
+    const { q, role, status } = req.query;
+
+    const { users, pagination } = await listUsers(
+      actorOf(req),
+      { q, role, status },
+      req.pagination
+    );
+
+    apiResponse(res, 200, { users, pagination });
+  })
+);
+
+// Get one user's account details
+router.get('/users/:id',
+  authorize('users:list'),
+  validateRequest([
+    param('id').isInt().toInt()
+  ]),
+  asyncHandler(async (req, res) => {
+    const user = await getUser(actorOf(req), req.params.id);
+
+    apiResponse(res, 200, user);
+  })
+);
+
+// Disable an account; its sessions end immediately
+router.post('/users/:id/disable',
+  authorize('users:disable'),
+  validateRequest([
+    param('id').isInt().toInt(),
+    body('reason').optional().trim().isLength({ max: 500 })
+  ]),
+  asyncHandler(async (req, res) => {
+    const user = await disableUser(actorOf(req), req.params.id, req.body.reason || null);
+
+    apiResponse(res, 200, user, 'Account disabled');
+  })
+);
+
+// Re-enable a disabled account
+router.post('/users/:id/enable',
+  authorize('users:disable'),
+  validateRequest([
+    param('id').isInt().toInt()
+  ]),
+  asyncHandler(async (req, res) => {
+    const user = await enableUser(actorOf(req), req.params.id);
+
+    apiResponse(res, 200, user, 'Account enabled');
+  })
+);
+
+// Reset a password. Without `password` a temporary one is generated and
+// returned once.
+router.post('/users/:id/reset-password',
+  authorize('users:reset_password'),
+  validateRequest([
+    param('id').isInt().toInt(),
+    body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ]),
+  asyncHandler(async (req, res) => {
+    const result = await resetPassword(actorOf(req), req.params.id, req.body.password || null);
+
+    apiResponse(res, 200, result, 'Password reset; all sessions were signed out');
+  })
+);
+
+// Clear failed login attempts and any lockout
+router.post('/users/:id/unlock',
+  authorize('users:unlock'),
+  validateRequest([
+    param('id').isInt().toInt()
+  ]),
+  asyncHandler(async (req, res) => {
+    const user = await unlockUser(actorOf(req), req.params.id);
+
+    apiResponse(res, 200, user, 'Login lockout cleared');
+  })
+);
+
+// Change a user's role
+router.put('/users/:id/role',
+  authorize('users:set_role'),
+  validateRequest([
+    param('id').isInt().toInt(),
+    body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+  ]),
+  asyncHandler(async (req, res) => {
+    const user = await setRole(actorOf(req), req.params.id, req.body.role);
+
+    apiResponse(res, 200, user, 'Role updated');
+  })
+);
+
+// Read the admin audit log
+router.get('/audit-log',
+  authorize('audit:read'),
+  paginate,
+  validateRequest([
+    query('user_id').optional().isInt().toInt(),
+    query('action').optional().trim().notEmpty()
+  ]),
+  asyncHandler(async (req, res) => {
+    const entries = await listAuditLog(
+      actorOf(req),
+      { targetUserId: req.query.user_id, action: req.query.action },
+      req.pagination
+    );
+
+    apiResponse(res, 200, entries);
+  })
+);
+
+export default router;
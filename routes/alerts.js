@@ -0,0 +1,106 @@
+// routes/alerts.js
+import express from 'express';
+import { body, param } from 'express-validator';
+import { renderAckPage } from '../lib/ackPage.js';
+import { acknowledgeDelivery, createAlert, deliverDue, findDelivery, getAlert, listAlerts } from '../lib/alerts.js';
+import { idempotent } from '../lib/idempotency.js';
+import { apiResponse, asyncHandler, authenticate, paginate } from '../lib/utils.js';
+import { validateRequest } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Open the link sent to an emergency contact - an HTML page showing the
+// alert with a button that acknowledges it (no login)
+router.get('/ack/:token',
+  asyncHandler(async (req, res) => {
+    const delivery = await findDelivery(req.params.token);
+
+    res.status(delivery ? 200 : 404);
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAckPage(delivery));
+  })
+);
+
+// Acknowledge an alert from the link sent to an emergency contact (no login).
+// The page's button gets HTML back; API clients get JSON.
+router.post('/ack/:token',
+  asyncHandler(async (req, res) => {
+    const delivery = await acknowledgeDelivery(req.params.token);
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      res.status(delivery ? 200 : 404);
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderAckPage(delivery && await findDelivery(req.params.token)));
+    }
+
+    if (!delivery) {
+      return apiResponse(res, 404, null, 'Alert not found');
+    }
+
+    apiResponse(res, 200, delivery, 'Alert acknowledged');
+  })
+);
+
+// Everything else belongs to the signed-in user or their device
+router.use(authenticate);
+
+// Raise an alert and notify every emergency contact
+router.post('/',
+  validateRequest([
+    body('message').optional().isString().trim().isLength({ min: 1, max: 500 }),
+    body('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
+    body('location').optional().isObject(),
+    body('location.latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+    body('location.longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+    body('location.accuracy').optional().isFloat({ min: 0 }).toFloat()
+  ]),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const { message = 'I need help', severity = 'high', location } = req.body;
+
+    const alert = await createAlert(req.user.userId, {
+      message,
+      severity,
+      location,
+      deviceId: req.user.did || null
+    });
+
+    // First attempt happens now; failures are picked up by the retry worker
+    await deliverDue(alert.id);
+
+    const result = await getAlert(req.user.userId, alert.id);
+    const notice = result.deliveries.length > 0
+      ? 'Alert sent to emergency contacts'
+      : 'Alert recorded, but there are no emergency contacts with a phone number';
+
+    apiResponse(res, 201, result, notice);
+  })
+);
+
+// List alerts
+router.get('/',
+  paginate,
+  asyncHandler(async (req, res) => {
+    const alerts = await listAlerts(req.user.userId, req.pagination);
+
+    apiResponse(res, 200, alerts);
+  })
+);
+
+// Get alert with its delivery attempts
+router.get('/:id',
+  validateRequest([
+    param('id').isInt().toInt()
+  ]),
+  asyncHandler(async (req, res) => {
+    const alert = await getAlert(req.user.userId, req.params.id);
+
+    if (!alert) {
+      return apiResponse(res, 404, null, 'Alert not found');
+    }
+
+    apiResponse(res, 200, alert);
+  })
+);
+
+export default router;
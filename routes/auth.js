@@ -0,0 +1,155 @@
+// routes/auth.js
+import express from 'express';
+import { body } from 'express-validator';
+import { auditContext } from '../lib/audit.js';
+import { issueDeviceToken, pairDevice } from '../lib/devices.js';
+import { completePasswordReset, requestPasswordReset } from '../lib/passwords.js';
+import { serviceContext, UserService } from '../lib/services/index.js';
+import {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  sessionContext
+} from '../lib/sessions.js';
+import { apiResponse, asyncHandler, authenticate, requireUserSession } from '../lib/utils.js';
+import { validateRequest } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Start a session (short-lived access token plus refresh token) and answer
+// with the user and tokens
+const startSession = async (req, res, user) => {
+  apiResponse(res, 200, await UserService.startSession(user, sessionContext(req)));
+};
+
+// Login route
+router.post('/login', 
+  validateRequest(UserService.rules.login),
+  asyncHandler(async (req, res) => {
+    // Check credentials, counting failures per account and IP
+    const { user, challenge } = await UserService.login(req.body, { ip: req.ip });
+    
+    // With 2FA on, the password only earns a challenge for /login/2fa
+    if (challenge) {
+      return apiResponse(res, 200, { two_factor_required: true, ...challenge },
+        'Two-factor code required');
+    }
+    
+    await startSession(req, res, user);
+  })
+);
+
+// Second login step - a TOTP or recovery code exchanges the challenge token
+// from /login for a session
+router.post('/login/2fa',
+  validateRequest(UserService.rules.completeLogin),
+  asyncHandler(async (req, res) => {
+    const user = await UserService.completeLogin(req.body, { ip: req.ip });
+    
+    await startSession(req, res, user);
+  })
+);
+
+// Register route
+router.post('/register', 
+  validateRequest(UserService.rules.register),
+  asyncHandler(async (req, res) => {
+    const user = await UserService.register(serviceContext(req), req.body);
+    
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(user.id, sessionContext(req));
+    
+    apiResponse(res, 201, { user, ...tokens }, 'User registered successfully');
+  })
+);
+
+// Refresh route - rotates the refresh token
+router.post('/refresh',
+  validateRequest([
+    body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    const tokens = await rotateRefreshToken(req.body.refresh_token);
+    
+    apiResponse(res, 200, tokens);
+  })
+);
+
+// Logout route - revokes the current session, or every session with `all`
+router.post('/logout',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    body('all').optional().isBoolean().toBoolean()
+  ]),
+  asyncHandler(async (req, res) => {
+    if (req.body.all) {
+      await revokeUserSessions(req.user.userId);
+    } else if (req.user.sid) {
+      await revokeSession(req.user.sid);
+    }
+    
+    apiResponse(res, 200, null, 'Logged out successfully');
+  })
+);
+
+// Forgot password - sends a reset token through the reset channel. The
+// answer is the same whether or not the account exists.
+router.post('/password/forgot',
+  validateRequest([
+    body('username').trim().notEmpty().withMessage('Username is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    await requestPasswordReset(req.body.username, { ip: req.ip });
+    
+    apiResponse(res, 202, null, 'If the account exists, a reset token has been sent');
+  })
+);
+
+// Reset password with a token from /password/forgot; signs out every session
+router.post('/password/reset',
+  validateRequest([
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ]),
+  asyncHandler(async (req, res) => {
+    await completePasswordReset(req.body.token, req.body.password, auditContext(req));
+    
+    apiResponse(res, 200, null, 'Password has been reset; sign in with the new password');
+  })
+);
+
+// Pair a device using a code generated from /api/users/me/devices/pairing-code
+router.post('/devices/pair',
+  validateRequest([
+    body('code').trim().notEmpty().withMessage('Pairing code is required'),
+    body('mac').isMACAddress().withMessage('Valid MAC address is required'),
+    body('name').optional().trim().notEmpty().isLength({ max: 100 })
+  ]),
+  asyncHandler(async (req, res) => {
+    const { code, mac, name } = req.body;
+    
+    const paired = await pairDevice({ code, mac, name }, auditContext(req));
+    
+    apiResponse(res, 201, paired, 'Device paired successfully');
+  })
+);
+
+// Device login - exchanges MAC address and device secret for a device token
+router.post('/devices/token',
+  validateRequest([
+    body('mac').isMACAddress().withMessage('Valid MAC address is required'),
+    body('device_secret').isString().notEmpty().withMessage('Device secret is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    const token = await issueDeviceToken({
+      mac: req.body.mac,
+      secret: req.body.device_secret
+    });
+    
+    apiResponse(res, 200, token);
+  })
+);
+
+export default router;
\ No newline at end of file
@@ -1,8 +1,11 @@
 // routes/contacts.js
 import express from 'express';
-import { body, param, query } from 'express-validator';
-import db from '../lib/db.js';
+import { query } from 'express-validator';
+import { etagOf } from '../lib/etags.js';
+import { idempotent } from '../lib/idempotency.js';
+import { ContactService, serviceContext } from '../lib/services/index.js';
 import { apiResponse, asyncHandler, authenticate, paginate } from '../lib/utils.js';
+import { formatVCard, VCARD_VERSIONS } from '../lib/vcard.js';
 import { validateRequest } from '../middleware/validator.js';
 
 const router = express.Router();
@@ -13,227 +16,192 @@ router.use(authenticate);
 // Get all contacts for a user
 router.get('/',
   paginate,
-  validateRequest([
-    query('user_id').optional().isInt().toInt()
-  ]),
+  validateRequest(ContactService.rules.list),
   asyncHandler(async (req, res) => {
-    // Get user_id from query or from authenticated user
-    const user_id = req.query.user_id || req.user.userId;
-    
-    // Ensure user can only access their own contacts
-    if (parseInt(user_id) !== req.user.userId) {
-      return apiResponse(res, 403, null, 'Not authorized to access these contacts');
-    }
+    const contacts = await ContactService.list(serviceContext(req), req.query, req.pagination);
     
-    const { limit, offset } = req.pagination;
+    apiResponse(res, 200, contacts);
+  })
+);
+
+// Search contacts by name, relationship or phone digits
+router.get('/search',
+  paginate,
+  validateRequest(ContactService.rules.search),
+  asyncHandler(async (req, res) => {
+    const contacts = await ContactService.search(serviceContext(req), req.query, req.pagination);
     
-    const contacts = await db.query(
-      `SELECT * FROM contacts
-       WHERE user_id = $1
-       ORDER BY is_emergency DESC, name ASC
-       LIMIT $2 OFFSET $3`,
-      [user_id, limit, offset]
-    );
+    apiResponse(res, 200, contacts);
+  })
+);
+
+// Suggest groups of contacts that are probably the same person
+router.get('/duplicates',
+  validateRequest(ContactService.rules.duplicates),
+  asyncHandler(async (req, res) => {
+    const duplicates = await ContactService.duplicates(serviceContext(req), req.query);
     
-    // Get total count for pagination
-    const countResult = await db.query(
-      'SELECT COUNT(*) FROM contacts WHERE user_id = $1',
-      [user_id]
-    );
+    apiResponse(res, 200, duplicates);
+  })
+);
+
+// Merge contacts into a surviving contact
+router.post('/merge',
+  validateRequest(ContactService.rules.merge),
+  asyncHandler(async (req, res) => {
+    const contact = await ContactService.merge(serviceContext(req), req.body);
     
-    const totalCount = parseInt(countResult.rows[0].count);
+    apiResponse(res, 200, contact, 'Contacts merged successfully');
+  })
+);
+
+// Export all contacts as a .vcf file
+router.get('/export.vcf',
+  validateRequest(ContactService.rules.exportVCards),
+  asyncHandler(async (req, res) => {
+    const vcf = await ContactService.exportVCards(serviceContext(req), req.query);
     
-    const contactsWithPhones = await Promise.all(
-      contacts.rows.map(async contact => {
-        const phones = await db.query(
-          `SELECT * FROM contact_phone_numbers
-           WHERE contact_id = $1`,
-          [contact.id]
-        );
-        return { ...contact, phone_numbers: phones.rows };
-      })
-    );
+    res.set('Content-Type', 'text/vcard; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="contacts.vcf"');
+    res.send(vcf);
+  })
+);
+
+// Import contacts from a multi-card .vcf upload (sent as the request body)
+router.post('/import',
+  validateRequest(ContactService.rules.importVCards),
+  express.text({ type: ContactService.VCARD_MEDIA_TYPES, limit: ContactService.MAX_IMPORT_BYTES }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    const report = await ContactService.importVCards(serviceContext(req), req.query, req.body);
     
-    apiResponse(res, 200, {
-      contacts: contactsWithPhones,
-      pagination: {
-        total: totalCount,
-        page: req.pagination.page,
-        limit: req.pagination.limit,
-        pages: Math.ceil(totalCount / limit)
+    apiResponse(res, 200, report, 'Import finished');
+  })
+);
+
+// Import contacts from a CSV upload (sent as the request body). Columns are
+// mapped with `map[<field>]=<header>`, e.g. `map[name]=Full Name`; unmapped
+// fields fall back to a column with the field's own name. Either every row
+// is inserted or none is; `dry_run=true` validates without writing. The
+// upload is read whole: at most 5 MB and 5000 rows, or it is refused with a 413.
+router.post('/import/csv',
+  validateRequest(ContactService.rules.importCsv),
+  // Read whole so an Idempotency-Key can tell one upload from another
+  express.text({ type: ContactService.CSV_MEDIA_TYPES, limit: ContactService.MAX_IMPORT_BYTES }),
+  idempotent,
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await ContactService.importCsv(serviceContext(req), req.query, {
+        contentType: req.get('Content-Type'),
+        text: req.body
+      });
+    } catch (error) {
+      // Rejected rows are a downloadable report by default; JSON for
+      // clients that ask for it
+      if (error.code !== 'import_rejected' ||
+        req.accepts(['text/csv', 'application/json']) === 'application/json') {
+        throw error;
       }
-    });
+      
+      res.status(422);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="import-errors.csv"');
+      return res.send(ContactService.importErrorReport(error));
+    }
+    
+    if (result.dry_run) {
+      return apiResponse(res, 200, result, 'Import is valid; nothing was saved');
+    }
+    
+    apiResponse(res, 201, result, 'Import finished');
+  })
+);
+
+// Deleted contacts and phone numbers that can still be restored
+router.get('/trash',
+  paginate,
+  validateRequest(ContactService.rules.trash),
+  asyncHandler(async (req, res) => {
+    const trash = await ContactService.listTrash(serviceContext(req), req.query, req.pagination);
+    
+    apiResponse(res, 200, trash);
   })
 );
 
 // Get contact by ID
 router.get('/:id',
+  validateRequest(ContactService.rules.get),
+  asyncHandler(async (req, res) => {
+    const contact = await ContactService.get(serviceContext(req), req.params.id);
+    
+    // A matching If-None-Match is answered with a 304 by res.send
+    res.set('ETag', etagOf(contact.version));
+    apiResponse(res, 200, contact);
+  })
+);
+
+// Export one contact as a vCard
+router.get('/:id/vcard',
   validateRequest([
-    param('id').isInt().toInt()
+    ...ContactService.rules.get,
+    query('version').optional().isIn(VCARD_VERSIONS)
   ]),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    
-    const contact = await db.query(
-      `SELECT * FROM contacts WHERE id = $1`,
-      [id]
-    );
+    const contact = await ContactService.get(serviceContext(req), req.params.id);
+    const filename = contact.name.replace(/[^\w.-]+/g, '_') || 'contact';
     
-    if (contact.rows.length === 0) {
-      return apiResponse(res, 404, null, 'Contact not found');
-    }
-    
-    // Ensure user can only access their own contacts
-    if (contact.rows[0].user_id !== req.user.userId) {
-      return apiResponse(res, 403, null, 'Not authorized to access this contact');
-    }
-    
-    const phones = await db.query(
-      `SELECT * FROM contact_phone_numbers WHERE contact_id = $1`,
-      [id]
-    );
-    
-    apiResponse(res, 200, {
-      ...contact.rows[0],
-      phone_numbers: phones.rows
-    });
+    res.set('Content-Type', 'text/vcard; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.vcf"`);
+    res.send(formatVCard(contact, req.query.version || '3.0'));
   })
 );
 
 // Create contact
 router.post('/',
-  validateRequest([
-    body('name').trim().notEmpty().withMessage('Name is required'),
-    body('is_emergency').optional().isBoolean(),
-    body('relationship').optional().trim(),
-    body('image').optional().trim(),
-    body('phone_numbers').optional().isArray()
-  ]),
+  validateRequest(ContactService.rules.create),
+  idempotent,
   asyncHandler(async (req, res) => {
-    // Always use the authenticated user's ID
-    const user_id = req.user.userId;
-    const { name, is_emergency = false, relationship, image, phone_numbers = [] } = req.body;
+    // Insert contact with its phone numbers
+    const created = await ContactService.create(serviceContext(req), req.body);
     
-    await db.transaction(async (client) => {
-      // Insert contact
-      const contactResult = await client.query(
-        `INSERT INTO contacts
-         (user_id, name, is_emergency, relationship, image)
-         VALUES ($1, $2, $3, $4, $5)
-         RETURNING *`,
-        [user_id, name, is_emergency, relationship, image]
-      );
-      
-      const contact = contactResult.rows[0];
-      
-      // Insert phone numbers if provided
-      if (phone_numbers.length > 0) {
-        for (const phone of phone_numbers) {
-          await client.query(
-            `INSERT INTO contact_phone_numbers
-             (contact_id, phone_number, phone_type, is_primary)
-             VALUES ($1, $2, $3, $4)`,
-            [contact.id, phone.phone_number, phone.phone_type || 'mobile', phone.is_primary || false]
-          );
-        }
-      }
-      
-      // Get full contact with phones
-      const phones = await client.query(
-        'SELECT * FROM contact_phone_numbers WHERE contact_id = $1',
-        [contact.id]
-      );
-      
-      apiResponse(res, 201, {
-        ...contact,
-        phone_numbers: phones.rows
-      }, 'Contact created successfully');
-    });
+    res.set('ETag', etagOf(created.version));
+    apiResponse(res, 201, created, 'Contact created successfully');
   })
 );
 
 // Update contact
 router.put('/:id',
-  validateRequest([
-    param('id').isInt().toInt(),
-    body('name').optional().trim().notEmpty(),
-    body('is_emergency').optional().isBoolean(),
-    body('relationship').optional().trim(),
-    body('image').optional().trim()
-  ]),
+  validateRequest(ContactService.rules.update),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { name, is_emergency, relationship, image } = req.body;
-    
-    // Check if contact belongs to user
-    const contactCheck = await db.query(
-      'SELECT user_id FROM contacts WHERE id = $1',
-      [id]
-    );
-    
-    if (contactCheck.rows.length === 0) {
-      return apiResponse(res, 404, null, 'Contact not found');
-    }
-    
-    if (contactCheck.rows[0].user_id !== req.user.userId) {
-      return apiResponse(res, 403, null, 'Not authorized to update this contact');
-    }
-    
-    const result = await db.query(
-      `UPDATE contacts SET
-        name = COALESCE($1, name),
-        is_emergency = COALESCE($2, is_emergency),
-        relationship = COALESCE($3, relationship),
-        image = COALESCE($4, image),
-        updated_at = NOW()
-       WHERE id = $5
-       RETURNING *`,
-      [name, is_emergency, relationship, image, id]
-    );
+    const updated = await ContactService.update(serviceContext(req), req.params.id, req.body, {
+      ifMatch: req.get('If-Match')
+    });
     
-    apiResponse(res, 200, result.rows[0], 'Contact updated successfully');
+    res.set('ETag', etagOf(updated.version));
+    apiResponse(res, 200, updated, 'Contact updated successfully');
   })
 );
 
 // Delete contact
 router.delete('/:id',
-  validateRequest([
-    param('id').isInt().toInt()
-  ]),
+  validateRequest(ContactService.rules.remove),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    
-    // Check if contact belongs to user
-    const contactCheck = await db.query(
-      'SELECT user_id FROM contacts WHERE id = $1',
-      [id]
-    );
+    // The contact and its phone numbers go to the trash
+    await ContactService.remove(serviceContext(req), req.params.id, { ifMatch: req.get('If-Match') });
     
-    if (contactCheck.rows.length === 0) {
-      return apiResponse(res, 404, null, 'Contact not found');
-    }
-    
-    if (contactCheck.rows[0].user_id !== req.user.userId) {
-      return apiResponse(res, 403, null, 'Not authorized to delete this contact');
-    }
+    apiResponse(res, 204, null, 'Contact moved to trash');
+  })
+);
+
+// Restore a contact from the trash, with the phone numbers deleted with it
+router.post('/:id/restore',
+  validateRequest(ContactService.rules.restore),
+  asyncHandler(async (req, res) => {
+    const contact = await ContactService.restore(serviceContext(req), req.params.id);
     
-    await db.transaction(async (client) => {
-      // Delete phone numbers first
-      await client.query(
-        `DELETE FROM contact_phone_numbers
-         WHERE contact_id = $1`,
-        [id]
-      );
-      
-      // Then delete contact
-      await client.query(
-        `DELETE FROM contacts
-         WHERE id = $1`,
-        [id]
-      );
-      
-      apiResponse(res, 204, null, 'Contact deleted successfully');
-    });
+    res.set('ETag', etagOf(contact.version));
+    apiResponse(res, 200, contact, 'Contact restored');
   })
 );
 
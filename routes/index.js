@@ -0,0 +1,54 @@
+// routes/index.js
+import adminRoutes from './admin.js';
+import alertRoutes from './alerts.js';
+import authRoutes from './auth.js';
+import contactRoutes from './contacts.js';
+import phoneNumberRoutes from './phoneNumbers.js';
+import userRoutes from './users.js';
+
+// Every API router with its mount path, rate-limit group (lib/rateLimit) and
+// source file. app.js mounts these; lib/openapi documents them.
+export const API_ROUTES = [
+  {
+    path: '/api/users',
+    router: userRoutes,
+    limit: 'users',
+    source: 'routes/users.js',
+    tag: 'Users'
+  },
+  {
+    path: '/api/contacts',
+    router: contactRoutes,
+    limit: 'contacts',
+    source: 'routes/contacts.js',
+    tag: 'Contacts'
+  },
+  {
+    path: '/api/phone-numbers',
+    router: phoneNumberRoutes,
+    limit: 'contacts',
+    source: 'routes/phoneNumbers.js',
+    tag: 'Phone numbers'
+  },
+  {
+    path: '/api/auth',
+    router: authRoutes,
+    limit: 'auth',
+    source: 'routes/auth.js',
+    tag: 'Auth'
+  },
+  {
+    path: '/api/alerts',
+    router: alertRoutes,
+    limit: 'alerts',
+    source: 'routes/alerts.js',
+    tag: 'Alerts'
+  },
+  {
+    path: '/api/admin',
+    router: adminRoutes,
+    limit: 'admin',
+    source: 'routes/admin.js',
+    tag: 'Admin'
+  }
+];
@@ -1,9 +1,34 @@
 // routes/users.js
 import express from 'express';
-import { body, param } from 'express-validator';
-import bcrypt from 'bcryptjs';
-import db from '../lib/db.js';
-import { apiResponse, asyncHandler, authenticate } from '../lib/utils.js';
+import { body, param, query } from 'express-validator';
+import { AUDIT_ACTIONS, auditContext, listActivity, TARGET_TYPES } from '../lib/audit.js';
+import {
+  acceptInvitation,
+  createInvitation,
+  DELEGATION_ACCESS,
+  listGranted,
+  listReceived,
+  revokeDelegation
+} from '../lib/delegations.js';
+import { createPairingCode, listDevices, renameDevice, unpairDevice } from '../lib/devices.js';
+import { etagOf } from '../lib/etags.js';
+import { changePassword } from '../lib/passwords.js';
+import { serviceContext, UserService } from '../lib/services/index.js';
+import {
+  confirmTotpEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  startTotpEnrollment
+} from '../lib/twoFactor.js';
+import {
+  apiResponse,
+  asyncHandler,
+  authenticate,
+  authorize,
+  paginate,
+  requireUserSession
+} from '../lib/utils.js';
 import { validateRequest } from '../middleware/validator.js';
 
 const router = express.Router();
@@ -12,158 +37,301 @@ const router = express.Router();
 router.get('/me', 
   authenticate,
   asyncHandler(async (req, res) => {
-    const result = await db.query(
-      `SELECT id, name, age, mac, phone_number, image
-       FROM users WHERE id = $1`,
-      [req.user.userId]
-    );
-    
-    if (result.rows.length === 0) {
-      return apiResponse(res, 404, null, 'User not found');
-    }
+    const user = await UserService.get(serviceContext(req), req.user.userId);
     
-    apiResponse(res, 200, result.rows[0]);
+    // A matching If-None-Match is answered with a 304 by res.send
+    res.set('ETag', etagOf(user.version));
+    apiResponse(res, 200, user);
   })
 );
 
-// Get user by ID
-router.get('/:id',
+// Change password - needs the current one and signs out every other session
+router.post('/me/password',
+  authenticate,
+  requireUserSession,
   validateRequest([
-    param('id').isInt().toInt()
+    body('current_password').isString().notEmpty().withMessage('Current password is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
   ]),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    
-    const result = await db.query(
-      `SELECT id, name, age, mac, phone_number, image
-       FROM users WHERE id = $1`,
-      [id]
+    await changePassword(
+      req.user.userId,
+      {
+        currentPassword: req.body.current_password,
+        password: req.body.password,
+        sessionId: req.user.sid
+      },
+      auditContext(req)
     );
     
-    if (result.rows.length === 0) {
-      return apiResponse(res, 404, null, 'User not found');
-    }
+    apiResponse(res, 200, null, 'Password changed; other sessions were signed out');
+  })
+);
+
+// Two-factor authentication status
+router.get('/me/2fa',
+  authenticate,
+  requireUserSession,
+  asyncHandler(async (req, res) => {
+    const status = await getTwoFactorStatus(req.user.userId);
     
-    apiResponse(res, 200, result.rows[0]);
+    apiResponse(res, 200, status);
   })
 );
 
-// Update user
-router.put('/:id',
+// Start TOTP enrollment - returns the secret and otpauth URI for the app
+router.post('/me/2fa/totp',
+  authenticate,
+  requireUserSession,
+  asyncHandler(async (req, res) => {
+    const enrollment = await startTotpEnrollment(req.user.userId);
+    
+    apiResponse(res, 201, enrollment, 'Confirm with a code from your authenticator app');
+  })
+);
+
+// Confirm TOTP enrollment with a first code; returns the recovery codes once
+router.post('/me/2fa/totp/confirm',
   authenticate,
+  requireUserSession,
   validateRequest([
-    param('id').isInt().toInt(),
-    body('name').optional().trim().notEmpty(),
-    body('password').optional().isLength({ min: 6 }),
-    body('age').optional().isInt({ min: 1 }),
-    body('mac').optional().isMACAddress(),
-    body('phone_number').optional().isMobilePhone(),
-    body('image').optional().isURL()
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
   ]),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { name, password, age, mac, phone_number, image } = req.body;
+    const result = await confirmTotpEnrollment(req.user.userId, req.body.code, auditContext(req));
     
-    // Ensure user can only update their own profile
-    if (parseInt(id) !== req.user.userId) {
-      return apiResponse(res, 403, null, 'Not authorized to update this user');
-    }
+    apiResponse(res, 200, result, 'Two-factor authentication enabled; store the recovery codes safely');
+  })
+);
+
+// Replace the recovery codes
+router.post('/me/2fa/recovery-codes',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    body('password').isString().notEmpty().withMessage('Password is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    const result = await regenerateRecoveryCodes(req.user.userId, req.body.password, auditContext(req));
     
-    let updates = [];
-    let values = [];
-    let counter = 1;
+    apiResponse(res, 200, result, 'Recovery codes replaced');
+  })
+);
+
+// Turn two-factor authentication off
+router.post('/me/2fa/disable',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    body('password').isString().notEmpty().withMessage('Password is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    await disableTwoFactor(req.user.userId, req.body.password, auditContext(req));
     
-    if (name) {
-      updates.push(`name = $${counter}`);
-      values.push(name);
-      counter++;
-    }
+    apiResponse(res, 200, null, 'Two-factor authentication disabled');
+  })
+);
+
+// List paired devices
+router.get('/me/devices',
+  authenticate,
+  requireUserSession,
+  asyncHandler(async (req, res) => {
+    const devices = await listDevices(req.user.userId);
     
-    if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      updates.push(`password = $${counter}`);
-      values.push(hashedPassword);
-      counter++;
-    }
+    apiResponse(res, 200, devices);
+  })
+);
+
+// Create a one-time pairing code for a new device
+router.post('/me/devices/pairing-code',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    body('name').optional().trim().notEmpty().isLength({ max: 100 })
+  ]),
+  asyncHandler(async (req, res) => {
+    const pairing = await createPairingCode(req.user.userId, req.body.name, auditContext(req));
     
-    if (age !== undefined) {
-      updates.push(`age = $${counter}`);
-      values.push(age);
-      counter++;
-    }
+    apiResponse(res, 201, pairing, 'Pairing code created');
+  })
+);
+
+// Rename device
+router.put('/me/devices/:deviceId',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    param('deviceId').isInt().toInt(),
+    body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    const device = await renameDevice(req.user.userId, req.params.deviceId, req.body.name, auditContext(req));
     
-    if (mac) {
-      updates.push(`mac = $${counter}`);
-      values.push(mac);
-      counter++;
+    if (!device) {
+      return apiResponse(res, 404, null, 'Device not found');
     }
     
-    if (phone_number) {
-      updates.push(`phone_number = $${counter}`);
-      values.push(phone_number);
-      counter++;
-    }
+    apiResponse(res, 200, device, 'Device updated successfully');
+  })
+);
+
+// Unpair device
+router.delete('/me/devices/:deviceId',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    param('deviceId').isInt().toInt()
+  ]),
+  asyncHandler(async (req, res) => {
+    const removed = await unpairDevice(req.user.userId, req.params.deviceId, auditContext(req));
     
-    if (image) {
-      updates.push(`image = $${counter}`);
-      values.push(image);
-      counter++;
+    if (!removed) {
+      return apiResponse(res, 404, null, 'Device not found');
     }
     
-    if (updates.length === 0) {
-      return apiResponse(res, 400, null, 'No valid fields to update');
-    }
+    apiResponse(res, 204, null, 'Device unpaired successfully');
+  })
+);
+
+// Delegations: who can reach my contacts, and whose contacts I can reach
+router.get('/me/delegations',
+  authenticate,
+  requireUserSession,
+  asyncHandler(async (req, res) => {
+    const [granted, received] = await Promise.all([
+      listGranted(req.user.userId),
+      listReceived(req.user.userId)
+    ]);
     
-    updates.push(`updated_at = NOW()`);
+    apiResponse(res, 200, { granted, received });
+  })
+);
+
+// Invite another account to read (or read and edit) my contacts
+router.post('/me/delegations',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    body('access').isIn(DELEGATION_ACCESS).withMessage(`Access must be one of ${DELEGATION_ACCESS.join(', ')}`),
+    body('invited_name').optional().trim().notEmpty(),
+    body('expires_at').optional().isISO8601().toDate()
+      .custom(date => {
+        if (date <= new Date()) throw new Error('expires_at must be in the future');
+        return true;
+      })
+  ]),
+  asyncHandler(async (req, res) => {
+    const invitation = await createInvitation(req.user.userId, {
+      access: req.body.access,
+      invitedName: req.body.invited_name || null,
+      expiresAt: req.body.expires_at || null
+    }, auditContext(req));
     
-    values.push(id);
-    const query = `
-      UPDATE users SET
-        ${updates.join(', ')}
-      WHERE id = $${counter}
-      RETURNING id, name, age, mac, phone_number, image
-    `;
+    apiResponse(res, 201, invitation, 'Invitation created; share the token with the other account');
+  })
+);
+
+// Accept an invitation to someone else's contacts (caregivers only)
+router.post('/me/delegations/accept',
+  authenticate,
+  requireUserSession,
+  authorize('contacts:delegated'),
+  validateRequest([
+    body('token').isString().notEmpty().withMessage('Invitation token is required')
+  ]),
+  asyncHandler(async (req, res) => {
+    const delegation = await acceptInvitation(req.user.userId, req.body.token, auditContext(req));
     
-    const result = await db.query(query, values);
+    apiResponse(res, 200, delegation, 'Invitation accepted');
+  })
+);
+
+// Revoke a delegation (owner) or give it up (delegate)
+router.delete('/me/delegations/:delegationId',
+  authenticate,
+  requireUserSession,
+  validateRequest([
+    param('delegationId').isInt().toInt()
+  ]),
+  asyncHandler(async (req, res) => {
+    const revoked = await revokeDelegation(req.user.userId, req.params.delegationId, auditContext(req));
     
-    if (result.rows.length === 0) {
-      return apiResponse(res, 404, null, 'User not found');
+    if (!revoked) {
+      return apiResponse(res, 404, null, 'Delegation not found');
     }
     
-    apiResponse(res, 200, result.rows[0], 'User updated successfully');
+    apiResponse(res, 204, null, 'Delegation revoked');
   })
 );
 
-// Delete user
-router.delete('/:id',
+// Changes to my account and data (contacts, phone numbers, devices,
+// delegations), newest first, whoever made them
+router.get('/me/activity',
   authenticate,
+  requireUserSession,
+  paginate,
   validateRequest([
-    param('id').isInt().toInt()
+    query('target_type').optional().isIn(TARGET_TYPES).withMessage(`target_type must be one of ${TARGET_TYPES.join(', ')}`),
+    query('target_id').optional().isInt().toInt(),
+    query('action').optional().isIn(AUDIT_ACTIONS).withMessage(`action must be one of ${AUDIT_ACTIONS.join(', ')}`),
+    query('actor_id').optional().isInt().toInt(),
+    query('since').optional().isISO8601().toDate(),
+    query('until').optional().isISO8601().toDate()
   ]),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
+    const activity = await listActivity(req.user.userId, {
+      targetType: req.query.target_type,
+      targetId: req.query.target_id,
+      action: req.query.action,
+      actorId: req.query.actor_id,
+      since: req.query.since,
+      until: req.query.until
+    }, req.pagination);
     
-    // Ensure user can only delete their own account
-    if (parseInt(id) !== req.user.userId) {
-      return apiResponse(res, 403, null, 'Not authorized to delete this user');
-    }
+    apiResponse(res, 200, activity);
+  })
+);
+
+// Get user by ID
+router.get('/:id',
+  authenticate,
+  validateRequest(UserService.rules.get),
+  asyncHandler(async (req, res) => {
+    const user = await UserService.get(serviceContext(req), req.params.id);
     
-    await db.transaction(async (client) => {
-      // Delete related contacts and phone numbers
-      await client.query('DELETE FROM contacts WHERE user_id = $1', [id]);
-      
-      // Delete the user
-      const result = await client.query(
-        'DELETE FROM users WHERE id = $1 RETURNING id',
-        [id]
-      );
-      
-      if (result.rows.length === 0) {
-        return apiResponse(res, 404, null, 'User not found');
-      }
-      
-      apiResponse(res, 204, null, 'User deleted successfully');
+    // A matching If-None-Match is answered with a 304 by res.send
+    res.set('ETag', etagOf(user.version));
+    apiResponse(res, 200, user);
+  })
+);
+
+// Update user
+router.put('/:id',
+  authenticate,
+  requireUserSession,
+  validateRequest(UserService.rules.update),
+  asyncHandler(async (req, res) => {
+    const user = await UserService.update(serviceContext(req), req.params.id, req.body, {
+      ifMatch: req.get('If-Match')
     });
+    
+    res.set('ETag', etagOf(user.version));
+    apiResponse(res, 200, user, 'User updated successfully');
+  })
+);
+
+// Delete user
+router.delete('/:id',
+  authenticate,
+  requireUserSession,
+  validateRequest(UserService.rules.remove),
+  asyncHandler(async (req, res) => {
+    // The account and its contacts go to the trash until the purge job
+    // removes them (see lib/trash.js)
+    await UserService.remove(serviceContext(req), req.params.id, { ifMatch: req.get('If-Match') });
+    
+    apiResponse(res, 204, null, 'User deleted successfully');
   })
 );
 
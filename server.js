@@ -1,47 +1,37 @@
 // server.js - Main entry point
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
-import { errorHandler } from './lib/utils.js';
-
-// Routes
-import userRoutes from './routes/users.js';
-import contactRoutes from './routes/contacts.js';
-import phoneNumberRoutes from './routes/phoneNumbers.js';
-import authRoutes from './routes/auth.js';
+import app from './app.js';
+import { startRetryWorker } from './lib/alerts.js';
+import { startIdempotencyPruneWorker } from './lib/idempotency.js';
+import { startPruneWorker } from './lib/loginThrottle/index.js';
+import { getNotifier } from './lib/notifiers/index.js';
+import { getResetChannel } from './lib/resetChannels/index.js';
+import { startPurgeWorker } from './lib/trash.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize express app
-const app = express();
-const PORT = process.env.PORT || 3000;
+// Refuse to start without a way to deliver alerts and password reset tokens
+getNotifier();
+getResetChannel();
 
-// Middleware
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
-app.use(morgan('dev')); // Logging
-
-// Routes
-app.use('/api/users', userRoutes);
-app.use('/api/contacts', contactRoutes);
-app.use('/api/phone-numbers', phoneNumberRoutes);
-app.use('/api/auth', authRoutes);
-
-// Root route
-app.get('/', (req, res) => {
-  res.json({ message: 'Welcome to Contact Management API' });
-});
-
-// Error handling middleware
-app.use(errorHandler);
+const PORT = process.env.PORT || 3000;
 
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
-export default app;
\ No newline at end of file
+// Retry alert deliveries that failed on their first attempt
+startRetryWorker();
+
+// Empty the trash of anything past the retention window
+startPurgeWorker();
+
+// Forget failed login attempts that have aged out
+startPruneWorker();
+
+// Drop stored Idempotency-Key responses past their expiry
+startIdempotencyPruneWorker();
+
+export default app;
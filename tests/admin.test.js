@@ -0,0 +1,143 @@
+// tests/admin.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { MAX_PAGE_LIMIT } from '../lib/utils.js';
+import { closeDb, PASSWORD, signUp, uniqueName } from './helpers.js';
+
+afterAll(closeDb);
+
+let admin;
+// Users only this file creates, so listings can be narrowed with ?q=
+const prefix = uniqueName('paged');
+const members = [];
+
+beforeAll(async () => {
+  const account = await signUp();
+  await db.query(`UPDATE users SET role = 'admin' WHERE id = $1`, [account.user.id]);
+  const login = await request(app)
+    .post('/api/auth/login')
+    .send({ username: account.user.name, password: PASSWORD })
+    .expect(200);
+  admin = { ...account, auth: { Authorization: `Bearer ${login.body.data.token}` } };
+
+  for (let i = 0; i < 5; i++) {
+    members.push((await signUp({ name: `${prefix}-${i}` })).user);
+  }
+});
+
+// Every page of `path` in cursor mode, following next_cursor
+const walkCursor = async (path, key, limit = 2) => {
+  const pages = [];
+  let url = `${path}&pagination=cursor&limit=${limit}`;
+
+  for (;;) {
+    const res = await request(app).get(url).set(admin.auth).expect(200);
+    const { pagination } = res.body.data;
+    pages.push({ ids: res.body.data[key].map((item) => item.id), pagination });
+
+    if (!pagination.next_cursor) return pages;
+    url = `${path}&limit=${limit}&cursor=${pagination.next_cursor}`;
+  }
+};
+
+describe('admin user list', () => {
+  test('offset mode pages with a total', async () => {
+    const res = await request(app)
+      .get(`/api/admin/users?q=${prefix}&page=2&limit=2`)
+      .set(admin.auth)
+      .expect(200);
+
+    expect(res.body.data.users.map((user) => user.id)).toEqual([members[2].id, members[3].id]);
+    expect(res.body.data.pagination).toEqual({ total: 5, page: 2, limit: 2, pages: 3 });
+  });
+
+  test('cursor mode walks every user once, in id order', async () => {
+    const pages = await walkCursor(`/api/admin/users?q=${prefix}`, 'users');
+
+    expect(pages.map((page) => page.ids)).toEqual([
+      [members[0].id, members[1].id],
+      [members[2].id, members[3].id],
+      [members[4].id],
+    ]);
+    expect(pages[0].pagination).toEqual({
+      limit: 2,
+      next_cursor: expect.any(String),
+      prev_cursor: null,
+    });
+  });
+
+  test('prev_cursor leads back to the page before', async () => {
+    const [, second] = await walkCursor(`/api/admin/users?q=${prefix}`, 'users');
+
+    const res = await request(app)
+      .get(`/api/admin/users?q=${prefix}&limit=2&cursor=${second.pagination.prev_cursor}`)
+      .set(admin.auth)
+      .expect(200);
+
+    expect(res.body.data.users.map((user) => user.id)).toEqual([members[0].id, members[1].id]);
+  });
+});
+
+describe('admin audit log', () => {
+  let target;
+
+  beforeAll(async () => {
+    target = members[0];
+    for (const action of ['disable', 'enable', 'disable', 'enable']) {
+      await request(app)
+        .post(`/api/admin/users/${target.id}/${action}`)
+        .set(admin.auth)
+        .expect(200);
+    }
+  });
+
+  test('offset mode is a plain array, newest first', async () => {
+    const res = await request(app)
+      .get(`/api/admin/audit-log?user_id=${target.id}&limit=2`)
+      .set(admin.auth)
+      .expect(200);
+
+    expect(res.body.data.map((entry) => entry.action)).toEqual(['users.enable', 'users.disable']);
+  });
+
+  test('cursor mode walks every entry once', async () => {
+    const all = await request(app)
+      .get(`/api/admin/audit-log?user_id=${target.id}&action=users.disable&limit=100`)
+      .set(admin.auth)
+      .expect(200);
+    const pages = await walkCursor(
+      `/api/admin/audit-log?user_id=${target.id}&action=users.disable`,
+      'entries',
+      1
+    );
+
+    expect(pages.flatMap((page) => page.ids)).toEqual(all.body.data.map((entry) => entry.id));
+    expect(pages).toHaveLength(2);
+  });
+});
+
+describe('page size', () => {
+  test.each([
+    [String(MAX_PAGE_LIMIT * 10), MAX_PAGE_LIMIT],
+    ['-5', 1],
+    ['0', 10],
+  ])('limit=%s is answered with pages of %i', async (limit, expected) => {
+    const res = await request(app)
+      .get(`/api/admin/users?q=${prefix}&limit=${limit}`)
+      .set(admin.auth)
+      .expect(200);
+
+    expect(res.body.data.pagination.limit).toBe(expected);
+  });
+
+  test('a page before the first is the first', async () => {
+    const res = await request(app)
+      .get(`/api/admin/users?q=${prefix}&page=-3&limit=2`)
+      .set(admin.auth)
+      .expect(200);
+
+    expect(res.body.data.pagination.page).toBe(1);
+    expect(res.body.data.users.map((user) => user.id)).toEqual([members[0].id, members[1].id]);
+  });
+});
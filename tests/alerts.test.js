@@ -0,0 +1,206 @@
+// tests/alerts.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { deliverDue } from '../lib/alerts.js';
+import db from '../lib/db.js';
+import { setNotifier } from '../lib/notifiers/index.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// A notifier that keeps what it sends, and fails while `failing` is set
+const capturingNotifier = () => {
+  const sent = [];
+  return {
+    channel: 'test',
+    sent,
+    failing: false,
+    async send(message) {
+      if (this.failing) throw new Error('provider unavailable');
+      sent.push(message);
+      return { id: `msg-${sent.length}` };
+    },
+  };
+};
+
+// The acknowledgement token from the link in a sent message
+const ackTokenIn = (body) => /\/api\/alerts\/ack\/(\S+)/.exec(body)[1];
+
+const raise = (account, fields = {}) =>
+  request(app).post('/api/alerts').set(account.auth).send(fields).expect(201);
+
+let notifier;
+let account;
+
+beforeEach(async () => {
+  notifier = capturingNotifier();
+  setNotifier(notifier);
+  account = await signUp();
+});
+
+afterEach(() => setNotifier(null));
+
+describe('raising an alert', () => {
+  test("reaches each emergency contact once, on the contact's primary number", async () => {
+    await createContact(account, {
+      name: 'Mum',
+      is_emergency: true,
+      phone_numbers: [
+        { phone_number: GB_MOBILES[0] },
+        { phone_number: GB_MOBILES[1], is_primary: true },
+      ],
+    });
+    await createContact(account, {
+      name: 'Neighbour',
+      phone_numbers: [{ phone_number: GB_MOBILES[2] }],
+    });
+
+    const res = await raise(account, {
+      message: 'Fell in the kitchen',
+      severity: 'critical',
+      location: { latitude: 51.5, longitude: -0.12 },
+    });
+
+    expect(res.body.data.deliveries).toEqual([
+      expect.objectContaining({
+        contact_name: 'Mum',
+        phone_number: '+447911123457',
+        channel: 'test',
+        status: 'sent',
+        attempts: 1,
+      }),
+    ]);
+    expect(notifier.sent).toHaveLength(1);
+    expect(notifier.sent[0].to).toBe('+447911123457');
+    expect(notifier.sent[0].body).toContain(
+      `CRITICAL ALERT from ${account.user.name}: Fell in the kitchen`
+    );
+    expect(notifier.sent[0].body).toContain('https://maps.google.com/?q=51.500000,-0.120000');
+  });
+
+  test('is still recorded without emergency contacts', async () => {
+    const res = await raise(account);
+
+    expect(res.body.data.deliveries).toEqual([]);
+    expect(res.body.message).toMatch(/no emergency contacts/);
+    expect(res.body.data).toMatchObject({ message: 'I need help', severity: 'high' });
+  });
+
+  test("someone else's alert is out of reach", async () => {
+    const alert = (await raise(account)).body.data;
+    const stranger = await signUp();
+
+    await request(app).get(`/api/alerts/${alert.id}`).set(stranger.auth).expect(404);
+  });
+});
+
+describe('delivery retries', () => {
+  beforeEach(async () => {
+    await createContact(account, {
+      is_emergency: true,
+      phone_numbers: [{ phone_number: GB_MOBILES[0] }],
+    });
+  });
+
+  const deliveryOf = async (alertId) =>
+    (await db.query('SELECT * FROM alert_deliveries WHERE alert_id = $1', [alertId])).rows[0];
+
+  // Let the retry worker pick the delivery up now rather than after its backoff
+  const makeDue = (alertId) =>
+    db.query('UPDATE alert_deliveries SET next_attempt_at = NOW() WHERE alert_id = $1', [alertId]);
+
+  test('a failed attempt is retried until it goes through', async () => {
+    notifier.failing = true;
+    const alert = (await raise(account)).body.data;
+
+    expect(await deliveryOf(alert.id)).toMatchObject({
+      status: 'retrying',
+      attempts: 1,
+      last_error: 'provider unavailable',
+    });
+    expect(await deliverDue(alert.id)).toBe(0);
+
+    notifier.failing = false;
+    await makeDue(alert.id);
+    await deliverDue(alert.id);
+
+    expect(await deliveryOf(alert.id)).toMatchObject({
+      status: 'sent',
+      attempts: 2,
+      last_error: null,
+      provider_message_id: 'msg-1',
+    });
+  });
+
+  test('a delivery that keeps failing is given up on', async () => {
+    notifier.failing = true;
+    const alert = (await raise(account)).body.data;
+
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      await makeDue(alert.id);
+      await deliverDue(alert.id);
+    }
+
+    expect(await deliveryOf(alert.id)).toMatchObject({ status: 'failed', attempts: 5 });
+    await makeDue(alert.id);
+    expect(await deliverDue(alert.id)).toBe(0);
+  });
+});
+
+describe('acknowledgement', () => {
+  let alert;
+  let token;
+
+  beforeEach(async () => {
+    await createContact(account, {
+      name: 'Sam',
+      is_emergency: true,
+      phone_numbers: [{ phone_number: GB_MOBILES[0] }],
+    });
+    alert = (await raise(account)).body.data;
+    token = ackTokenIn(notifier.sent[0].body);
+  });
+
+  test('the link opens a page about the alert', async () => {
+    const res = await request(app).get(`/api/alerts/ack/${token}`).expect(200);
+
+    expect(res.type).toBe('text/html');
+    expect(res.text).toContain(account.user.name);
+  });
+
+  test('acknowledging marks the delivery and the alert', async () => {
+    const res = await request(app)
+      .post(`/api/alerts/ack/${token}`)
+      .set('Accept', 'application/json')
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({
+      contact_name: 'Sam',
+      acknowledged_at: expect.any(String),
+    });
+    const seen = await request(app).get(`/api/alerts/${alert.id}`).set(account.auth).expect(200);
+    expect(seen.body.data.acknowledged_at).toEqual(expect.any(String));
+    expect(seen.body.data.deliveries[0].acknowledged_at).toEqual(expect.any(String));
+  });
+
+  test('acknowledging twice keeps the first time', async () => {
+    const first = await request(app)
+      .post(`/api/alerts/ack/${token}`)
+      .set('Accept', 'application/json');
+    const second = await request(app)
+      .post(`/api/alerts/ack/${token}`)
+      .set('Accept', 'application/json');
+
+    expect(second.body.data.acknowledged_at).toBe(first.body.data.acknowledged_at);
+  });
+
+  test('a forged token is refused', async () => {
+    const [id] = token.split('.');
+
+    await request(app).get(`/api/alerts/ack/${id}.forged`).expect(404);
+    await request(app)
+      .post(`/api/alerts/ack/${id}.forged`)
+      .set('Accept', 'application/json')
+      .expect(404);
+  });
+});
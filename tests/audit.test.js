@@ -0,0 +1,148 @@
+// tests/audit.test.js
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../app.js';
+import { diff } from '../lib/audit.js';
+import db from '../lib/db.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+const activity = async (account, query = '') => {
+  const res = await request(app)
+    .get(`/api/users/me/activity${query}`)
+    .set(account.auth)
+    .expect(200);
+  return res.body.data;
+};
+
+describe('diff', () => {
+  test('lists only the fields that changed', () => {
+    expect(diff({ name: 'Ann', age: 30 }, { name: 'Ann', age: 31 })).toEqual({
+      age: { before: 30, after: 31 },
+    });
+  });
+
+  test('leaves out bookkeeping and hides secrets', () => {
+    expect(
+      diff(
+        { password: 'old-hash', updated_at: 1, version: 1 },
+        { password: 'new-hash', updated_at: 2, version: 2 }
+      )
+    ).toEqual({ password: { before: '[redacted]', after: '[redacted]' } });
+  });
+
+  test('treats a missing side as null', () => {
+    expect(diff(null, { name: 'Ann' })).toEqual({ name: { before: null, after: 'Ann' } });
+  });
+});
+
+describe('activity', () => {
+  let account;
+
+  beforeEach(async () => {
+    account = await signUp();
+  });
+
+  test('records who changed what, with the request id', async () => {
+    const requestId = `audit-${crypto.randomUUID()}`;
+    const contact = await createContact(account, { name: 'Mum' });
+
+    await request(app)
+      .put(`/api/contacts/${contact.id}`)
+      .set(account.auth)
+      .set('X-Request-Id', requestId)
+      .send({ is_emergency: true })
+      .expect(200);
+
+    const [latest] = (await activity(account)).events;
+    expect(latest).toMatchObject({
+      actor_id: account.user.id,
+      owner_id: account.user.id,
+      target_type: 'contact',
+      target_id: contact.id,
+      action: 'update',
+      request_id: requestId,
+      changes: { is_emergency: { before: false, after: true } },
+    });
+  });
+
+  test('a deleted phone number is on record', async () => {
+    const contact = await createContact(account, {
+      phone_numbers: [{ phone_number: GB_MOBILES[0] }],
+    });
+    const [phone] = contact.phone_numbers;
+
+    await request(app).delete(`/api/phone-numbers/${phone.id}`).set(account.auth).expect(204);
+
+    const { events } = await activity(account, '?target_type=phone_number&action=delete');
+    expect(events).toEqual([
+      expect.objectContaining({
+        target_id: phone.id,
+        changes: expect.objectContaining({
+          deleted_at: { before: null, after: expect.any(String) },
+        }),
+      }),
+    ]);
+  });
+
+  test('filters by target, action and time', async () => {
+    const first = await createContact(account);
+    const second = await createContact(account);
+    const midway = new Date();
+    await request(app).delete(`/api/contacts/${first.id}`).set(account.auth).expect(204);
+
+    const byTarget = await activity(account, `?target_type=contact&target_id=${second.id}`);
+    expect(byTarget.events.map((event) => event.action)).toEqual(['create']);
+
+    const byAction = await activity(account, '?action=delete');
+    expect(byAction.events.map((event) => event.target_id)).toEqual([first.id]);
+
+    const since = await activity(account, `?since=${midway.toISOString()}`);
+    expect(since.events.map((event) => event.action)).toEqual(['delete']);
+  });
+
+  test('pages newest first, by offset or by cursor', async () => {
+    for (let i = 0; i < 3; i++) await createContact(account);
+
+    const offset = await activity(account, '?limit=2');
+    expect(offset.pagination).toMatchObject({ total: 4, page: 1, limit: 2, pages: 2 });
+
+    const all = (await activity(account, '?limit=10')).events.map((event) => event.id);
+    expect([...all].sort((a, b) => b - a)).toEqual(all);
+
+    const ids = [];
+    let query = '?pagination=cursor&limit=3';
+    for (;;) {
+      const page = await activity(account, query);
+      ids.push(...page.events.map((event) => event.id));
+      if (!page.pagination.next_cursor) break;
+      query = `?limit=3&cursor=${page.pagination.next_cursor}`;
+    }
+    expect(ids).toEqual(all);
+  });
+
+  test("shows nothing of other users' data", async () => {
+    await createContact(account);
+    const stranger = await signUp();
+
+    const { events } = await activity(stranger);
+
+    expect(events.every((event) => event.owner_id === stranger.user.id)).toBe(true);
+  });
+
+  test('the trail cannot be rewritten', async () => {
+    await createContact(account);
+    // lib/db.js logs the refused query
+    const { error } = console;
+    console.error = () => {};
+
+    try {
+      await expect(
+        db.query('DELETE FROM audit_events WHERE owner_id = $1', [account.user.id])
+      ).rejects.toThrow('audit_events is append-only');
+    } finally {
+      console.error = error;
+    }
+  });
+});
@@ -0,0 +1,76 @@
+// tests/contactList.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+let account;
+let since;
+
+const list = async (query = '') => {
+  const res = await request(app).get(`/api/contacts${query}`).set(account.auth).expect(200);
+  return res.body.data.contacts;
+};
+
+const names = (contacts) => contacts.map((contact) => contact.name);
+
+beforeAll(async () => {
+  account = await signUp();
+  await createContact(account, {
+    name: 'Carl',
+    relationship: 'Brother',
+    phone_numbers: [{ phone_number: GB_MOBILES[0], phone_type: 'mobile' }],
+  });
+  await createContact(account, {
+    name: 'Anna',
+    relationship: 'GP',
+    phone_numbers: [{ phone_number: '02079460000', phone_type: 'work' }],
+  });
+  since = new Date();
+  await createContact(account, { name: 'Bert', is_emergency: true, relationship: 'brother' });
+});
+
+describe('contact list', () => {
+  test('emergency contacts come first, then by name', async () => {
+    expect(names(await list())).toEqual(['Bert', 'Anna', 'Carl']);
+  });
+
+  test('sort takes several keys and a "-" for descending', async () => {
+    expect(names(await list('?sort=-name'))).toEqual(['Carl', 'Bert', 'Anna']);
+    expect(names(await list('?sort=-is_emergency,-name'))).toEqual(['Bert', 'Carl', 'Anna']);
+  });
+
+  test('an unknown sort key is refused', async () => {
+    const res = await request(app).get('/api/contacts?sort=password').set(account.auth).expect(400);
+
+    expect(res.body.errors[0]).toMatchObject({ field: 'sort', location: 'query' });
+  });
+
+  test('filters narrow the list', async () => {
+    expect(names(await list('?is_emergency=true'))).toEqual(['Bert']);
+    expect(names(await list('?is_emergency=false'))).toEqual(['Anna', 'Carl']);
+    expect(names(await list('?relationship=BROTHER'))).toEqual(['Bert', 'Carl']);
+    expect(names(await list('?phone_type=work'))).toEqual(['Anna']);
+    expect(names(await list(`?updated_since=${since.toISOString()}`))).toEqual(['Bert']);
+  });
+
+  test('fields picks the members of each contact', async () => {
+    const contacts = await list('?fields=name,relationship');
+
+    expect(contacts[0]).toEqual({ id: expect.any(Number), name: 'Bert', relationship: 'brother' });
+  });
+
+  test('phone numbers are only attached when asked for', async () => {
+    const [bert, anna] = await list('?fields=name,phone_numbers');
+
+    expect(bert.phone_numbers).toEqual([]);
+    expect(anna.phone_numbers).toEqual([
+      expect.objectContaining({ phone_type: 'work', phone_e164: '+442079460000' }),
+    ]);
+  });
+
+  test('an unknown field is refused', async () => {
+    await request(app).get('/api/contacts?fields=name,password').set(account.auth).expect(400);
+  });
+});
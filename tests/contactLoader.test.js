@@ -0,0 +1,71 @@
+// tests/contactLoader.test.js
+import request from 'supertest';
+import { attachPhoneNumbers } from '../lib/contacts.js';
+import db from '../lib/db.js';
+import { closeDb, createContact, GB_MOBILES, nextApp, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// The shared db, counting the queries run through it
+const countingClient = () => ({
+  queries: 0,
+  query(text, params) {
+    this.queries++;
+    return db.query(text, params);
+  },
+});
+
+let account;
+let contacts;
+
+beforeAll(async () => {
+  account = await signUp();
+  contacts = [
+    await createContact(account, {
+      name: 'Carl',
+      phone_numbers: [
+        { phone_number: GB_MOBILES[0] },
+        { phone_number: GB_MOBILES[1], is_primary: true },
+      ],
+    }),
+    await createContact(account, { name: 'Anna' }),
+    await createContact(account, {
+      name: 'Bert',
+      phone_numbers: [{ phone_number: GB_MOBILES[2] }],
+    }),
+  ];
+});
+
+describe('attachPhoneNumbers', () => {
+  test('loads the numbers for every contact in one query', async () => {
+    const client = countingClient();
+
+    const loaded = await attachPhoneNumbers(
+      contacts.map(({ id, name }) => ({ id, name })),
+      client
+    );
+
+    expect(client.queries).toBe(1);
+    expect(loaded.map((contact) => contact.phone_numbers.map((phone) => phone.phone_e164))).toEqual(
+      [['+447911123457', '+447911123456'], [], ['+447911123458']]
+    );
+  });
+
+  test('runs no query for no contacts', async () => {
+    const client = countingClient();
+
+    expect(await attachPhoneNumbers([], client)).toEqual([]);
+    expect(client.queries).toBe(0);
+  });
+});
+
+describe('contact list phone numbers', () => {
+  const phonesByName = (list) =>
+    Object.fromEntries(list.map((contact) => [contact.name, contact.phone_numbers.length]));
+
+  test('the Next.js handler attaches the same numbers', async () => {
+    const res = await request(nextApp).get('/api/contacts').set(account.auth).expect(200);
+
+    expect(phonesByName(res.body.data.contacts)).toEqual({ Anna: 0, Bert: 1, Carl: 2 });
+  });
+});
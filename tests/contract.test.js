@@ -0,0 +1,534 @@
+// tests/contract.test.js
+//
+// The Express routes and the Next.js pages/api handlers answer through the
+// same services, so the same request must get the same answer from both:
+// status, content type, ETag and body. Each case is sent to the Express app
+// first and then to the Next.js handler; where the two spell a path
+// differently (/api/contacts/1 against /api/contacts?id=1) the case gives
+// both.
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, GB_MOBILES, nextApp, PASSWORD, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// Differ from one request to the next by design
+const PER_REQUEST = ['request_id', 'instance'];
+
+// Differ from one session to the next; only their type is compared
+const PER_SESSION = ['token', 'refresh_token'];
+
+// Differ between two records created by the same request
+const PER_RECORD = ['id', 'contact_id', 'version', 'created_at', 'updated_at'];
+
+const normalize = (value, mask) => {
+  if (Array.isArray(value)) return value.map((item) => normalize(item, mask));
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !PER_REQUEST.includes(key))
+      .map(([key, item]) => [key, mask.includes(key) ? typeof item : normalize(item, mask)])
+  );
+};
+
+const send = (target, { method = 'get', path, headers = {}, body, type }) => {
+  let req = request(target)[method](path).set(headers);
+  if (type) req = req.type(type);
+  return body === undefined ? req : req.send(body);
+};
+
+// What a client can observe of a response
+const observed = (res, mask) => ({
+  status: res.status,
+  type: res.headers['content-type'] ?? null,
+  // Express adds weak ETags of its own to every body; the services' are strong
+  etag: res.headers.etag?.startsWith('W/') ? null : (res.headers.etag ?? null),
+  body: res.text && res.type.includes('json') ? normalize(JSON.parse(res.text), mask) : res.text,
+});
+
+/**
+ * Send `spec` to both stacks and expect the same answer. `spec.next`
+ * overrides fields of the request for the Next.js handler; `mask` lists
+ * keys besides PER_SESSION whose values may differ (their type must not).
+ */
+const expectSameAnswer = async ({ next: nextOverrides = {}, mask = [], ...spec }) => {
+  mask = [...PER_SESSION, ...mask];
+  const viaExpress = await send(app, spec);
+  const viaNext = await send(nextApp, { ...spec, ...nextOverrides });
+
+  expect(observed(viaNext, mask)).toEqual(observed(viaExpress, mask));
+  return viaExpress;
+};
+
+let owner;
+let stranger;
+let contacts;
+let trashed;
+
+beforeAll(async () => {
+  owner = await signUp();
+  stranger = await signUp();
+
+  contacts = [
+    await createContact(owner, {
+      name: 'Alice Parity',
+      is_emergency: true,
+      phone_numbers: [{ phone_number: GB_MOBILES[0], phone_type: 'mobile' }],
+    }),
+    await createContact(owner, {
+      name: 'Alicia Parity',
+      phone_numbers: [{ phone_number: GB_MOBILES[1], phone_type: 'home' }],
+    }),
+    await createContact(owner, { name: 'Bob Parity', relationship: 'brother' }),
+  ];
+
+  trashed = await createContact(owner, {
+    name: 'Trashed Parity',
+    phone_numbers: [{ phone_number: GB_MOBILES[2] }],
+  });
+  await request(app).delete(`/api/contacts/${trashed.id}`).set(owner.auth).expect(204);
+});
+
+describe('users', () => {
+  test('GET /me', async () => {
+    const res = await expectSameAnswer({ path: '/api/users/me', headers: owner.auth });
+    expect(res.status).toBe(200);
+  });
+
+  test('GET /me without a token', async () => {
+    const res = await expectSameAnswer({ path: '/api/users/me' });
+    expect(res.status).toBe(401);
+  });
+
+  test('GET a user', async () => {
+    const res = await expectSameAnswer({
+      path: `/api/users/${owner.user.id}`,
+      headers: owner.auth,
+      next: { path: `/api/users?id=${owner.user.id}` },
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test("GET someone else's account", async () => {
+    const res = await expectSameAnswer({
+      path: `/api/users/${stranger.user.id}`,
+      headers: owner.auth,
+      next: { path: `/api/users?id=${stranger.user.id}` },
+    });
+    expect(res.status).toBe(403);
+  });
+
+  test('GET a user by a malformed id', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/users/abc',
+      headers: owner.auth,
+      next: { path: '/api/users?id=abc' },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+  });
+
+  test('PUT a user with a stale If-Match', async () => {
+    const res = await expectSameAnswer({
+      method: 'put',
+      path: `/api/users/${owner.user.id}`,
+      headers: { ...owner.auth, 'If-Match': '"999"' },
+      body: { age: 30 },
+      next: { path: `/api/users?id=${owner.user.id}` },
+    });
+    expect(res.status).toBe(412);
+    expect(res.body.code).toBe('version_mismatch');
+  });
+
+  test('register with a taken name', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/auth/register',
+      body: { name: owner.user.name, password: PASSWORD },
+      next: { path: '/api/users' },
+    });
+    expect(res.status).toBe(409);
+  });
+
+  test('register without a password', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/auth/register',
+      body: { name: 'no-password' },
+      next: { path: '/api/users' },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+  });
+});
+
+describe('auth', () => {
+  test('login', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/auth/login',
+      body: { username: owner.user.name, password: PASSWORD },
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test('login with a wrong password', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/auth/login',
+      body: { username: stranger.user.name, password: 'not the password' },
+    });
+    expect(res.status).toBe(401);
+  });
+
+  test('login without a password', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/auth/login',
+      body: { username: owner.user.name },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+  });
+
+  test('second login step with an unknown challenge', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/auth/login/2fa',
+      body: { challenge_token: 'not-a-challenge', code: '123456' },
+    });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('invalid_challenge');
+  });
+});
+
+describe('contacts', () => {
+  test('list by page', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts?page=1&limit=2',
+      headers: owner.auth,
+    });
+    expect(res.body.data.pagination.total).toBe(3);
+  });
+
+  test('list by cursor', async () => {
+    const first = await expectSameAnswer({
+      path: '/api/contacts?pagination=cursor&limit=2',
+      headers: owner.auth,
+    });
+    const cursor = first.body.data.pagination.next_cursor;
+
+    await expectSameAnswer({ path: `/api/contacts?limit=2&cursor=${cursor}`, headers: owner.auth });
+  });
+
+  test('list with a bad cursor', async () => {
+    const res = await expectSameAnswer({ path: '/api/contacts?cursor=junk', headers: owner.auth });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('invalid_cursor');
+  });
+
+  test('list with an unknown sort key', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts?sort=shoe_size',
+      headers: owner.auth,
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('GET a contact', async () => {
+    const res = await expectSameAnswer({
+      path: `/api/contacts/${contacts[0].id}`,
+      headers: owner.auth,
+      next: { path: `/api/contacts?id=${contacts[0].id}` },
+    });
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe(`"${contacts[0].version}"`);
+  });
+
+  test('GET a contact the client already has', async () => {
+    const res = await expectSameAnswer({
+      path: `/api/contacts/${contacts[0].id}`,
+      headers: { ...owner.auth, 'If-None-Match': `"${contacts[0].version}"` },
+      next: { path: `/api/contacts?id=${contacts[0].id}` },
+    });
+    expect(res.status).toBe(304);
+  });
+
+  test("GET someone else's contact", async () => {
+    const res = await expectSameAnswer({
+      path: `/api/contacts/${contacts[0].id}`,
+      headers: stranger.auth,
+      next: { path: `/api/contacts?id=${contacts[0].id}` },
+    });
+    expect(res.status).toBe(403);
+  });
+
+  test('GET a contact in the trash', async () => {
+    const res = await expectSameAnswer({
+      path: `/api/contacts/${trashed.id}`,
+      headers: owner.auth,
+      next: { path: `/api/contacts?id=${trashed.id}` },
+    });
+    expect(res.status).toBe(404);
+  });
+
+  test('create a contact', async () => {
+    const writer = await signUp();
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts',
+      headers: writer.auth,
+      body: { name: 'Created Twice', phone_numbers: [{ phone_number: GB_MOBILES[3] }] },
+      mask: PER_RECORD,
+    });
+    expect(res.status).toBe(201);
+  });
+
+  test('create a contact with an invalid number', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts',
+      headers: owner.auth,
+      body: { name: 'Bad Number', phone_numbers: [{ phone_number: '12' }] },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+  });
+
+  test('create a contact without a name', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts',
+      headers: owner.auth,
+      body: {},
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('update a contact with a stale If-Match', async () => {
+    const res = await expectSameAnswer({
+      method: 'put',
+      path: `/api/contacts/${contacts[2].id}`,
+      headers: { ...owner.auth, 'If-Match': '"999"' },
+      body: { name: 'Lost' },
+      next: { path: `/api/contacts?id=${contacts[2].id}` },
+    });
+    expect(res.status).toBe(412);
+  });
+
+  test('delete a contact with a stale If-Match', async () => {
+    const res = await expectSameAnswer({
+      method: 'delete',
+      path: `/api/contacts/${contacts[2].id}`,
+      headers: { ...owner.auth, 'If-Match': '"999"' },
+      next: { path: `/api/contacts?id=${contacts[2].id}` },
+    });
+    expect(res.status).toBe(412);
+  });
+
+  test('search', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts/search?q=alic',
+      headers: owner.auth,
+    });
+    expect(res.body.data.contacts.map((contact) => contact.name)).toEqual([
+      'Alice Parity',
+      'Alicia Parity',
+    ]);
+  });
+
+  test('search by cursor', async () => {
+    const first = await expectSameAnswer({
+      path: '/api/contacts/search?q=parity&pagination=cursor&limit=1',
+      headers: owner.auth,
+    });
+    const cursor = first.body.data.pagination.next_cursor;
+
+    await expectSameAnswer({
+      path: `/api/contacts/search?q=parity&limit=1&cursor=${cursor}`,
+      headers: owner.auth,
+    });
+  });
+
+  test('search without a term', async () => {
+    const res = await expectSameAnswer({ path: '/api/contacts/search', headers: owner.auth });
+    expect(res.status).toBe(400);
+  });
+
+  test('duplicates', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts/duplicates?threshold=0.5',
+      headers: owner.auth,
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test('duplicates with an out-of-range threshold', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts/duplicates?threshold=7',
+      headers: owner.auth,
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('merge into itself', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/merge',
+      headers: owner.auth,
+      body: { survivor_id: contacts[0].id, merge_ids: [contacts[0].id] },
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test("merge someone else's contacts", async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/merge',
+      headers: stranger.auth,
+      body: { survivor_id: contacts[0].id, merge_ids: [contacts[1].id] },
+    });
+    expect(res.status).toBe(404);
+  });
+
+  test('trash', async () => {
+    const res = await expectSameAnswer({ path: '/api/contacts/trash', headers: owner.auth });
+    expect(res.body.data.items.map((item) => item.id)).toEqual([trashed.id]);
+  });
+
+  test('trash by cursor', async () => {
+    await expectSameAnswer({ path: '/api/contacts/trash?pagination=cursor', headers: owner.auth });
+  });
+
+  test('trash of an unknown type', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts/trash?type=user',
+      headers: owner.auth,
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('vCard export', async () => {
+    const res = await expectSameAnswer({ path: '/api/contacts/export.vcf', headers: owner.auth });
+    expect(res.text).toContain('FN:Alice Parity');
+  });
+
+  test('vCard export in an unknown version', async () => {
+    const res = await expectSameAnswer({
+      path: '/api/contacts/export.vcf?version=9.9',
+      headers: owner.auth,
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('vCard import of something that is not a vCard', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/import',
+      headers: owner.auth,
+      type: 'text/vcard',
+      body: 'not a vcard',
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test('CSV import dry run', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/import/csv?dry_run=true',
+      headers: owner.auth,
+      type: 'text/csv',
+      body: `name,phone_number\nCarol Csv,${GB_MOBILES[3]}\n`,
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test('CSV import with a column map', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/import/csv?dry_run=true&map[name]=Full%20Name',
+      headers: owner.auth,
+      type: 'text/csv',
+      body: 'Full Name\nDave Csv\n',
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test('CSV import with bad rows gets the error report', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/import/csv',
+      headers: owner.auth,
+      type: 'text/csv',
+      body: 'name,phone_number\n,12\n',
+    });
+    expect(res.status).toBe(422);
+    expect(res.type).toBe('text/csv');
+  });
+
+  test('CSV import with bad rows as JSON', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/import/csv',
+      headers: { ...owner.auth, Accept: 'application/json' },
+      type: 'text/csv',
+      body: 'name,phone_number\n,12\n',
+    });
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('import_rejected');
+  });
+
+  test('CSV import of another media type', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/contacts/import/csv',
+      headers: owner.auth,
+      type: 'application/xml',
+      body: '<contacts/>',
+    });
+    expect(res.status).toBe(415);
+  });
+});
+
+describe('phone numbers', () => {
+  test("GET a contact's numbers", async () => {
+    const res = await expectSameAnswer({
+      path: `/api/phone-numbers/contact/${contacts[0].id}`,
+      headers: owner.auth,
+      next: { path: `/api/phone-number?contact_id=${contacts[0].id}` },
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test('GET a number', async () => {
+    const phoneId = contacts[0].phone_numbers[0].id;
+    const res = await expectSameAnswer({
+      path: `/api/phone-numbers/${phoneId}`,
+      headers: owner.auth,
+      next: { path: `/api/phone-number?id=${phoneId}` },
+    });
+    expect(res.body.data.phone_e164).toBe('+447911123456');
+  });
+
+  test("GET someone else's number", async () => {
+    const phoneId = contacts[0].phone_numbers[0].id;
+    const res = await expectSameAnswer({
+      path: `/api/phone-numbers/${phoneId}`,
+      headers: stranger.auth,
+      next: { path: `/api/phone-number?id=${phoneId}` },
+    });
+    expect(res.status).toBe(403);
+  });
+
+  test('add an invalid number', async () => {
+    const res = await expectSameAnswer({
+      method: 'post',
+      path: '/api/phone-numbers',
+      headers: owner.auth,
+      body: { contact_id: contacts[2].id, phone_number: '12' },
+      next: { path: '/api/phone-number' },
+    });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/csv.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { MAX_IMPORT_BYTES } from '../lib/services/contacts.js';
+import { closeDb, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+const parse = (text, options) => [...parseCsv(text, options)];
+
+describe('parseCsv', () => {
+  test('reads quoted fields, escaped quotes and embedded newlines', () => {
+    expect(parse('name,notes\r\n"Smith, Ann","said ""hi""\nthen left"\r\n')).toEqual([
+      ['name', 'notes'],
+      ['Smith, Ann', 'said "hi"\nthen left'],
+    ]);
+  });
+
+  test('accepts LF, CRLF and lone CR line endings alike', () => {
+    expect(parse('a\nb\r\nc\rd')).toEqual([['a'], ['b'], ['c'], ['d']]);
+  });
+
+  test('drops a leading byte order mark', () => {
+    expect(parse('\uFEFFname\nAnn')).toEqual([['name'], ['Ann']]);
+  });
+
+  test('keeps empty fields', () => {
+    expect(parse('a,,c\n,\n')).toEqual([
+      ['a', '', 'c'],
+      ['', ''],
+    ]);
+  });
+
+  test('takes another delimiter', () => {
+    expect(parse('a;b\n1;2', { delimiter: ';' })).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  test('round-trips through parseCsv', () => {
+    const rows = [
+      ['row', 'reason'],
+      ['2', 'Bad "number", try again'],
+    ];
+
+    expect(parse(toCsv(rows))).toEqual(rows);
+  });
+
+  test('defuses spreadsheet formulas', () => {
+    expect(toCsv([['=SUM(A1:A2)', '+44', '@x']])).toBe("'=SUM(A1:A2),'+44,'@x\r\n");
+  });
+});
+
+describe('import size', () => {
+  test('an upload over MAX_IMPORT_BYTES is refused with a 413', async () => {
+    const account = await signUp();
+    const row = 'Ann,07911123456\n';
+    const body = `name,phone_number\n${row.repeat(Math.ceil(MAX_IMPORT_BYTES / row.length) + 1)}`;
+
+    await request(app)
+      .post('/api/contacts/import/csv?dry_run=true')
+      .set(account.auth)
+      .set('Content-Type', 'text/csv')
+      .send(body)
+      .expect(413);
+  });
+
+  test('more rows than an import takes are refused with a 413', async () => {
+    const account = await signUp();
+    const body = `name\n${'Ann\n'.repeat(5001)}`;
+
+    const res = await request(app)
+      .post('/api/contacts/import/csv?dry_run=true')
+      .set(account.auth)
+      .set('Content-Type', 'text/csv')
+      .send(body)
+      .expect(413);
+
+    expect(res.body.detail).toMatch(/at most 5000 rows/);
+  });
+});
@@ -0,0 +1,186 @@
+// tests/delegations.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+const invite = async (owner, fields = { access: 'read' }) => {
+  const res = await request(app)
+    .post('/api/users/me/delegations')
+    .set(owner.auth)
+    .send(fields)
+    .expect(201);
+  return res.body.data;
+};
+
+const accept = (delegate, token) =>
+  request(app).post('/api/users/me/delegations/accept').set(delegate.auth).send({ token });
+
+// Accepting needs the caregiver role (see tests/permissions.test.js)
+const signUpCaregiver = async (fields) => {
+  const account = await signUp(fields);
+  await db.query("UPDATE users SET role = 'caregiver' WHERE id = $1", [account.user.id]);
+  return account;
+};
+
+// Grant `access` from owner to delegate; returns the delegation
+const share = async (owner, delegate, access = 'read') => {
+  const { token } = await invite(owner, { access });
+  return (await accept(delegate, token).expect(200)).body.data;
+};
+
+let owner;
+let caregiver;
+let contact;
+
+beforeEach(async () => {
+  owner = await signUp();
+  caregiver = await signUpCaregiver();
+  contact = await createContact(owner, { name: 'Mum' });
+});
+
+const readContacts = (account) =>
+  request(app).get(`/api/contacts?user_id=${owner.user.id}`).set(account.auth);
+
+const rename = (account, name) =>
+  request(app).put(`/api/contacts/${contact.id}`).set(account.auth).send({ name });
+
+describe('access levels', () => {
+  test('read access reads the contacts but cannot change them', async () => {
+    await share(owner, caregiver, 'read');
+
+    const res = await readContacts(caregiver).expect(200);
+
+    expect(res.body.data.contacts.map((shared) => shared.id)).toEqual([contact.id]);
+    await rename(caregiver, 'Mother').expect(403);
+    await request(app)
+      .post('/api/phone-numbers')
+      .set(caregiver.auth)
+      .send({ contact_id: contact.id, phone_number: GB_MOBILES[0] })
+      .expect(403);
+  });
+
+  test('read_write access can also change them', async () => {
+    await share(owner, caregiver, 'read_write');
+
+    await rename(caregiver, 'Mother').expect(200);
+    await request(app)
+      .post('/api/phone-numbers')
+      .set(caregiver.auth)
+      .send({ contact_id: contact.id, phone_number: GB_MOBILES[0] })
+      .expect(201);
+  });
+
+  test('no delegation, no access', async () => {
+    await readContacts(caregiver).expect(403);
+    await request(app).get(`/api/contacts/${contact.id}`).set(caregiver.auth).expect(403);
+  });
+
+  test('a new grant between the same accounts replaces the old one', async () => {
+    const first = await share(owner, caregiver, 'read_write');
+
+    await share(owner, caregiver, 'read');
+
+    await rename(caregiver, 'Mother').expect(403);
+    const granted = await request(app).get('/api/users/me/delegations').set(owner.auth);
+    expect(granted.body.data.granted.map((delegation) => delegation.id)).not.toContain(first.id);
+  });
+});
+
+describe('ending access', () => {
+  test('access ends when the grant expires', async () => {
+    const delegation = await share(owner, caregiver);
+    await db.query(
+      "UPDATE contact_delegations SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1",
+      [delegation.id]
+    );
+
+    await readContacts(caregiver).expect(403);
+    const received = await request(app).get('/api/users/me/delegations').set(caregiver.auth);
+    expect(received.body.data.received).toEqual([]);
+  });
+
+  test('the owner can revoke it', async () => {
+    const delegation = await share(owner, caregiver);
+
+    await request(app)
+      .delete(`/api/users/me/delegations/${delegation.id}`)
+      .set(owner.auth)
+      .expect(204);
+
+    await readContacts(caregiver).expect(403);
+  });
+
+  test('the delegate can give it up', async () => {
+    const delegation = await share(owner, caregiver);
+
+    await request(app)
+      .delete(`/api/users/me/delegations/${delegation.id}`)
+      .set(caregiver.auth)
+      .expect(204);
+
+    await readContacts(caregiver).expect(403);
+  });
+
+  test('nobody else can revoke it', async () => {
+    const delegation = await share(owner, caregiver);
+    const stranger = await signUp();
+
+    await request(app)
+      .delete(`/api/users/me/delegations/${delegation.id}`)
+      .set(stranger.auth)
+      .expect(404);
+  });
+});
+
+describe('invitations', () => {
+  test('list both sides of a grant', async () => {
+    const delegation = await share(owner, caregiver);
+
+    const granted = await request(app).get('/api/users/me/delegations').set(owner.auth);
+    const received = await request(app).get('/api/users/me/delegations').set(caregiver.auth);
+
+    expect(granted.body.data.granted).toEqual([
+      expect.objectContaining({ id: delegation.id, delegate_name: caregiver.user.name }),
+    ]);
+    expect(received.body.data.received).toEqual([
+      expect.objectContaining({ id: delegation.id, owner_name: owner.user.name }),
+    ]);
+  });
+
+  test('a token works once', async () => {
+    const { token } = await invite(owner);
+    await accept(caregiver, token).expect(200);
+
+    const res = await accept(await signUpCaregiver(), token).expect(400);
+
+    expect(res.body.code).toBe('invalid_invitation');
+  });
+
+  test('an invitation for a named account refuses anyone else', async () => {
+    const intended = await signUpCaregiver();
+    const { token } = await invite(owner, { access: 'read', invited_name: intended.user.name });
+
+    await accept(caregiver, token).expect(403);
+    await accept(intended, token).expect(200);
+  });
+
+  test('you cannot accept your own invitation', async () => {
+    await db.query("UPDATE users SET role = 'caregiver' WHERE id = $1", [owner.user.id]);
+    const { token } = await invite(owner);
+
+    const res = await accept(owner, token).expect(400);
+
+    expect(res.body.code).toBe('self_invitation');
+  });
+
+  test('an expiry in the past is refused', async () => {
+    await request(app)
+      .post('/api/users/me/delegations')
+      .set(owner.auth)
+      .send({ access: 'read', expires_at: '2000-01-01T00:00:00Z' })
+      .expect(400);
+  });
+});
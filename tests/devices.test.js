@@ -0,0 +1,147 @@
+// tests/devices.test.js
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// A MAC no other test uses, upper-case and dash-separated
+const randomMac = () =>
+  crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{2}/g).join('-');
+
+const pairingCode = async (account, name) => {
+  const res = await request(app)
+    .post('/api/users/me/devices/pairing-code')
+    .set(account.auth)
+    .send(name ? { name } : {})
+    .expect(201);
+  return res.body.data.code;
+};
+
+const pair = (code, mac, name) =>
+  request(app).post('/api/auth/devices/pair').send({ code, mac, name });
+
+const deviceToken = (mac, device_secret) =>
+  request(app).post('/api/auth/devices/token').send({ mac, device_secret });
+
+let account;
+
+beforeEach(async () => {
+  account = await signUp();
+});
+
+describe('device pairing', () => {
+  test('a pairing code registers the device under the normalised MAC', async () => {
+    const mac = randomMac();
+
+    const res = await pair(await pairingCode(account, 'Hall speaker'), mac).expect(201);
+
+    expect(res.body.data.device).toMatchObject({
+      name: 'Hall speaker',
+      mac: mac.toLowerCase().replace(/-/g, ':'),
+    });
+    expect(res.body.data.device_secret).toEqual(expect.any(String));
+
+    const devices = await request(app).get('/api/users/me/devices').set(account.auth);
+    expect(devices.body.data.map((device) => device.id)).toEqual([res.body.data.device.id]);
+  });
+
+  test('a code works once', async () => {
+    const code = await pairingCode(account);
+    await pair(code, randomMac()).expect(201);
+
+    const res = await pair(code, randomMac()).expect(400);
+
+    expect(res.body.code).toBe('invalid_pairing_code');
+  });
+
+  test('codes are read case-insensitively', async () => {
+    const code = await pairingCode(account);
+
+    await pair(code.toLowerCase(), randomMac()).expect(201);
+  });
+
+  test("a device paired to someone else can't be taken over", async () => {
+    const mac = randomMac();
+    await pair(await pairingCode(account), mac).expect(201);
+    const other = await signUp();
+
+    await pair(await pairingCode(other), mac).expect(409);
+  });
+
+  test('pairing again replaces the secret', async () => {
+    const mac = randomMac();
+    const first = (await pair(await pairingCode(account), mac).expect(201)).body.data;
+
+    const second = (await pair(await pairingCode(account), mac).expect(201)).body.data;
+
+    expect(second.device.id).toBe(first.device.id);
+    await deviceToken(mac, first.device_secret).expect(401);
+    await deviceToken(mac, second.device_secret).expect(200);
+  });
+});
+
+describe('device tokens', () => {
+  let mac;
+  let device;
+
+  beforeEach(async () => {
+    mac = randomMac();
+    device = (await pair(await pairingCode(account), mac).expect(201)).body.data;
+  });
+
+  const deviceAuth = async () => {
+    const res = await deviceToken(mac, device.device_secret).expect(200);
+    return { Authorization: `Bearer ${res.body.data.token}` };
+  };
+
+  test('the MAC and secret buy a token that reads the contacts', async () => {
+    const auth = await deviceAuth();
+
+    await request(app).get('/api/contacts').set(auth).expect(200);
+  });
+
+  test('the MAC is accepted in any format', async () => {
+    await deviceToken(mac.toLowerCase().replace(/-/g, ':'), device.device_secret).expect(200);
+  });
+
+  test('a wrong secret is refused', async () => {
+    const res = await deviceToken(mac, 'wrong').expect(401);
+
+    expect(res.body.detail).toBe('Invalid device credentials');
+  });
+
+  test('device tokens cannot manage the account', async () => {
+    const auth = await deviceAuth();
+
+    await request(app).get('/api/users/me/devices').set(auth).expect(403);
+    await request(app).post('/api/users/me/devices/pairing-code').set(auth).expect(403);
+  });
+
+  test('unpairing ends the device token', async () => {
+    const auth = await deviceAuth();
+
+    await request(app)
+      .delete(`/api/users/me/devices/${device.device.id}`)
+      .set(account.auth)
+      .expect(204);
+
+    await request(app).get('/api/contacts').set(auth).expect(401);
+    await deviceToken(mac, device.device_secret).expect(401);
+  });
+
+  test("someone else's device can't be renamed or unpaired", async () => {
+    const other = await signUp();
+
+    await request(app)
+      .put(`/api/users/me/devices/${device.device.id}`)
+      .set(other.auth)
+      .send({ name: 'Mine now' })
+      .expect(404);
+    await request(app)
+      .delete(`/api/users/me/devices/${device.device.id}`)
+      .set(other.auth)
+      .expect(404);
+  });
+});
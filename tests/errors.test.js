@@ -0,0 +1,133 @@
+// tests/errors.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { fromPostgresError, problemDocument, toApiError } from '../lib/errors.js';
+import { closeDb, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// The error the driver raises for `sql`
+const postgresError = async (sql, values) => {
+  try {
+    await db.query(sql, values);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`expected ${sql} to fail`);
+};
+
+describe('fromPostgresError', () => {
+  test('a unique violation is a 409 naming the column, not the constraint', async () => {
+    const { user } = await signUp();
+    const error = await postgresError(`INSERT INTO users (name, password) VALUES ($1, 'x')`, [
+      user.name,
+    ]);
+
+    const problem = problemDocument(fromPostgresError(error));
+
+    expect(problem).toMatchObject({
+      status: 409,
+      code: 'duplicate',
+      detail: 'A record with this name already exists',
+      errors: [{ field: 'name', location: 'body', message: 'Already exists' }],
+    });
+    expect(JSON.stringify(problem)).not.toMatch(/constraint|users_name|duplicate key/);
+  });
+
+  test('a missing reference is a 422 with a fixed message', async () => {
+    const error = await postgresError(
+      `INSERT INTO contacts (user_id, name) VALUES (2147483647, 'Nobody')`
+    );
+
+    const problem = problemDocument(fromPostgresError(error));
+
+    expect(problem).toMatchObject({
+      status: 422,
+      code: 'invalid_reference',
+      errors: [{ field: 'user_id', location: 'body', message: 'Does not exist' }],
+    });
+    expect(JSON.stringify(problem)).not.toMatch(/foreign key|contacts_user_id_fkey/);
+  });
+
+  test('deleting a row still referenced is a 409', async () => {
+    const error = Object.assign(
+      new Error('update or delete on table "users" violates foreign key constraint "x"'),
+      { code: '23503', detail: 'Key (id)=(1) is still referenced from table "contacts".' }
+    );
+
+    expect(fromPostgresError(error)).toMatchObject({ statusCode: 409, code: 'still_referenced' });
+  });
+
+  test('a missing required value names the column', () => {
+    const error = Object.assign(new Error('null value in column "name"'), {
+      code: '23502',
+      column: 'name',
+    });
+
+    expect(problemDocument(fromPostgresError(error))).toMatchObject({
+      status: 422,
+      code: 'missing_value',
+      errors: [{ field: 'name', message: 'Required' }],
+    });
+  });
+
+  test.each([
+    ['23514', 422, 'constraint_violation'],
+    ['22001', 422, 'value_too_long'],
+    ['22P02', 422, 'invalid_value'],
+    ['40001', 409, 'concurrent_update'],
+    ['40P01', 409, 'concurrent_update'],
+  ])('SQLSTATE %s is a %i %s', (code, status, problemCode) => {
+    const mapped = fromPostgresError(Object.assign(new Error('driver text'), { code }));
+
+    expect(mapped).toMatchObject({ statusCode: status, code: problemCode });
+    expect(mapped.message).not.toMatch(/driver text/);
+  });
+
+  test('other errors are left alone', () => {
+    expect(fromPostgresError(Object.assign(new Error('x'), { code: '08006' }))).toBeNull();
+    expect(fromPostgresError(Object.assign(new Error('x'), { code: 'ECONNREFUSED' }))).toBeNull();
+    expect(fromPostgresError(new Error('x'))).toBeNull();
+  });
+});
+
+describe('toApiError', () => {
+  test('an unknown error is a 500 that hides its message', () => {
+    const error = toApiError(new Error('password for user "postgres" failed'));
+
+    expect(error.statusCode).toBe(500);
+    expect(error.message).toBe('Internal Server Error');
+  });
+
+  test('a status-tagged error keeps its status', () => {
+    const error = toApiError(Object.assign(new Error('Gone fishing'), { statusCode: 404 }));
+
+    expect(error).toMatchObject({ statusCode: 404, code: 'not_found', message: 'Gone fishing' });
+  });
+});
+
+describe('problem responses', () => {
+  test('are problem+json with the request id', async () => {
+    const res = await request(app).get('/api/users/me').expect(401);
+
+    expect(res.type).toBe('application/problem+json');
+    expect(res.body).toMatchObject({
+      status: 401,
+      code: expect.any(String),
+      instance: '/api/users/me',
+      success: false,
+    });
+    expect(res.body.request_id).toBe(res.headers['x-request-id']);
+  });
+
+  test('a malformed JSON body is a 400 malformed_body', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username":')
+      .expect(400);
+
+    expect(res.body.code).toBe('malformed_body');
+  });
+});
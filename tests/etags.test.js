@@ -0,0 +1,119 @@
+// tests/etags.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+describe('contact ETags', () => {
+  let account;
+  let contact;
+
+  beforeAll(async () => {
+    account = await signUp();
+    contact = await createContact(account, { name: 'Original' });
+  });
+
+  test('a read carries the version as a strong ETag', async () => {
+    const res = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth).expect(200);
+
+    expect(res.headers.etag).toBe(`"${res.body.data.version}"`);
+  });
+
+  test('a matching If-None-Match gets a 304', async () => {
+    const { headers } = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth);
+
+    await request(app)
+      .get(`/api/contacts/${contact.id}`)
+      .set(account.auth)
+      .set('If-None-Match', headers.etag)
+      .expect(304);
+  });
+
+  test('an update with the current ETag succeeds and moves the ETag on', async () => {
+    const { headers } = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth);
+
+    const res = await request(app)
+      .put(`/api/contacts/${contact.id}`)
+      .set(account.auth)
+      .set('If-Match', headers.etag)
+      .send({ name: 'Renamed' })
+      .expect(200);
+
+    expect(res.body.data.name).toBe('Renamed');
+    expect(res.headers.etag).not.toBe(headers.etag);
+  });
+
+  test('an update with a stale ETag is refused with the current one', async () => {
+    const { headers } = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth);
+    await request(app)
+      .put(`/api/contacts/${contact.id}`)
+      .set(account.auth)
+      .send({ name: 'Changed elsewhere' })
+      .expect(200);
+
+    const res = await request(app)
+      .put(`/api/contacts/${contact.id}`)
+      .set(account.auth)
+      .set('If-Match', headers.etag)
+      .send({ name: 'Lost update' })
+      .expect(412);
+
+    expect(res.body.code).toBe('version_mismatch');
+    expect(res.headers.etag).not.toBe(headers.etag);
+
+    const current = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth);
+    expect(current.body.data.name).toBe('Changed elsewhere');
+    expect(current.headers.etag).toBe(res.headers.etag);
+  });
+
+  test('a delete with a stale ETag is refused', async () => {
+    const doomed = await createContact(account);
+
+    const res = await request(app)
+      .delete(`/api/contacts/${doomed.id}`)
+      .set(account.auth)
+      .set('If-Match', `"${doomed.version + 1}"`)
+      .expect(412);
+
+    expect(res.body.code).toBe('version_mismatch');
+    await request(app).get(`/api/contacts/${doomed.id}`).set(account.auth).expect(200);
+  });
+
+  test('weak tags never satisfy If-Match', async () => {
+    const { headers } = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth);
+
+    await request(app)
+      .put(`/api/contacts/${contact.id}`)
+      .set(account.auth)
+      .set('If-Match', `W/${headers.etag}`)
+      .send({ name: 'Weak' })
+      .expect(412);
+  });
+});
+
+describe('user ETags', () => {
+  test('GET /me and PUT /:id share the account version', async () => {
+    const account = await signUp();
+
+    const me = await request(app).get('/api/users/me').set(account.auth).expect(200);
+    expect(me.headers.etag).toBe(`"${me.body.data.version}"`);
+
+    const updated = await request(app)
+      .put(`/api/users/${account.user.id}`)
+      .set(account.auth)
+      .set('If-Match', me.headers.etag)
+      .send({ age: 42 })
+      .expect(200);
+
+    const res = await request(app)
+      .put(`/api/users/${account.user.id}`)
+      .set(account.auth)
+      .set('If-Match', me.headers.etag)
+      .send({ age: 43 })
+      .expect(412);
+
+    expect(res.body.code).toBe('version_mismatch');
+    expect(res.headers.etag).toBe(updated.headers.etag);
+  });
+});
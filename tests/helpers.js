@@ -0,0 +1,115 @@
+// tests/helpers.js
+import fs from 'fs';
+import path from 'path';
+import querystring from 'querystring';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+
+export const PASSWORD = 'Passw0rd!long';
+
+// Valid GB mobile numbers, for accounts registered in GB
+export const GB_MOBILES = ['07911123456', '07911123457', '07911123458', '07911123459'];
+
+const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'pages');
+
+// Next.js's default body size limit
+const DEFAULT_SIZE_LIMIT = 1024 * 1024;
+
+// The pages/api module Next.js would route a path to: /api/a/b is
+// pages/api/a/b.js or pages/api/a/b/index.js
+const pageFor = async (pathname) => {
+  const base = path.join(PAGES_DIR, pathname);
+  const file = [`${base}.js`, path.join(base, 'index.js')].find((name) => fs.existsSync(name));
+  return file ? import(file) : null;
+};
+
+// Next.js keeps the query flat; a repeated key becomes an array
+const queryOf = (searchParams) => {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    query[key] = key in query ? [query[key]].flat().concat(value) : value;
+  }
+  return query;
+};
+
+// Next.js's default body parser: JSON and form bodies are parsed, anything
+// else is handed over as text
+const parseBody = async (req, sizeLimit) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > sizeLimit) return { tooLarge: true };
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  const type = (req.headers['content-type'] || 'text/plain').split(';')[0].trim();
+  if (type === 'application/json') return { body: text ? JSON.parse(text) : {} };
+  if (type === 'application/x-www-form-urlencoded') return { body: querystring.parse(text) };
+  return { body: text };
+};
+
+/**
+ * A request handler that serves pages/api the way `next start` would, for
+ * supertest: routing by file, the query in req.query and the parsed body
+ * in req.body.
+ */
+export const nextApp = async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const page = await pageFor(url.pathname);
+  if (!page) {
+    res.statusCode = 404;
+    return res.end();
+  }
+
+  req.query = queryOf(url.searchParams);
+
+  const bodyParser = page.config?.api?.bodyParser ?? {};
+  if (bodyParser !== false) {
+    const { body, tooLarge } = await parseBody(req, bodyParser.sizeLimit ?? DEFAULT_SIZE_LIMIT);
+    if (tooLarge) {
+      res.statusCode = 413;
+      return res.end('Body exceeded limit');
+    }
+    req.body = body;
+  }
+
+  return page.default(req, res);
+};
+
+let counter = 0;
+
+// A name no other test (or earlier run against the same database) has used
+export const uniqueName = (prefix = 'user') =>
+  `${prefix}-${Date.now().toString(36)}-${process.pid}-${++counter}`;
+
+/**
+ * Register an account through the Express app. Resolves to { user, token,
+ * auth }, where `auth` is the Authorization header for its access token.
+ */
+export const signUp = async (fields = {}) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ name: uniqueName(), password: PASSWORD, default_region: 'GB', ...fields })
+    .expect(201);
+
+  const { user, token } = res.body.data;
+  return { user, token, auth: { Authorization: `Bearer ${token}` } };
+};
+
+// Create a contact for `account` through the Express app
+export const createContact = async (account, fields = {}) => {
+  const res = await request(app)
+    .post('/api/contacts')
+    .set(account.auth)
+    .send({ name: uniqueName('contact'), ...fields })
+    .expect(201);
+
+  return res.body.data;
+};
+
+// Every test file gets its own lib/db.js pool; close it so jest can exit
+export const closeDb = () => db.end();
@@ -0,0 +1,137 @@
+// tests/idempotency.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, nextApp, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+let account;
+
+beforeEach(async () => {
+  account = await signUp();
+});
+
+const contactCount = async () => {
+  const res = await request(app).get('/api/contacts').set(account.auth).expect(200);
+  return res.body.data.pagination.total;
+};
+
+describe('Idempotency-Key', () => {
+  test('a retry replays the first response without creating anything', async () => {
+    const create = () =>
+      request(app)
+        .post('/api/contacts')
+        .set(account.auth)
+        .set('Idempotency-Key', 'create-once')
+        .send({ name: 'Only Once' });
+
+    const first = await create().expect(201);
+    const retry = await create().expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.etag).toBe(first.headers.etag);
+    expect(await contactCount()).toBe(1);
+  });
+
+  test('the same key with a different body is refused', async () => {
+    await request(app)
+      .post('/api/contacts')
+      .set(account.auth)
+      .set('Idempotency-Key', 'reused')
+      .send({ name: 'First' })
+      .expect(201);
+
+    const res = await request(app)
+      .post('/api/contacts')
+      .set(account.auth)
+      .set('Idempotency-Key', 'reused')
+      .send({ name: 'Second' })
+      .expect(422);
+
+    expect(res.body.code).toBe('idempotency_key_reused');
+    expect(await contactCount()).toBe(1);
+  });
+
+  test('keys belong to one account', async () => {
+    const other = await signUp();
+    const send = (who) =>
+      request(app)
+        .post('/api/contacts')
+        .set(who.auth)
+        .set('Idempotency-Key', 'per-account')
+        .send({ name: 'Mine' });
+
+    const mine = await send(account).expect(201);
+    const theirs = await send(other).expect(201);
+
+    expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+    expect(theirs.body.data.id).not.toBe(mine.body.data.id);
+  });
+
+  test('a malformed key is refused', async () => {
+    const res = await request(app)
+      .post('/api/contacts')
+      .set(account.auth)
+      .set('Idempotency-Key', 'x'.repeat(256))
+      .send({ name: 'Too Long A Key' })
+      .expect(400);
+
+    expect(res.body.code).toBe('invalid_idempotency_key');
+    expect(await contactCount()).toBe(0);
+  });
+
+  test('a client error is stored and replayed', async () => {
+    const stranger = await signUp();
+    const theirs = await createContact(stranger);
+    const add = () =>
+      request(app)
+        .post('/api/phone-numbers')
+        .set(account.auth)
+        .set('Idempotency-Key', 'not-mine')
+        .send({ contact_id: theirs.id, phone_number: '07911123456' });
+
+    const first = await add().expect(403);
+    const retry = await add().expect(403);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers['content-type']).toBe(first.headers['content-type']);
+    expect(retry.body.code).toBe(first.body.code);
+  });
+
+  test('a CSV error report is replayed as it was sent', async () => {
+    const upload = () =>
+      request(app)
+        .post('/api/contacts/import/csv')
+        .set(account.auth)
+        .set('Idempotency-Key', 'bad-csv')
+        .type('text/csv')
+        .send('name,phone_number\n,12\n');
+
+    const first = await upload().expect(422);
+    const retry = await upload().expect(422);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers['content-type']).toBe(first.headers['content-type']);
+    expect(retry.headers['content-disposition']).toBe(first.headers['content-disposition']);
+    expect(retry.text).toBe(first.text);
+  });
+
+  test('a key used through Express is replayed by the Next.js handler', async () => {
+    const create = (target) =>
+      request(target)
+        .post('/api/contacts')
+        .set(account.auth)
+        .set('Idempotency-Key', 'both-stacks')
+        .send({ name: 'Either Way' });
+
+    const first = await create(app).expect(201);
+    const retry = await create(nextApp).expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.etag).toBe(first.headers.etag);
+    expect(await contactCount()).toBe(1);
+  });
+});
@@ -0,0 +1,82 @@
+// tests/loginThrottle.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { closeDb, PASSWORD, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// LOGIN_MAX_FAILURES in tests/setup/env.js
+const MAX_FAILURES = 5;
+
+const login = (username, password) =>
+  request(app).post('/api/auth/login').send({ username, password });
+
+const failTimes = async (username, times) => {
+  for (let i = 0; i < times; i++) {
+    await login(username, 'wrong password').expect(401);
+  }
+};
+
+describe('login lockout', () => {
+  test('too many wrong passwords lock the account', async () => {
+    const { user } = await signUp();
+    await failTimes(user.name, MAX_FAILURES);
+
+    const res = await login(user.name, 'wrong password').expect(429);
+
+    expect(res.body.code).toBe('login_locked');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('the right password is refused while locked', async () => {
+    const { user } = await signUp();
+    await failTimes(user.name, MAX_FAILURES);
+
+    const res = await login(user.name, PASSWORD).expect(429);
+
+    expect(res.body.code).toBe('login_locked');
+    expect(res.body.data).toBeUndefined();
+  });
+
+  test('a successful login forgets earlier failures', async () => {
+    const { user } = await signUp();
+    await failTimes(user.name, MAX_FAILURES - 1);
+    await login(user.name, PASSWORD).expect(200);
+
+    await failTimes(user.name, MAX_FAILURES - 1);
+    await login(user.name, PASSWORD).expect(200);
+  });
+
+  test('other accounts are not affected', async () => {
+    const locked = await signUp();
+    const other = await signUp();
+    await failTimes(locked.user.name, MAX_FAILURES);
+
+    await login(other.user.name, PASSWORD).expect(200);
+  });
+
+  test('unknown accounts answer like wrong passwords', async () => {
+    const res = await login('nobody-by-this-name', 'wrong password').expect(401);
+    const known = await signUp();
+    const wrong = await login(known.user.name, 'wrong password').expect(401);
+
+    expect(res.body.detail).toBe(wrong.body.detail);
+  });
+
+  test('an admin can clear the lockout', async () => {
+    const { user } = await signUp();
+    await failTimes(user.name, MAX_FAILURES);
+
+    const admin = await signUp();
+    await db.query("UPDATE users SET role = 'admin' WHERE id = $1", [admin.user.id]);
+    const session = await login(admin.user.name, PASSWORD).expect(200);
+
+    await request(app)
+      .post(`/api/admin/users/${user.id}/unlock`)
+      .set('Authorization', `Bearer ${session.body.data.token}`)
+      .expect(200);
+
+    await login(user.name, PASSWORD).expect(200);
+  });
+});
@@ -0,0 +1,139 @@
+// tests/merge.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// Merge `others` into `survivor`, with any choices for the conflicts
+const merge = (account, survivor, others, choices = {}) =>
+  request(app)
+    .post('/api/contacts/merge')
+    .set(account.auth)
+    .send({ survivor_id: survivor.id, merge_ids: others.map((contact) => contact.id), ...choices });
+
+let account;
+
+beforeEach(async () => {
+  account = await signUp();
+});
+
+describe('duplicate suggestions', () => {
+  test('groups contacts sharing a number, however it was typed', async () => {
+    const mum = await createContact(account, {
+      name: 'Mum',
+      phone_numbers: [{ phone_number: GB_MOBILES[0] }],
+    });
+    const mother = await createContact(account, {
+      name: 'Mother',
+      phone_numbers: [{ phone_number: '+44 7911 123456' }],
+    });
+    await createContact(account, { name: 'Plumber' });
+
+    const res = await request(app).get('/api/contacts/duplicates').set(account.auth).expect(200);
+
+    expect(res.body.data.groups).toEqual([
+      {
+        contacts: [
+          expect.objectContaining({ id: mum.id }),
+          expect.objectContaining({ id: mother.id }),
+        ],
+        reasons: [{ type: 'phone', phone: '+447911123456', contact_ids: [mum.id, mother.id] }],
+      },
+    ]);
+  });
+
+  test('groups similar names, chaining pairs into one group', async () => {
+    const ids = [];
+    for (const name of ['Margaret Thompson', 'margaret thomson', 'Margret Thomson']) {
+      ids.push((await createContact(account, { name })).id);
+    }
+
+    const res = await request(app)
+      .get('/api/contacts/duplicates?threshold=0.5')
+      .set(account.auth)
+      .expect(200);
+
+    expect(res.body.data.groups).toHaveLength(1);
+    expect(res.body.data.groups[0].contacts.map((contact) => contact.id)).toEqual(ids);
+    expect(res.body.data.groups[0].reasons.every((reason) => reason.type === 'name')).toBe(true);
+  });
+});
+
+describe('merging contacts', () => {
+  test('moves the numbers over once and deletes the others', async () => {
+    const survivor = await createContact(account, {
+      name: 'Mum',
+      phone_numbers: [{ phone_number: GB_MOBILES[0], is_primary: true }],
+    });
+    const other = await createContact(account, {
+      name: 'Mum',
+      relationship: 'Mother',
+      phone_numbers: [{ phone_number: '+447911123456' }, { phone_number: GB_MOBILES[1] }],
+    });
+
+    const res = await merge(account, survivor, [other]).expect(200);
+
+    expect(res.body.data).toMatchObject({ id: survivor.id, name: 'Mum', relationship: 'Mother' });
+    expect(
+      res.body.data.phone_numbers.map(({ phone_e164, is_primary }) => [phone_e164, is_primary])
+    ).toEqual([
+      ['+447911123456', true],
+      ['+447911123457', false],
+    ]);
+    await request(app).get(`/api/contacts/${other.id}`).set(account.auth).expect(404);
+  });
+
+  test('a field conflict has to be settled, and nothing changes until it is', async () => {
+    const survivor = await createContact(account, { name: 'Dr Patel' });
+    const other = await createContact(account, { name: 'Raj Patel' });
+
+    const res = await merge(account, survivor, [other]).expect(409);
+
+    expect(res.body.code).toBe('merge_conflict');
+    expect(res.body.conflicts.name).toEqual([
+      { contact_id: survivor.id, value: 'Dr Patel' },
+      { contact_id: other.id, value: 'Raj Patel' },
+    ]);
+    await request(app).get(`/api/contacts/${other.id}`).set(account.auth).expect(200);
+
+    const merged = await merge(account, survivor, [other], { fields: { name: other.id } });
+    expect(merged.status).toBe(200);
+    expect(merged.body.data.name).toBe('Raj Patel');
+  });
+
+  test('two primaries have to be settled with primary_phone_id', async () => {
+    const survivor = await createContact(account, {
+      phone_numbers: [{ phone_number: GB_MOBILES[0], is_primary: true }],
+    });
+    const other = await createContact(account, {
+      name: survivor.name,
+      phone_numbers: [{ phone_number: GB_MOBILES[1], is_primary: true }],
+    });
+    const chosen = other.phone_numbers[0];
+
+    const conflict = await merge(account, survivor, [other]).expect(409);
+    expect(Object.keys(conflict.body.conflicts)).toEqual(['primary_phone_id']);
+
+    const res = await merge(account, survivor, [other], { primary_phone_id: chosen.id });
+    expect(res.status).toBe(200);
+    expect(res.body.data.phone_numbers.filter((phone) => phone.is_primary)).toEqual([
+      expect.objectContaining({ phone_e164: chosen.phone_e164 }),
+    ]);
+  });
+
+  test("someone else's contact can't be merged in", async () => {
+    const survivor = await createContact(account);
+    const stranger = await signUp();
+    const theirs = await createContact(stranger);
+
+    await merge(account, survivor, [theirs]).expect(404);
+    await request(app).get(`/api/contacts/${theirs.id}`).set(stranger.auth).expect(200);
+  });
+
+  test('the survivor may not also be merged', async () => {
+    const survivor = await createContact(account);
+
+    await merge(account, survivor, [survivor]).expect(400);
+  });
+});
@@ -0,0 +1,112 @@
+// tests/migrate.test.js
+//
+// Runs against a database of its own, since rolling back would pull the
+// schema out from under the other suites.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startPglite } from './setup/globalSetup.js';
+
+let pglite;
+let server;
+let db;
+let migrate;
+
+const quiet = { log: () => {} };
+
+const tableExists = async (name) =>
+  (await db.query('SELECT to_regclass($1) AS name', [name])).rows[0].name !== null;
+
+beforeAll(async () => {
+  let url;
+  ({ pglite, server, url } = await startPglite());
+  // lib/db.js reads this when it is first imported
+  process.env.POSTGRES_URL = url;
+
+  migrate = await import('../lib/migrate.js');
+  ({ default: db } = await import('../lib/db.js'));
+});
+
+afterAll(async () => {
+  await db.end();
+  await server.stop();
+  await pglite.close();
+});
+
+describe('migrations', () => {
+  test('up applies every migration in order, once', async () => {
+    const migrations = await migrate.loadMigrations();
+
+    const applied = await migrate.up(quiet);
+
+    expect(applied).toHaveLength(migrations.length);
+    expect(applied).toEqual([...applied].sort());
+    expect(await tableExists('users')).toBe(true);
+    expect((await migrate.status()).every((row) => row.applied)).toBe(true);
+    expect(await migrate.up(quiet)).toEqual([]);
+  });
+
+  test('a dry run changes nothing', async () => {
+    const before = await migrate.status();
+
+    const planned = await migrate.down({ to: 0, dryRun: true, ...quiet });
+
+    expect(planned.length).toBe(before.length);
+    expect(await migrate.status()).toEqual(before);
+  });
+
+  test('down --to rolls back only the newer migrations, newest first', async () => {
+    const migrations = await migrate.loadMigrations();
+    const keep = migrations[migrations.length - 3].version;
+
+    const reverted = await migrate.down({ to: keep, ...quiet });
+
+    expect(reverted).toHaveLength(2);
+    expect(reverted).toEqual([...reverted].sort().reverse());
+    const rows = await migrate.status();
+    expect(rows.filter((row) => row.applied).map((row) => row.version)).toEqual(
+      migrations.filter((m) => m.version <= keep).map((m) => m.version)
+    );
+
+    await migrate.up(quiet);
+  });
+
+  test('every down script undoes its up script', async () => {
+    const migrations = await migrate.loadMigrations();
+
+    expect(await migrate.down({ to: 0, ...quiet })).toHaveLength(migrations.length);
+    expect(await tableExists('users')).toBe(false);
+    expect((await migrate.status()).some((row) => row.applied)).toBe(false);
+
+    expect(await migrate.up(quiet)).toHaveLength(migrations.length);
+  });
+
+  test('down needs a target version', async () => {
+    await expect(migrate.down(quiet)).rejects.toThrow(/down requires --to/);
+  });
+
+  test('an applied migration that was edited stops the run', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      await fs.cp(migrate.MIGRATIONS_DIR, dir, { recursive: true });
+      const [first] = (await fs.readdir(dir)).filter((file) => file.endsWith('.up.sql')).sort();
+      await fs.appendFile(path.join(dir, first), '\n-- edited\n');
+
+      await expect(migrate.up({ dir, ...quiet })).rejects.toThrow(/Checksum mismatch/);
+      await expect(migrate.status({ dir })).rejects.toThrow(/Checksum mismatch/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a migration without its down file is refused', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      await fs.writeFile(path.join(dir, '0001_lonely.up.sql'), 'SELECT 1;');
+
+      await expect(migrate.loadMigrations(dir)).rejects.toThrow(/needs both an up and a down/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
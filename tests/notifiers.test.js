@@ -0,0 +1,53 @@
+// tests/notifiers.test.js
+import { getNotifier, setNotifier } from '../lib/notifiers/index.js';
+
+const saved = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...saved };
+  setNotifier(null);
+});
+
+// The notifier getNotifier builds from `env`, with ALERT_NOTIFIER unset unless given
+const notifierFor = ({ ALERT_NOTIFIER, ...env }) => {
+  Object.assign(process.env, env);
+  if (ALERT_NOTIFIER === undefined) {
+    delete process.env.ALERT_NOTIFIER;
+  } else {
+    process.env.ALERT_NOTIFIER = ALERT_NOTIFIER;
+  }
+  setNotifier(null);
+  return getNotifier();
+};
+
+describe('notifier from the environment', () => {
+  test('defaults to the console outside production', () => {
+    expect(notifierFor({ NODE_ENV: 'development' }).channel).toBe('console');
+  });
+
+  test.each([undefined, 'console', 'file'])('refuses ALERT_NOTIFIER=%s in production', (name) => {
+    expect(() => notifierFor({ NODE_ENV: 'production', ALERT_NOTIFIER: name })).toThrow(
+      /ALERT_NOTIFIER must name a delivery channel in production/
+    );
+  });
+
+  test('accepts a webhook in production', () => {
+    const notifier = notifierFor({
+      NODE_ENV: 'production',
+      ALERT_NOTIFIER: 'webhook',
+      ALERT_WEBHOOK_URL: 'https://sms.example.test/send',
+    });
+
+    expect(notifier.channel).toBe('sms');
+  });
+
+  test('a notifier installed with setNotifier is kept', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.ALERT_NOTIFIER;
+    const installed = { channel: 'custom', send: async () => ({ id: 'x' }) };
+
+    setNotifier(installed);
+
+    expect(getNotifier()).toBe(installed);
+  });
+});
@@ -0,0 +1,65 @@
+// tests/openapi.test.js
+import fs from 'fs';
+import request from 'supertest';
+import app from '../app.js';
+import { buildSpec } from '../lib/openapi/index.js';
+import { MAX_PAGE_LIMIT } from '../lib/utils.js';
+import { closeDb } from './helpers.js';
+
+afterAll(closeDb);
+
+const spec = buildSpec();
+const operation = (method, path) => spec.paths[path][method];
+const parameter = (op, name) => op.parameters.find((param) => param.name === name);
+
+describe('OpenAPI document', () => {
+  test('matches the committed docs/openapi.json', () => {
+    const committed = JSON.parse(fs.readFileSync(new URL('../docs/openapi.json', import.meta.url)));
+
+    expect(spec).toEqual(committed);
+  });
+
+  test('is served with its docs page', async () => {
+    const json = await request(app).get('/api/openapi.json').expect(200);
+    const page = await request(app).get('/api/docs').expect(200);
+
+    expect(json.body.openapi).toBe('3.1.0');
+    expect(page.type).toBe('text/html');
+  });
+
+  test('takes query parameters from the validators', () => {
+    const list = operation('get', '/api/contacts');
+
+    expect(parameter(list, 'is_emergency').schema).toEqual({ type: 'boolean' });
+    expect(parameter(list, 'phone_type').schema).toEqual({
+      enum: ['mobile', 'home', 'work'],
+      type: 'string',
+    });
+    expect(parameter(list, 'limit').schema).toMatchObject({ maximum: MAX_PAGE_LIMIT });
+  });
+
+  test('turns route params into path parameters', () => {
+    expect(parameter(operation('get', '/api/contacts/{id}'), 'id')).toEqual({
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: { type: 'integer' },
+    });
+  });
+
+  test('takes the request body from the validators', () => {
+    const { schema } = operation('post', '/api/auth/login').requestBody.content['application/json'];
+
+    expect(schema.required).toEqual(['username', 'password']);
+  });
+
+  test('marks which operations need a token', () => {
+    expect(operation('post', '/api/auth/login').security).toEqual([]);
+    expect(operation('get', '/api/contacts').security).toEqual([{ bearerAuth: [] }]);
+    expect(operation('get', '/api/contacts').responses).toHaveProperty('401');
+  });
+
+  test('uses the comment above a route as its summary', () => {
+    expect(operation('get', '/api/contacts/{id}').summary).toBe('Get contact by ID');
+  });
+});
@@ -0,0 +1,126 @@
+// tests/pagination.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// Every page of `path` in cursor mode, following next_cursor
+const walkCursor = async (account, path, key, limit = 2) => {
+  const pages = [];
+  const separator = path.includes('?') ? '&' : '?';
+  let url = `${path}${separator}pagination=cursor&limit=${limit}`;
+
+  for (;;) {
+    const res = await request(app).get(url).set(account.auth).expect(200);
+    const { pagination } = res.body.data;
+    pages.push({ ids: res.body.data[key].map((item) => item.id), pagination });
+
+    if (!pagination.next_cursor) return pages;
+    url = `${path}${separator}limit=${limit}&cursor=${pagination.next_cursor}`;
+  }
+};
+
+// Every item of `path` on one offset page
+const allByOffset = async (account, path, key) => {
+  const separator = path.includes('?') ? '&' : '?';
+  const res = await request(app)
+    .get(`${path}${separator}page=1&limit=100`)
+    .set(account.auth)
+    .expect(200);
+
+  return res.body.data[key].map((item) => item.id);
+};
+
+describe('contact list', () => {
+  let account;
+
+  beforeAll(async () => {
+    account = await signUp();
+    for (const name of ['Erin', 'Carl', 'Anna', 'Dora', 'Bert']) {
+      await createContact(account, { name, is_emergency: name === 'Dora' });
+    }
+  });
+
+  test('offset pages report totals', async () => {
+    const res = await request(app)
+      .get('/api/contacts?page=2&limit=2')
+      .set(account.auth)
+      .expect(200);
+
+    expect(res.body.data.pagination).toEqual({ total: 5, page: 2, limit: 2, pages: 3 });
+    expect(res.body.data.contacts.map((contact) => contact.name)).toEqual(['Bert', 'Carl']);
+  });
+
+  test('cursor pages walk the same order as offset pages', async () => {
+    const pages = await walkCursor(account, '/api/contacts', 'contacts');
+
+    expect(pages.map((page) => page.ids.length)).toEqual([2, 2, 1]);
+    expect(pages.flatMap((page) => page.ids)).toEqual(
+      await allByOffset(account, '/api/contacts', 'contacts')
+    );
+    expect(pages[0].pagination.prev_cursor).toBeNull();
+  });
+
+  test('prev_cursor goes back a page', async () => {
+    const [first, second] = await walkCursor(account, '/api/contacts', 'contacts');
+
+    const res = await request(app)
+      .get(`/api/contacts?limit=2&cursor=${second.pagination.prev_cursor}`)
+      .set(account.auth)
+      .expect(200);
+
+    expect(res.body.data.contacts.map((contact) => contact.id)).toEqual(first.ids);
+  });
+
+  test('the cursor follows the requested sort', async () => {
+    const pages = await walkCursor(account, '/api/contacts?sort=-name', 'contacts');
+
+    expect(pages.flatMap((page) => page.ids)).toEqual(
+      await allByOffset(account, '/api/contacts?sort=-name', 'contacts')
+    );
+  });
+
+  test('a cursor is refused under another sort', async () => {
+    const [first] = await walkCursor(account, '/api/contacts', 'contacts');
+
+    const res = await request(app)
+      .get(`/api/contacts?sort=-name&cursor=${first.pagination.next_cursor}`)
+      .set(account.auth)
+      .expect(400);
+
+    expect(res.body.code).toBe('invalid_cursor');
+  });
+
+  test('a tampered cursor is refused', async () => {
+    const [first] = await walkCursor(account, '/api/contacts', 'contacts');
+    const tampered = `${first.pagination.next_cursor.slice(0, -2)}xx`;
+
+    const res = await request(app)
+      .get(`/api/contacts?cursor=${tampered}`)
+      .set(account.auth)
+      .expect(400);
+
+    expect(res.body.code).toBe('invalid_cursor');
+  });
+});
+
+describe('alerts', () => {
+  test('cursor pages walk the same order as offset pages', async () => {
+    const account = await signUp();
+    for (let i = 0; i < 3; i++) {
+      await request(app)
+        .post('/api/alerts')
+        .set(account.auth)
+        .send({ message: `Alert ${i}` })
+        .expect(201);
+    }
+
+    const pages = await walkCursor(account, '/api/alerts', 'alerts');
+
+    expect(pages.flatMap((page) => page.ids)).toEqual(
+      await allByOffset(account, '/api/alerts', 'alerts')
+    );
+    expect(pages.flatMap((page) => page.ids)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,239 @@
+// tests/passwords.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { requestPasswordReset } from '../lib/passwords.js';
+import { getResetChannel, setResetChannel } from '../lib/resetChannels/index.js';
+import { closeDb, PASSWORD, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+const NEW_PASSWORD = 'N3w-Passw0rd!long';
+
+/**
+ * A reset channel that keeps what it is given. `delivered()` resolves with
+ * the next message sent; until `open()` is called, send() does not return.
+ */
+const capturingChannel = ({ gated = false } = {}) => {
+  const waiting = [];
+  let opened = !gated;
+  let open = () => {};
+  const gate = new Promise((resolve) => {
+    open = resolve;
+  });
+
+  return {
+    channel: 'test',
+    async send(message) {
+      waiting.shift()?.(message);
+      if (!opened) await gate;
+    },
+    delivered: () => new Promise((resolve) => waiting.push(resolve)),
+    open: () => {
+      opened = true;
+      open();
+    },
+  };
+};
+
+// Rejects if `promise` takes longer than `ms`
+const within = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`still waiting after ${ms}ms`)), ms).unref();
+    }),
+  ]);
+
+let channel;
+
+beforeEach(() => {
+  channel = capturingChannel();
+  setResetChannel(channel);
+});
+
+afterEach(() => setResetChannel(null));
+
+describe('requestPasswordReset', () => {
+  test('answers without waiting on the channel, for known and unknown accounts alike', async () => {
+    const { user } = await signUp();
+    channel = capturingChannel({ gated: true });
+    setResetChannel(channel);
+    const delivered = channel.delivered();
+
+    const known = await within(requestPasswordReset(user.name), 1000);
+    const unknown = await within(requestPasswordReset('nobody-by-this-name'), 1000);
+
+    expect(Object.keys(known)).toEqual(Object.keys(unknown));
+    expect((await delivered).name).toBe(user.name);
+
+    channel.open();
+    await known.delivery;
+    await unknown.delivery;
+  });
+
+  test('a failing channel is logged, not thrown', async () => {
+    const { user } = await signUp();
+    const logged = [];
+    const { error } = console;
+    console.error = (...args) => logged.push(args);
+    setResetChannel({
+      channel: 'test',
+      send: async () => {
+        throw new Error('gateway down');
+      },
+    });
+
+    try {
+      const { delivery } = await requestPasswordReset(user.name);
+      await delivery;
+    } finally {
+      console.error = error;
+    }
+
+    expect(logged).toEqual([['Password reset delivery error:', expect.any(Error)]]);
+  });
+});
+
+describe('password reset', () => {
+  const forgot = async (username) => {
+    const delivered = channel.delivered();
+    await request(app).post('/api/auth/password/forgot').send({ username }).expect(202);
+    return (await delivered).token;
+  };
+
+  test('a reset token sets a new password and signs every session out', async () => {
+    const account = await signUp();
+    const token = await forgot(account.user.name);
+
+    await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, password: NEW_PASSWORD })
+      .expect(200);
+
+    await request(app).get('/api/users/me').set(account.auth).expect(401);
+    await request(app)
+      .post('/api/auth/login')
+      .send({ username: account.user.name, password: PASSWORD })
+      .expect(401);
+    await request(app)
+      .post('/api/auth/login')
+      .send({ username: account.user.name, password: NEW_PASSWORD })
+      .expect(200);
+  });
+
+  test('a reset token works once', async () => {
+    const { user } = await signUp();
+    const token = await forgot(user.name);
+
+    await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, password: NEW_PASSWORD })
+      .expect(200);
+    const res = await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, password: 'Another-Passw0rd' })
+      .expect(400);
+
+    expect(res.body.code).toBe('invalid_reset_token');
+  });
+
+  test('a newer token replaces the one before it', async () => {
+    const { user } = await signUp();
+    const first = await forgot(user.name);
+    const second = await forgot(user.name);
+
+    await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token: first, password: NEW_PASSWORD })
+      .expect(400);
+    await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token: second, password: NEW_PASSWORD })
+      .expect(200);
+  });
+
+  test('the answer is the same for an unknown account', async () => {
+    const { user } = await signUp();
+
+    const known = await request(app)
+      .post('/api/auth/password/forgot')
+      .send({ username: user.name });
+    const unknown = await request(app)
+      .post('/api/auth/password/forgot')
+      .send({ username: 'nobody-by-this-name' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body.message).toBe(known.body.message);
+  });
+
+  test('a reset clears a login lockout', async () => {
+    const { user } = await signUp();
+    for (let i = 0; i < 6; i++) {
+      await request(app).post('/api/auth/login').send({ username: user.name, password: 'wrong' });
+    }
+    const token = await forgot(user.name);
+
+    await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, password: NEW_PASSWORD })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ username: user.name, password: NEW_PASSWORD })
+      .expect(200);
+  });
+});
+
+describe('change password', () => {
+  test('needs the current password and signs the other sessions out', async () => {
+    const account = await signUp();
+    const other = await request(app)
+      .post('/api/auth/login')
+      .send({ username: account.user.name, password: PASSWORD })
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/me/password')
+      .set(account.auth)
+      .send({ current_password: 'wrong', password: NEW_PASSWORD })
+      .expect(403);
+
+    await request(app)
+      .post('/api/users/me/password')
+      .set(account.auth)
+      .send({ current_password: PASSWORD, password: NEW_PASSWORD })
+      .expect(200);
+
+    await request(app).get('/api/users/me').set(account.auth).expect(200);
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${other.body.data.token}`)
+      .expect(401);
+  });
+});
+
+describe('reset channel from the environment', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  test.each([undefined, 'console', 'file'])(
+    'refuses PASSWORD_RESET_CHANNEL=%s in production',
+    (name) => {
+      process.env.NODE_ENV = 'production';
+      if (name === undefined) {
+        delete process.env.PASSWORD_RESET_CHANNEL;
+      } else {
+        process.env.PASSWORD_RESET_CHANNEL = name;
+      }
+      setResetChannel(null);
+
+      expect(() => getResetChannel()).toThrow(
+        /PASSWORD_RESET_CHANNEL must name a delivery channel/
+      );
+    }
+  );
+});
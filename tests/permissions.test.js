@@ -0,0 +1,91 @@
+// tests/permissions.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { hasPermission, ROLE_PERMISSIONS } from '../lib/permissions.js';
+import { closeDb, createContact, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// Roles are read on every request, so the account's token keeps working
+const setRole = (account, role) =>
+  db.query('UPDATE users SET role = $2 WHERE id = $1', [account.user.id, role]);
+
+// An invitation from `owner`, accepted by `delegate`
+const share = async (owner, delegate, access = 'read') => {
+  const invitation = await request(app)
+    .post('/api/users/me/delegations')
+    .set(owner.auth)
+    .send({ access })
+    .expect(201);
+
+  return request(app)
+    .post('/api/users/me/delegations/accept')
+    .set(delegate.auth)
+    .send({ token: invitation.body.data.token });
+};
+
+describe('roles', () => {
+  test('each role grants everything the one below it does', () => {
+    for (const permission of ROLE_PERMISSIONS.user) {
+      expect(hasPermission('caregiver', permission)).toBe(true);
+    }
+    for (const permission of ROLE_PERMISSIONS.caregiver) {
+      expect(hasPermission('admin', permission)).toBe(true);
+    }
+  });
+
+  test('only caregivers and admins reach shared contacts', () => {
+    expect(hasPermission('user', 'contacts:delegated')).toBe(false);
+    expect(hasPermission('caregiver', 'contacts:delegated')).toBe(true);
+    expect(hasPermission('admin', 'contacts:delegated')).toBe(true);
+  });
+
+  test('an unknown role grants nothing', () => {
+    expect(hasPermission('owner', 'contacts:manage')).toBe(false);
+    expect(hasPermission(undefined, 'contacts:manage')).toBe(false);
+  });
+});
+
+describe('caregiver role', () => {
+  let owner;
+  let contact;
+
+  beforeEach(async () => {
+    owner = await signUp();
+    contact = await createContact(owner);
+  });
+
+  test('a plain user cannot accept an invitation', async () => {
+    const delegate = await signUp();
+
+    const res = await share(owner, delegate);
+
+    expect(res.status).toBe(403);
+    await request(app).get(`/api/contacts/${contact.id}`).set(delegate.auth).expect(403);
+  });
+
+  test('a caregiver reaches the contacts shared with them', async () => {
+    const caregiver = await signUp();
+    await setRole(caregiver, 'caregiver');
+
+    await share(owner, caregiver).then((res) => expect(res.status).toBe(200));
+
+    await request(app).get(`/api/contacts/${contact.id}`).set(caregiver.auth).expect(200);
+  });
+
+  test('taking the role away ends delegated access at once', async () => {
+    const caregiver = await signUp();
+    await setRole(caregiver, 'caregiver');
+    await share(owner, caregiver).then((res) => expect(res.status).toBe(200));
+
+    await setRole(caregiver, 'user');
+
+    await request(app).get(`/api/contacts/${contact.id}`).set(caregiver.auth).expect(403);
+    await request(app).get(`/api/contacts/${contact.id}`).set(owner.auth).expect(200);
+  });
+
+  test('the role is not needed for your own contacts', async () => {
+    await request(app).get(`/api/contacts/${contact.id}`).set(owner.auth).expect(200);
+  });
+});
@@ -0,0 +1,92 @@
+// tests/phone.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { normalizeRegion, phoneNumberProblem, toE164, withPhoneFormats } from '../lib/phone.js';
+import { closeDb, createContact, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+describe('phone number module', () => {
+  test('reads national numbers in the given region', () => {
+    expect(toE164('(202) 555-0143', 'US')).toBe('+12025550143');
+    expect(toE164('07911 123456', 'GB')).toBe('+447911123456');
+    expect(toE164('+44 7911 123456', 'US')).toBe('+447911123456');
+  });
+
+  test('gives null for numbers that cannot exist', () => {
+    expect(toE164('12345', 'GB')).toBeNull();
+    expect(toE164('', 'GB')).toBeNull();
+  });
+
+  test('says what is wrong with a number', () => {
+    expect(phoneNumberProblem('07911 123456', 'GB')).toBeNull();
+    expect(phoneNumberProblem('0791', 'GB')).toBe('Phone number is too short for region GB');
+    expect(phoneNumberProblem('call me')).toBe('Phone number is not a phone number for region US');
+    expect(phoneNumberProblem('+44 7911 12345678901')).toBe('Phone number is too long');
+  });
+
+  test('adds national and international formats', () => {
+    expect(
+      withPhoneFormats({ phone_number: '2025550143', phone_e164: '+12025550143' })
+    ).toMatchObject({ phone_national: '(202) 555-0143', phone_international: '+1 202 555 0143' });
+    expect(withPhoneFormats({ phone_number: 'n/a', phone_e164: null })).toMatchObject({
+      phone_national: null,
+      phone_international: null,
+    });
+  });
+
+  test('accepts region codes in any case', () => {
+    expect(normalizeRegion(' gb ')).toBe('GB');
+    expect(normalizeRegion('XX')).toBeNull();
+  });
+});
+
+describe('POST /api/phone-numbers', () => {
+  let account;
+  let contact;
+
+  const add = (fields) =>
+    request(app)
+      .post('/api/phone-numbers')
+      .set(account.auth)
+      .send({ contact_id: contact.id, ...fields });
+
+  beforeEach(async () => {
+    account = await signUp();
+    contact = await createContact(account);
+  });
+
+  test("stores the E.164 form next to the input, read in the owner's region", async () => {
+    const res = await add({ phone_number: '07911 123456' }).expect(201);
+
+    expect(res.body.data).toMatchObject({
+      phone_number: '07911 123456',
+      phone_e164: '+447911123456',
+      phone_national: '07911 123456',
+      phone_international: '+44 7911 123456',
+    });
+  });
+
+  test('an explicit default_region wins over the account region', async () => {
+    const res = await add({ phone_number: '(202) 555-0143', default_region: 'us' }).expect(201);
+
+    expect(res.body.data.phone_e164).toBe('+12025550143');
+  });
+
+  test('an impossible number is refused with the reason', async () => {
+    const res = await add({ phone_number: '0791' }).expect(400);
+
+    expect(res.body.errors[0]).toMatchObject({
+      field: 'phone_number',
+      message: 'Phone number is too short for region GB',
+    });
+  });
+
+  test('the same number typed differently is a duplicate', async () => {
+    await add({ phone_number: '07911 123456' }).expect(201);
+
+    const res = await add({ phone_number: '+44 (0)7911-123456' }).expect(409);
+
+    expect(res.body.detail).toBe('This contact already has that phone number');
+  });
+});
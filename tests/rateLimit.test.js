@@ -0,0 +1,156 @@
+// tests/rateLimit.test.js
+import express from 'express';
+import request from 'supertest';
+import app from '../app.js';
+import {
+  createMemoryStore,
+  getRateLimitStore,
+  limitFor,
+  rateLimit,
+  setRateLimitStore,
+} from '../lib/rateLimit/index.js';
+import { errorHandler, generateToken } from '../lib/utils.js';
+import { closeDb, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// RATE_LIMIT_PROBE for the probe app below; the real groups are set
+// high in tests/setup/env.js
+process.env.RATE_LIMIT_PROBE = '2/60';
+
+// An app with one rate-limited route, answered the way app.js would
+const probeApp = () => {
+  const probe = express();
+  probe.get('/', rateLimit('probe'), (req, res) => res.json({ ok: true }));
+  probe.use(errorHandler);
+  return probe;
+};
+
+const bearer = (userId) => ({ Authorization: `Bearer ${generateToken({ userId })}` });
+
+let defaultStore;
+
+beforeEach(() => {
+  defaultStore = getRateLimitStore();
+  setRateLimitStore(createMemoryStore());
+});
+
+afterEach(() => setRateLimitStore(defaultStore));
+
+describe('limitFor', () => {
+  test('reads <capacity>/<seconds> from the environment', () => {
+    expect(limitFor('probe')).toEqual({ capacity: 2, perSeconds: 60, refillPerSecond: 2 / 60 });
+  });
+
+  test('falls back to the default limit for unknown groups', () => {
+    expect(limitFor('unconfigured')).toMatchObject({ capacity: 100, perSeconds: 60 });
+  });
+
+  test('refuses a malformed setting', () => {
+    process.env.RATE_LIMIT_BROKEN = 'lots';
+    try {
+      expect(() => limitFor('broken')).toThrow('RATE_LIMIT_BROKEN must look like');
+    } finally {
+      delete process.env.RATE_LIMIT_BROKEN;
+    }
+  });
+});
+
+describe('rateLimit', () => {
+  test('counts down in the RateLimit headers', async () => {
+    const probe = probeApp();
+
+    const first = await request(probe).get('/').expect(200);
+    const second = await request(probe).get('/').expect(200);
+
+    expect(first.headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-policy': '2;w=60',
+    });
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(second.headers['ratelimit-reset'])).toBe(60);
+  });
+
+  test('answers 429 with Retry-After once the bucket is empty', async () => {
+    const probe = probeApp();
+    await request(probe).get('/').expect(200);
+    await request(probe).get('/').expect(200);
+
+    const res = await request(probe).get('/').expect(429);
+
+    expect(res.type).toBe('application/problem+json');
+    expect(res.body.code).toBe('rate_limited');
+    expect(Number(res.headers['retry-after'])).toBe(30);
+  });
+
+  test('keeps a bucket per signed-in user, separate from the IP', async () => {
+    const probe = probeApp();
+    await request(probe).get('/').set(bearer(1)).expect(200);
+    await request(probe).get('/').set(bearer(1)).expect(200);
+    await request(probe).get('/').set(bearer(1)).expect(429);
+
+    await request(probe).get('/').set(bearer(2)).expect(200);
+    await request(probe).get('/').expect(200);
+  });
+
+  test('a token that does not verify counts against the IP', async () => {
+    const probe = probeApp();
+    await request(probe).get('/').set('Authorization', 'Bearer forged').expect(200);
+    await request(probe).get('/').set('Authorization', 'Bearer forged-too').expect(200);
+
+    await request(probe).get('/').expect(429);
+  });
+
+  test('takes from whichever store is plugged in', async () => {
+    const keys = [];
+    setRateLimitStore({
+      async take(key) {
+        keys.push(key);
+        return { allowed: false, tokens: 0 };
+      },
+    });
+
+    await request(probeApp()).get('/').set(bearer(7)).expect(429);
+
+    expect(keys).toEqual(['probe:user:7']);
+  });
+
+  test('a failing store is a server error, not a free pass', async () => {
+    const { error } = console;
+    console.error = () => {};
+    setRateLimitStore({
+      async take() {
+        throw new Error('store unavailable');
+      },
+    });
+
+    try {
+      await request(probeApp()).get('/').expect(500);
+    } finally {
+      console.error = error;
+    }
+  });
+});
+
+describe('memory store', () => {
+  test('refills over time', async () => {
+    const store = createMemoryStore();
+    const limit = { capacity: 1, refillPerSecond: 1000 };
+
+    expect((await store.take('key', limit)).allowed).toBe(true);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect((await store.take('key', limit)).allowed).toBe(true);
+  });
+});
+
+describe('API routes', () => {
+  test('carry the limit of their group', async () => {
+    const account = await signUp();
+
+    const res = await request(app).get('/api/contacts').set(account.auth).expect(200);
+
+    expect(res.headers['ratelimit-policy']).toBe('10000;w=60');
+  });
+});
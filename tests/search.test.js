@@ -0,0 +1,98 @@
+// tests/search.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+let account;
+
+const search = async (q, query = '') => {
+  const res = await request(app)
+    .get(`/api/contacts/search?q=${encodeURIComponent(q)}${query}`)
+    .set(account.auth)
+    .expect(200);
+  return res.body.data;
+};
+
+const names = (data) => data.contacts.map((contact) => contact.name);
+
+beforeAll(async () => {
+  account = await signUp();
+  await createContact(account, {
+    name: 'Margaret Thompson',
+    relationship: 'Sister',
+    phone_numbers: [{ phone_number: GB_MOBILES[0] }],
+  });
+  await createContact(account, { name: 'Dr Patel', relationship: 'GP' });
+  await createContact(account, { name: 'Tom Marsh', relationship: 'Neighbour' });
+  await createContact(account, { name: '100% Reliable Taxis' });
+});
+
+describe('contact search', () => {
+  test('matches part of a name', async () => {
+    expect(names(await search('patel'))).toEqual(['Dr Patel']);
+  });
+
+  test('forgives a misspelling', async () => {
+    expect(names(await search('Thompsen'))).toEqual(['Margaret Thompson']);
+  });
+
+  test('matches the relationship', async () => {
+    expect(names(await search('neighbour'))).toEqual(['Tom Marsh']);
+  });
+
+  test('matches part of a phone number, whatever its punctuation', async () => {
+    expect(names(await search('7911 123'))).toEqual(['Margaret Thompson']);
+  });
+
+  test('ranks the closest name first', async () => {
+    const data = await search('marg');
+
+    expect(names(data)[0]).toBe('Margaret Thompson');
+    expect(data.contacts[0].phone_numbers).toHaveLength(1);
+  });
+
+  test('treats % and _ literally', async () => {
+    expect(names(await search('100%'))).toEqual(['100% Reliable Taxis']);
+    expect(names(await search('%'))).toEqual(['100% Reliable Taxis']);
+  });
+
+  test('pages like the contact list', async () => {
+    const data = await search('a', '&limit=1');
+
+    expect(data.contacts).toHaveLength(1);
+    expect(data.pagination).toMatchObject({ page: 1, limit: 1 });
+    expect(data.pagination.total).toBeGreaterThan(1);
+  });
+
+  test('cursor pages walk the same order as offset pages', async () => {
+    const offset = await search('a', '&limit=100');
+    const ids = [];
+    let query = '&pagination=cursor&limit=1';
+
+    for (;;) {
+      const page = await search('a', query);
+      ids.push(...page.contacts.map((contact) => contact.id));
+      if (!page.pagination.next_cursor) break;
+      query = `&limit=1&cursor=${page.pagination.next_cursor}`;
+    }
+
+    expect(ids).toEqual(offset.contacts.map((contact) => contact.id));
+  });
+
+  test('never reaches past your own contacts', async () => {
+    const stranger = await signUp();
+
+    const res = await request(app)
+      .get('/api/contacts/search?q=marg')
+      .set(stranger.auth)
+      .expect(200);
+
+    expect(res.body.data.contacts).toEqual([]);
+  });
+
+  test('needs a search term', async () => {
+    await request(app).get('/api/contacts/search?q=%20').set(account.auth).expect(400);
+  });
+});
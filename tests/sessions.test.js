@@ -0,0 +1,121 @@
+// tests/sessions.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { closeDb, PASSWORD, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// A fresh session for `account`: { token, refresh_token, auth }
+const login = async (account) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ username: account.user.name, password: PASSWORD })
+    .expect(200);
+
+  const { token, refresh_token } = res.body.data;
+  return { token, refresh_token, auth: { Authorization: `Bearer ${token}` } };
+};
+
+const refresh = (refresh_token) => request(app).post('/api/auth/refresh').send({ refresh_token });
+
+let account;
+
+beforeEach(async () => {
+  account = await signUp();
+});
+
+describe('refresh tokens', () => {
+  test('a refresh token is exchanged for a new pair', async () => {
+    const session = await login(account);
+
+    const res = await refresh(session.refresh_token).expect(200);
+
+    expect(res.body.data).toEqual({
+      token: expect.any(String),
+      refresh_token: expect.any(String),
+      expires_in: expect.any(Number),
+    });
+    expect(res.body.data.refresh_token).not.toBe(session.refresh_token);
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${res.body.data.token}`)
+      .expect(200);
+  });
+
+  test('the rotated pair keeps rotating', async () => {
+    const session = await login(account);
+
+    const second = (await refresh(session.refresh_token).expect(200)).body.data;
+    const third = (await refresh(second.refresh_token).expect(200)).body.data;
+
+    expect(third.refresh_token).not.toBe(second.refresh_token);
+  });
+
+  test('reusing a rotated token revokes the whole session', async () => {
+    const session = await login(account);
+    const rotated = (await refresh(session.refresh_token).expect(200)).body.data;
+
+    const reuse = await refresh(session.refresh_token).expect(401);
+
+    expect(reuse.body.detail).toMatch(/reuse detected/);
+    await refresh(rotated.refresh_token).expect(401);
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${rotated.token}`)
+      .expect(401);
+  });
+
+  test('reuse in one session leaves the others alone', async () => {
+    const stolen = await login(account);
+    const other = await login(account);
+    await refresh(stolen.refresh_token).expect(200);
+
+    await refresh(stolen.refresh_token).expect(401);
+
+    await request(app).get('/api/users/me').set(other.auth).expect(200);
+    await refresh(other.refresh_token).expect(200);
+  });
+
+  test('an unknown token is refused', async () => {
+    const res = await refresh('not-a-refresh-token').expect(401);
+
+    expect(res.body.detail).toBe('Invalid refresh token');
+  });
+
+  test('an expired token is refused', async () => {
+    const session = await login(account);
+    await db.query(
+      `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 minute'
+       WHERE session_id IN (SELECT id FROM auth_sessions WHERE user_id = $1)`,
+      [account.user.id]
+    );
+
+    const res = await refresh(session.refresh_token).expect(401);
+
+    expect(res.body.detail).toBe('Refresh token expired');
+  });
+});
+
+describe('logout', () => {
+  test('ends this session only', async () => {
+    const here = await login(account);
+    const elsewhere = await login(account);
+
+    await request(app).post('/api/auth/logout').set(here.auth).expect(200);
+
+    await request(app).get('/api/users/me').set(here.auth).expect(401);
+    await refresh(here.refresh_token).expect(401);
+    await request(app).get('/api/users/me').set(elsewhere.auth).expect(200);
+  });
+
+  test('with all, ends every session', async () => {
+    const here = await login(account);
+    const elsewhere = await login(account);
+
+    await request(app).post('/api/auth/logout').set(here.auth).send({ all: true }).expect(200);
+
+    await request(app).get('/api/users/me').set(elsewhere.auth).expect(401);
+    await refresh(elsewhere.refresh_token).expect(401);
+  });
+});
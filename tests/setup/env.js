@@ -0,0 +1,11 @@
+// tests/setup/env.js - environment for every test file, set before the app loads
+process.env.JWT_SECRET ||= 'test-secret';
+
+// Room for a whole test run from one client
+for (const group of ['DEFAULT', 'AUTH', 'USERS', 'CONTACTS', 'ALERTS', 'ADMIN']) {
+  process.env[`RATE_LIMIT_${group}`] = '10000/60';
+}
+
+// Every test signs in from 127.0.0.1, so only the per-account lockout applies
+process.env.LOGIN_MAX_FAILURES = '5';
+process.env.LOGIN_MAX_FAILURES_PER_IP = '100000';
@@ -0,0 +1,60 @@
+// tests/setup/globalSetup.js
+//
+// One database for the whole run: TEST_DATABASE_URL when it is set (an empty
+// Postgres the suite may migrate), otherwise an in-memory PGlite served over
+// the Postgres wire protocol so lib/db.js talks to it as it would to a server.
+import net from 'net';
+import { PGlite } from '@electric-sql/pglite';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+/**
+ * An in-memory PGlite, with the extensions the migrations need, behind a
+ * Postgres wire-protocol server. Resolves to { pglite, server, url }.
+ */
+export const startPglite = async () => {
+  // Contact search (migration 0005) needs pg_trgm
+  const pglite = await PGlite.create({ extensions: { pg_trgm } });
+  const port = await freePort();
+  const server = new PGLiteSocketServer({
+    db: pglite,
+    port,
+    host: '127.0.0.1',
+    maxConnections: 20,
+  });
+  await server.start();
+
+  return { pglite, server, url: `postgres://postgres@127.0.0.1:${port}/postgres` };
+};
+
+export default async () => {
+  let url = process.env.TEST_DATABASE_URL;
+
+  if (!url) {
+    const { pglite, server, url: pgliteUrl } = await startPglite();
+    globalThis.__PGLITE__ = { pglite, server };
+    url = pgliteUrl;
+  }
+
+  // Read by lib/db.js in every test file
+  process.env.POSTGRES_URL = url;
+
+  const { up } = await import('../../lib/migrate.js');
+  const { default: db } = await import('../../lib/db.js');
+  try {
+    await up({ log: () => {} });
+  } finally {
+    await db.end();
+  }
+};
@@ -0,0 +1,7 @@
+// tests/setup/globalTeardown.js
+export default async () => {
+  const { pglite, server } = globalThis.__PGLITE__ || {};
+
+  await server?.stop();
+  await pglite?.close();
+};
@@ -0,0 +1,155 @@
+// tests/trash.test.js
+import request from 'supertest';
+import app from '../app.js';
+import db from '../lib/db.js';
+import { purgeTrash, RETENTION_DAYS } from '../lib/trash.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+let account;
+
+beforeEach(async () => {
+  account = await signUp();
+});
+
+const trash = async (query = '') => {
+  const res = await request(app).get(`/api/contacts/trash${query}`).set(account.auth).expect(200);
+  return res.body.data.items;
+};
+
+const withNumbers = (...numbers) =>
+  createContact(account, { phone_numbers: numbers.map((phone_number) => ({ phone_number })) });
+
+describe('trash', () => {
+  test('a deleted contact goes to the trash with its numbers', async () => {
+    const contact = await withNumbers(GB_MOBILES[0], GB_MOBILES[1]);
+
+    await request(app).delete(`/api/contacts/${contact.id}`).set(account.auth).expect(204);
+    await request(app).get(`/api/contacts/${contact.id}`).set(account.auth).expect(404);
+
+    const [item] = await trash();
+    expect(item).toMatchObject({ type: 'contact', id: contact.id, contact_name: contact.name });
+    expect(item.phone_numbers.map((phone) => phone.phone_e164)).toEqual([
+      '+447911123456',
+      '+447911123457',
+    ]);
+
+    const purgeAt = new Date(item.purge_at) - new Date(item.deleted_at);
+    expect(purgeAt).toBe(RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  });
+
+  test('restoring a contact brings its numbers back', async () => {
+    const contact = await withNumbers(GB_MOBILES[0]);
+    await request(app).delete(`/api/contacts/${contact.id}`).set(account.auth).expect(204);
+
+    const res = await request(app)
+      .post(`/api/contacts/${contact.id}/restore`)
+      .set(account.auth)
+      .expect(200);
+
+    expect(res.headers.etag).toBe(`"${res.body.data.version}"`);
+    expect(res.body.data.phone_numbers).toHaveLength(1);
+    expect(await trash()).toEqual([]);
+  });
+
+  test('a number deleted on its own is listed and restored by itself', async () => {
+    const contact = await withNumbers(GB_MOBILES[0], GB_MOBILES[1]);
+    const [, phone] = contact.phone_numbers;
+
+    await request(app).delete(`/api/phone-numbers/${phone.id}`).set(account.auth).expect(204);
+
+    const [item] = await trash();
+    expect(item).toMatchObject({
+      type: 'phone_number',
+      id: phone.id,
+      contact_id: contact.id,
+      phone_number: phone.phone_number,
+    });
+
+    await request(app).post(`/api/phone-numbers/${phone.id}/restore`).set(account.auth).expect(200);
+
+    const restored = await request(app).get(`/api/contacts/${contact.id}`).set(account.auth);
+    expect(restored.body.data.phone_numbers).toHaveLength(2);
+  });
+
+  test('numbers of a trashed contact are listed with it, not on their own', async () => {
+    const contact = await withNumbers(GB_MOBILES[0], GB_MOBILES[1]);
+    await request(app)
+      .delete(`/api/phone-numbers/${contact.phone_numbers[0].id}`)
+      .set(account.auth)
+      .expect(204);
+    await request(app).delete(`/api/contacts/${contact.id}`).set(account.auth).expect(204);
+
+    const items = await trash();
+
+    expect(items.map((item) => item.type)).toEqual(['contact']);
+    // The number deleted first is not part of the contact's restore, so it is not listed
+    expect(items[0].phone_numbers.map((phone) => phone.id)).toEqual([contact.phone_numbers[1].id]);
+  });
+
+  test('type narrows the listing', async () => {
+    const kept = await withNumbers(GB_MOBILES[0], GB_MOBILES[1]);
+    const gone = await createContact(account);
+    await request(app)
+      .delete(`/api/phone-numbers/${kept.phone_numbers[0].id}`)
+      .set(account.auth)
+      .expect(204);
+    await request(app).delete(`/api/contacts/${gone.id}`).set(account.auth).expect(204);
+
+    expect((await trash('?type=contact')).map((item) => item.id)).toEqual([gone.id]);
+    expect((await trash('?type=phone_number')).map((item) => item.id)).toEqual([
+      kept.phone_numbers[0].id,
+    ]);
+  });
+
+  test("someone else's trash is out of reach", async () => {
+    const contact = await createContact(account);
+    await request(app).delete(`/api/contacts/${contact.id}`).set(account.auth).expect(204);
+    const stranger = await signUp();
+
+    await request(app)
+      .get(`/api/contacts/trash?user_id=${account.user.id}`)
+      .set(stranger.auth)
+      .expect(403);
+    await request(app).post(`/api/contacts/${contact.id}/restore`).set(stranger.auth).expect(403);
+  });
+
+  test('the purge removes what is past the retention window', async () => {
+    const old = await createContact(account);
+    const recent = await createContact(account);
+    for (const contact of [old, recent]) {
+      await request(app).delete(`/api/contacts/${contact.id}`).set(account.auth).expect(204);
+    }
+    await db.query(
+      `UPDATE contacts SET deleted_at = NOW() - make_interval(days => $2) WHERE id = $1`,
+      [old.id, RETENTION_DAYS + 1]
+    );
+
+    const purged = await purgeTrash();
+
+    expect(purged.contact).toBeGreaterThanOrEqual(1);
+    expect((await trash()).map((item) => item.id)).toEqual([recent.id]);
+    await request(app).post(`/api/contacts/${old.id}/restore`).set(account.auth).expect(404);
+  });
+
+  test('cursor pages walk the same order as offset pages', async () => {
+    for (let i = 0; i < 5; i++) {
+      const contact = await createContact(account);
+      await request(app).delete(`/api/contacts/${contact.id}`).set(account.auth).expect(204);
+    }
+    const ids = [];
+    let query = '?pagination=cursor&limit=2';
+
+    for (;;) {
+      const res = await request(app).get(`/api/contacts/trash${query}`).set(account.auth);
+      const { items, pagination } = res.body.data;
+      ids.push(...items.map((item) => item.id));
+      if (!pagination.next_cursor) break;
+      query = `?limit=2&cursor=${pagination.next_cursor}`;
+    }
+
+    expect(ids).toHaveLength(5);
+    expect(ids).toEqual((await trash('?limit=100')).map((item) => item.id));
+  });
+});
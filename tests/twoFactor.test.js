@@ -0,0 +1,144 @@
+// tests/twoFactor.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { totpAt } from '../lib/totp.js';
+import { closeDb, PASSWORD, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+// LOGIN_MAX_FAILURES in tests/setup/env.js
+const MAX_FAILURES = 5;
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+const login = (username, password = PASSWORD) =>
+  request(app).post('/api/auth/login').send({ username, password });
+
+const secondStep = (challenge_token, code) =>
+  request(app).post('/api/auth/login/2fa').send({ challenge_token, code });
+
+// A code no authenticator would show now
+const wrongCode = (secret) => {
+  const valid = [-1, 0, 1].map((offset) => totpAt(secret, currentStep() + offset));
+  return ['000000', '111111', '222222', '333333'].find((code) => !valid.includes(code));
+};
+
+/**
+ * Sign up and turn on TOTP, confirming with the current code. Resolves to
+ * { user, secret, recoveryCodes }. The next TOTP login has to use a later
+ * step: a code is only accepted once.
+ */
+const signUpWithTwoFactor = async () => {
+  const account = await signUp();
+
+  const enrollment = await request(app)
+    .post('/api/users/me/2fa/totp')
+    .set(account.auth)
+    .expect(201);
+  const { secret } = enrollment.body.data;
+
+  const confirmed = await request(app)
+    .post('/api/users/me/2fa/totp/confirm')
+    .set(account.auth)
+    .send({ code: totpAt(secret, currentStep()) })
+    .expect(200);
+
+  return { ...account, secret, recoveryCodes: confirmed.body.data.recovery_codes };
+};
+
+describe('two-factor login', () => {
+  test('the password earns a challenge, not a session', async () => {
+    const { user } = await signUpWithTwoFactor();
+
+    const res = await login(user.name).expect(200);
+
+    expect(res.body.data.two_factor_required).toBe(true);
+    expect(res.body.data.challenge_token).toEqual(expect.any(String));
+    expect(res.body.data.token).toBeUndefined();
+  });
+
+  test('a TOTP code completes the login', async () => {
+    const { user, secret } = await signUpWithTwoFactor();
+    const { challenge_token } = (await login(user.name)).body.data;
+
+    const res = await secondStep(challenge_token, totpAt(secret, currentStep() + 1)).expect(200);
+
+    expect(res.body.data.user.id).toBe(user.id);
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${res.body.data.token}`)
+      .expect(200);
+  });
+
+  test('a code is only accepted once', async () => {
+    const { user, secret } = await signUpWithTwoFactor();
+    const code = totpAt(secret, currentStep() + 1);
+
+    await secondStep((await login(user.name)).body.data.challenge_token, code).expect(200);
+    const { challenge_token } = (await login(user.name)).body.data;
+    const res = await secondStep(challenge_token, code).expect(401);
+
+    expect(res.body.code).toBe('invalid_code');
+  });
+
+  test('a recovery code works once', async () => {
+    const { user, recoveryCodes } = await signUpWithTwoFactor();
+    const [code] = recoveryCodes;
+
+    await secondStep((await login(user.name)).body.data.challenge_token, code).expect(200);
+    await secondStep((await login(user.name)).body.data.challenge_token, code).expect(401);
+  });
+
+  test('a challenge is single-use', async () => {
+    const { user, recoveryCodes } = await signUpWithTwoFactor();
+    const { challenge_token } = (await login(user.name)).body.data;
+
+    await secondStep(challenge_token, recoveryCodes[0]).expect(200);
+    const res = await secondStep(challenge_token, recoveryCodes[1]).expect(401);
+
+    expect(res.body.code).toBe('invalid_challenge');
+  });
+
+  test('wrong codes count towards the login lockout', async () => {
+    const { user, secret, recoveryCodes } = await signUpWithTwoFactor();
+    const { challenge_token } = (await login(user.name)).body.data;
+
+    for (let i = 0; i < MAX_FAILURES; i++) {
+      const res = await secondStep(challenge_token, wrongCode(secret)).expect(401);
+      expect(res.body.code).toBe('invalid_code');
+    }
+
+    const locked = await login(user.name).expect(429);
+    expect(locked.body.code).toBe('login_locked');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    await secondStep(challenge_token, recoveryCodes[0]).expect(429);
+  });
+
+  test('wrong passwords and wrong codes add up', async () => {
+    const { user, secret, recoveryCodes } = await signUpWithTwoFactor();
+
+    for (let i = 0; i < MAX_FAILURES - 1; i++) {
+      await login(user.name, 'wrong password').expect(401);
+    }
+    const { challenge_token } = (await login(user.name)).body.data;
+    await secondStep(challenge_token, wrongCode(secret)).expect(401);
+
+    await secondStep(challenge_token, recoveryCodes[0]).expect(429);
+  });
+
+  test('a completed login forgets the failures', async () => {
+    const { user, secret, recoveryCodes } = await signUpWithTwoFactor();
+
+    for (let i = 0; i < MAX_FAILURES - 1; i++) {
+      await login(user.name, 'wrong password').expect(401);
+    }
+    const { challenge_token } = (await login(user.name)).body.data;
+    await secondStep(challenge_token, recoveryCodes[0]).expect(200);
+
+    for (let i = 0; i < MAX_FAILURES - 1; i++) {
+      await login(user.name, 'wrong password').expect(401);
+    }
+    const retry = (await login(user.name).expect(200)).body.data;
+    await secondStep(retry.challenge_token, totpAt(secret, currentStep() + 1)).expect(200);
+  });
+});
@@ -0,0 +1,200 @@
+// tests/vcard.test.js
+import request from 'supertest';
+import app from '../app.js';
+import { cardToContact, formatVCard, parseVCards } from '../lib/vcard.js';
+import { closeDb, createContact, GB_MOBILES, signUp } from './helpers.js';
+
+afterAll(closeDb);
+
+const upload = (account, vcf) =>
+  request(app)
+    .post('/api/contacts/import')
+    .set(account.auth)
+    .set('Content-Type', 'text/vcard')
+    .send(vcf);
+
+const card = (...lines) => ['BEGIN:VCARD', 'VERSION:3.0', ...lines, 'END:VCARD', ''].join('\r\n');
+
+describe('formatVCard', () => {
+  const contact = {
+    id: 7,
+    name: 'Smith, Ann',
+    relationship: 'Sister',
+    is_emergency: true,
+    image: 'https://example.com/ann.jpg',
+    phone_numbers: [
+      {
+        phone_number: '07911 123456',
+        phone_e164: '+447911123456',
+        phone_type: 'mobile',
+        is_primary: true,
+      },
+      { phone_number: '020 7946 0000', phone_e164: '+442079460000', phone_type: 'work' },
+    ],
+  };
+
+  test('writes 3.0 types and escapes text', () => {
+    const vcf = formatVCard(contact, '3.0');
+
+    expect(vcf).toContain('FN:Smith\\, Ann\r\n');
+    expect(vcf).toContain('TEL;TYPE=CELL,PREF:07911 123456\r\n');
+    expect(vcf).toContain('TEL;TYPE=WORK:020 7946 0000\r\n');
+    expect(vcf).toContain('PHOTO;VALUE=uri:https://example.com/ann.jpg\r\n');
+    expect(vcf).toContain('X-EMERGENCY-CONTACT:TRUE\r\n');
+  });
+
+  test('writes 4.0 numbers as tel: URIs', () => {
+    const vcf = formatVCard(contact, '4.0');
+
+    expect(vcf).toContain('VERSION:4.0\r\n');
+    expect(vcf).toContain('TEL;VALUE=uri;TYPE=cell;PREF=1:tel:+447911123456\r\n');
+  });
+
+  test('folds long lines without splitting a character', () => {
+    const vcf = formatVCard({ ...contact, relationship: 'é'.repeat(60) });
+
+    for (const line of vcf.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    const [parsed] = parseVCards(vcf);
+    expect(cardToContact(parsed).contact.relationship).toBe('é'.repeat(60));
+  });
+
+  test('round-trips through cardToContact', () => {
+    const [parsed] = parseVCards(formatVCard(contact));
+
+    expect(cardToContact(parsed).contact).toEqual({
+      name: 'Smith, Ann',
+      relationship: 'Sister',
+      is_emergency: true,
+      image: 'https://example.com/ann.jpg',
+      phone_numbers: [
+        { phone_number: '07911 123456', phone_type: 'mobile', is_primary: true },
+        { phone_number: '020 7946 0000', phone_type: 'work', is_primary: false },
+      ],
+    });
+  });
+});
+
+describe('cardToContact', () => {
+  const contactOf = (...lines) => cardToContact(parseVCards(card(...lines))[0]);
+
+  test('falls back from FN to N, then ORG', () => {
+    expect(contactOf('N:Patel;Raj;;;').contact.name).toBe('Raj Patel');
+    expect(contactOf('ORG:Reliable Taxis;Bookings').contact.name).toBe('Reliable Taxis');
+  });
+
+  test('rejects a card without a name', () => {
+    expect(contactOf('TEL:07911123456')).toEqual({ error: 'Card has no name (FN, N or ORG)' });
+  });
+
+  test('maps TEL types, keeping one preferred number', () => {
+    const { contact } = contactOf(
+      'FN:Ann',
+      'item1.TEL;TYPE=HOME;TYPE=PREF:01632 960000',
+      'TEL;TYPE=WORK,PREF:020 7946 0000',
+      'TEL;TYPE=IPHONE:07911 123456'
+    );
+
+    expect(contact.phone_numbers).toEqual([
+      { phone_number: '01632 960000', phone_type: 'home', is_primary: true },
+      { phone_number: '020 7946 0000', phone_type: 'work', is_primary: false },
+      { phone_number: '07911 123456', phone_type: 'mobile', is_primary: false },
+    ]);
+  });
+
+  test('warns about embedded photos and unreadable lines', () => {
+    const { contact, warnings } = contactOf('FN:Ann', 'PHOTO;ENCODING=b:AAAA', 'garbage');
+
+    expect(contact.image).toBeNull();
+    expect(warnings).toEqual([
+      '1 unreadable line(s) ignored',
+      'Embedded PHOTO data is not supported; photo ignored',
+    ]);
+  });
+});
+
+describe('vCard import and export', () => {
+  let account;
+
+  beforeEach(async () => {
+    account = await signUp();
+  });
+
+  test('reports each card as created, skipped or rejected', async () => {
+    await createContact(account, { name: 'Existing' });
+
+    const res = await upload(
+      account,
+      card(
+        'FN:New',
+        `TEL;TYPE=CELL:${GB_MOBILES[0]}`,
+        'TEL:not a number',
+        'X-EMERGENCY-CONTACT:yes'
+      ) +
+        card('FN:existing') +
+        card('NOTE:no name')
+    ).expect(200);
+
+    expect(res.body.data.summary).toEqual({ total: 3, created: 1, skipped: 1, rejected: 1 });
+    expect(res.body.data.cards).toEqual([
+      expect.objectContaining({
+        card: 1,
+        status: 'created',
+        warnings: [expect.stringContaining('TEL "not a number" ignored')],
+      }),
+      expect.objectContaining({ card: 2, status: 'skipped' }),
+      expect.objectContaining({ card: 3, status: 'rejected' }),
+    ]);
+
+    const created = await request(app)
+      .get(`/api/contacts/${res.body.data.cards[0].contact_id}`)
+      .set(account.auth)
+      .expect(200);
+    expect(created.body.data).toMatchObject({
+      name: 'New',
+      is_emergency: true,
+      phone_numbers: [
+        expect.objectContaining({ phone_e164: '+447911123456', phone_type: 'mobile' }),
+      ],
+    });
+  });
+
+  test('an upload without cards is refused', async () => {
+    await upload(account, 'hello').expect(400);
+  });
+
+  test('the export reads back as the same contacts', async () => {
+    await createContact(account, {
+      name: 'Mum',
+      is_emergency: true,
+      phone_numbers: [{ phone_number: GB_MOBILES[0], is_primary: true }],
+    });
+    await createContact(account, { name: 'Dad' });
+
+    const res = await request(app)
+      .get('/api/contacts/export.vcf?version=4.0')
+      .set(account.auth)
+      .expect(200);
+
+    expect(res.type).toBe('text/vcard');
+    const contacts = parseVCards(res.text).map((parsed) => cardToContact(parsed).contact);
+    expect(contacts.map((contact) => contact.name).sort()).toEqual(['Dad', 'Mum']);
+    expect(contacts.find((contact) => contact.name === 'Mum')).toMatchObject({
+      is_emergency: true,
+      phone_numbers: [{ phone_number: '+447911123456', phone_type: 'mobile', is_primary: true }],
+    });
+  });
+
+  test('one contact downloads under its own name', async () => {
+    const contact = await createContact(account, { name: 'Dr Patel' });
+
+    const res = await request(app)
+      .get(`/api/contacts/${contact.id}/vcard`)
+      .set(account.auth)
+      .expect(200);
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="Dr_Patel.vcf"');
+    expect(res.text).toContain('FN:Dr Patel\r\n');
+  });
+});